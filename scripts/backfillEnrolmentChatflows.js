@@ -1,54 +1,81 @@
 import 'dotenv/config';
 import mongoose from 'mongoose';
 import { connectMongo } from '../src/db/mongo.js';
+import { env } from '../src/config/env.js';
 import { Student } from '../src/models/Student.js';
-import { DEFAULT_CHATFLOW_ID } from '../src/config/chatflowConstants.js';
+import { chatflowRegistry } from '../src/services/chatflowRegistry.js';
+import { versionFilter } from '../src/utils/etag.js';
 
+// Give enrolments without a chatflowId one from the chatflow registry
+// (falling back to DEFAULT_CHATFLOW_ID), and students without a root
+// chatflowId the default. Chatflows already set, by hand or otherwise, are
+// left alone. Each write bumps the student's version, so clients holding an
+// old ETag re-read before editing. Safe to re-run.
 async function migrateChatflows() {
+  if (!env.defaultChatflowId) {
+    throw new Error('DEFAULT_CHATFLOW_ID is not configured');
+  }
+
   await connectMongo();
 
-  const students = await Student.find()
+  const missing = { $in: [null, ''] };
+  const students = await Student.find({
+    $or: [
+      { chatflowId: missing },
+      { enrolments: { $elemMatch: { chatflowId: missing } } },
+    ],
+  })
     .lean()
-    .select({ enrolments: 1, chatflowId: 1 });
+    .select({ enrolments: 1, chatflowId: 1, version: 1 });
 
   if (students.length === 0) {
-    console.log('No students required migration. Every enrolment already has its own chatflowId and root chatflowIds were empty.');
+    console.log('No students required migration. Every student and enrolment already has a chatflowId.');
     return;
   }
 
   let updatedStudents = 0;
   let enrolmentsTouched = 0;
+  let skipped = 0;
 
   for (const student of students) {
-    const updatedEnrolments = (student.enrolments || []).map((enrolment) => ({
-      ...enrolment,
-      chatflowId: DEFAULT_CHATFLOW_ID,
-    }));
+    let touched = 0;
+    const enrolments = [];
+    for (const enrolment of student.enrolments || []) {
+      if (enrolment.chatflowId) {
+        enrolments.push(enrolment);
+        continue;
+      }
+      const assigned = await chatflowRegistry.resolve({
+        ...enrolment,
+        chatflowId: '',
+      });
+      enrolments.push({ ...enrolment, ...assigned });
+      touched += 1;
+    }
 
-    await Student.updateOne(
-      { _id: student._id },
+    // Only write if nobody changed the student since we read it
+    const result = await Student.updateOne(
+      { _id: student._id, ...versionFilter(student.version ?? 0) },
       {
         $set: {
-          chatflowId: DEFAULT_CHATFLOW_ID,
-          enrolments: updatedEnrolments,
+          chatflowId: student.chatflowId || env.defaultChatflowId,
+          enrolments,
         },
+        $inc: { version: 1 },
       },
     );
 
-    if (
-      student.chatflowId ||
-      updatedEnrolments.some(
-        (enrolment, index) =>
-          (student.enrolments?.[index]?.chatflowId ?? '') !== enrolment.chatflowId,
-      )
-    ) {
+    if (result.modifiedCount) {
       updatedStudents += 1;
-      enrolmentsTouched += updatedEnrolments.length;
+      enrolmentsTouched += touched;
+    } else {
+      skipped += 1;
     }
   }
 
   console.log(
-    `Migration complete. Cleared root chatflowId and reset ${enrolmentsTouched} enrolments across ${updatedStudents} students.`,
+    `Migration complete. Assigned chatflows to ${enrolmentsTouched} enrolments across ${updatedStudents} students.` +
+      (skipped ? ` ${skipped} students changed during the run; re-run to pick them up.` : ''),
   );
 }
 
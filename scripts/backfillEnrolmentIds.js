@@ -0,0 +1,69 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectMongo } from '../src/db/mongo.js';
+import { Student } from '../src/models/Student.js';
+
+// Enrolments used to be stored with `_id: false`. Give every enrolment
+// without one an `_id` and an `active` status. Safe to re-run. The server
+// will not start until this has run.
+async function backfillEnrolmentIds() {
+  await connectMongo();
+
+  const students = await Student.find({
+    enrolments: { $elemMatch: { _id: { $exists: false } } },
+  })
+    .lean()
+    .select({ enrolments: 1 });
+
+  if (students.length === 0) {
+    console.log('No students required migration. Every enrolment already has an id.');
+    return;
+  }
+
+  let updatedStudents = 0;
+  let enrolmentsTouched = 0;
+  let skipped = 0;
+
+  for (const student of students) {
+    let touched = 0;
+    const enrolments = student.enrolments.map((enrolment) => {
+      if (enrolment._id) {
+        return enrolment;
+      }
+      touched += 1;
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        ...enrolment,
+        status: enrolment.status ?? 'active',
+        statusChangedAt: enrolment.statusChangedAt ?? null,
+      };
+    });
+
+    // Only write if nobody changed the enrolments since we read them
+    const result = await Student.collection.updateOne(
+      { _id: student._id, enrolments: student.enrolments },
+      { $set: { enrolments } },
+    );
+
+    if (result.modifiedCount) {
+      updatedStudents += 1;
+      enrolmentsTouched += touched;
+    } else {
+      skipped += 1;
+    }
+  }
+
+  console.log(
+    `Migration complete. Added ids to ${enrolmentsTouched} enrolments across ${updatedStudents} students.` +
+      (skipped ? ` ${skipped} students changed during the run; re-run to pick them up.` : ''),
+  );
+}
+
+backfillEnrolmentIds()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+  });
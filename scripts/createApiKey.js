@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectMongo } from '../src/db/mongo.js';
+import { API_KEY_ROLES } from '../src/models/ApiKey.js';
+import { apiKeyService } from '../src/services/apiKeyService.js';
+
+// Usage: npm run apikey:create -- "<name>" [role]
+async function createKey() {
+  const [name, role = 'admin'] = process.argv.slice(2);
+
+  if (!name || !API_KEY_ROLES.includes(role)) {
+    console.error(
+      `Usage: npm run apikey:create -- "<name>" [${API_KEY_ROLES.join('|')}]`,
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectMongo();
+  const { key, record } = await apiKeyService.issue({
+    name,
+    role,
+    createdBy: 'cli',
+  });
+
+  console.log(`Created ${record.role} key "${record.name}" (${record.prefix}).`);
+  console.log(`Store this key now, it will not be shown again:\n${key}`);
+}
+
+createKey()
+  .catch((error) => {
+    console.error('Failed to create API key:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+  });
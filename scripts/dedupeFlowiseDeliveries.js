@@ -0,0 +1,73 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectMongo } from '../src/db/mongo.js';
+import { Issue } from '../src/models/Issue.js';
+import { Student } from '../src/models/Student.js';
+import { SummaryReport } from '../src/models/SummaryReport.js';
+
+// Flowise retries used to create a second record for the same delivery.
+// The unique (source, sourceId) indexes cannot be built while those copies
+// exist, so keep the oldest record for each webhook id and clear the source
+// id on the later copies. Nothing is deleted: the copies are listed so staff
+// can merge or remove them. Safe to re-run. The server will not start until
+// this has run.
+const TARGETS = [
+  { model: Student, source: 'source', sourceId: 'sourceId' },
+  { model: Issue, source: 'source', sourceId: 'sourceId' },
+  {
+    model: SummaryReport,
+    source: 'context.source',
+    sourceId: 'context.sourceId',
+  },
+];
+
+async function dedupeFlowiseDeliveries() {
+  await connectMongo();
+
+  let cleared = 0;
+  for (const { model, source, sourceId } of TARGETS) {
+    const groups = await model.collection
+      .aggregate([
+        { $match: { [sourceId]: { $gt: '' } } },
+        { $sort: { createdAt: 1, _id: 1 } },
+        {
+          $group: {
+            _id: { source: `$${source}`, sourceId: `$${sourceId}` },
+            ids: { $push: '$_id' },
+          },
+        },
+        { $match: { 'ids.1': { $exists: true } } },
+      ])
+      .toArray();
+
+    for (const { _id: key, ids } of groups) {
+      const [kept, ...copies] = ids;
+      const result = await model.collection.updateMany(
+        { _id: { $in: copies }, [sourceId]: key.sourceId },
+        { $set: { [sourceId]: '' } },
+      );
+      cleared += result.modifiedCount;
+      console.log(
+        `${model.modelName} ${key.source}:${key.sourceId}: kept ${kept}, ` +
+          `cleared the source id on ${copies.join(', ')}`,
+      );
+    }
+
+    await model.createIndexes();
+  }
+
+  console.log(
+    cleared
+      ? `Dedupe complete. Cleared the source id on ${cleared} repeated deliveries.`
+      : 'No repeated Flowise deliveries found. The unique source id indexes are in place.',
+  );
+}
+
+dedupeFlowiseDeliveries()
+  .catch((error) => {
+    console.error('Dedupe failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+  });
@@ -0,0 +1,140 @@
+import 'dotenv/config';
+import { randomUUID } from 'crypto';
+import http from 'http';
+
+// Local stand-in for Flowise's prediction API, for trying the chat proxy
+// (POST /api/v1/chat/:enrolmentId/predict) without a real chatflow.
+//
+// Usage: npm run flowise:stub -- [port]
+// then point the API at it: FLOWISE_BASE_URL=http://localhost:3100
+//
+// POST /api/v1/prediction/:chatflowId answers JSON, or a Flowise-style
+// event stream when the body has `streaming: true`. The question picks
+// failure cases:
+//   "!error" - answer 500, which the proxy maps to 502 FLOWISE_ERROR
+//   "!slow"  - wait longer than FLOWISE_TIMEOUT_MS before answering,
+//              which the proxy maps to 504 FLOWISE_TIMEOUT
+// When FLOWISE_API_KEY is set, calls without it as a Bearer token get 401.
+
+const port = Number(process.argv[2] ?? process.env.FLOWISE_STUB_PORT ?? 3100);
+const apiKey = process.env.FLOWISE_API_KEY ?? '';
+const slowMs = Number(process.env.FLOWISE_TIMEOUT_MS ?? 30000) + 5000;
+const TOKEN_DELAY_MS = 150;
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJson(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Stream an answer word by word in the shape Flowise uses.
+ * @param {http.ServerResponse} res
+ * @param {string} answer
+ * @param {Record<string, string>} metadata
+ */
+function streamAnswer(res, answer, metadata) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const send = (event, data) =>
+    res.write(`message:\ndata: ${JSON.stringify({ event, data })}\n\n`);
+  const words = answer.split(' ');
+
+  send('start', '');
+  let index = 0;
+  const timer = setInterval(() => {
+    if (index < words.length) {
+      send('token', `${index ? ' ' : ''}${words[index]}`);
+      index += 1;
+      return;
+    }
+    clearInterval(timer);
+    send('metadata', metadata);
+    send('end', '[DONE]');
+    res.end();
+  }, TOKEN_DELAY_MS);
+
+  res.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer(async (req, res) => {
+  const match = req.url?.match(/^\/api\/v1\/prediction\/([^/?]+)/);
+  if (req.method !== 'POST' || !match) {
+    sendJson(res, 404, { message: 'Not found' });
+    return;
+  }
+
+  if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+    sendJson(res, 401, { message: 'Unauthorized Access' });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch {
+    sendJson(res, 400, { message: 'Invalid JSON' });
+    return;
+  }
+
+  const chatflowId = decodeURIComponent(match[1]);
+  const question = String(body.question ?? '');
+  console.log(
+    `${new Date().toISOString()} ${chatflowId} streaming=${Boolean(body.streaming)} chatId=${body.chatId ?? '-'} question=${JSON.stringify(question)}`,
+  );
+
+  if (question === '!error') {
+    sendJson(res, 500, { message: 'Stub chatflow failed' });
+    return;
+  }
+  if (question === '!slow') {
+    const timer = setTimeout(
+      () => sendJson(res, 200, { text: 'Too late' }),
+      slowMs,
+    );
+    res.on('close', () => clearTimeout(timer));
+    return;
+  }
+
+  const vars = body.overrideConfig?.vars ?? {};
+  const answer =
+    `Stub answer for ${vars.studentName || 'a student'} about ` +
+    `${vars.subject || 'this chatflow'}: you asked "${question}".`;
+  const metadata = {
+    chatId: body.chatId ?? randomUUID(),
+    chatMessageId: randomUUID(),
+    question,
+    sessionId: body.chatId ?? '',
+  };
+
+  if (body.streaming) {
+    streamAnswer(res, answer, metadata);
+    return;
+  }
+
+  sendJson(res, 200, { text: answer, ...metadata, vars });
+});
+
+server.listen(port, () => {
+  console.log(`Stub Flowise listening on http://localhost:${port}`);
+});
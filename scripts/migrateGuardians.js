@@ -0,0 +1,71 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectMongo } from '../src/db/mongo.js';
+import { Student } from '../src/models/Student.js';
+
+// Students used to have a single `guardian` subdocument. Move it into the
+// `guardians` list as the primary guardian and drop the old field. Guardians
+// without an email are dropped. A student that already has a guardians list
+// was edited through the API, so that list wins and the old field is only
+// dropped. Safe to re-run. The server will not start until this has run.
+async function migrateGuardians() {
+  await connectMongo();
+
+  // Raw collection: the `guardian` path is no longer in the schema
+  const students = await Student.collection
+    .find(
+      { guardian: { $exists: true } },
+      { projection: { guardian: 1, guardians: 1 } },
+    )
+    .toArray();
+
+  if (students.length === 0) {
+    console.log('No students required migration. Every student uses the guardians list.');
+    return;
+  }
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const student of students) {
+    const { guardian } = student;
+    const guardians = student.guardians ?? [];
+
+    if (guardian?.email && guardians.length === 0) {
+      guardians.push({
+        name: guardian.name ?? '',
+        email: guardian.email,
+        relationship: '',
+        primary: true,
+        locale: guardian.locale ?? '',
+        notifications: { summaryReports: true },
+      });
+    }
+
+    // Only write if nobody changed the guardian since we read it
+    const result = await Student.collection.updateOne(
+      { _id: student._id, guardian },
+      { $set: { guardians }, $unset: { guardian: '' } },
+    );
+
+    if (result.modifiedCount) {
+      migrated += 1;
+    } else {
+      skipped += 1;
+    }
+  }
+
+  console.log(
+    `Migration complete. Moved the guardian into the guardians list for ${migrated} students.` +
+      (skipped ? ` ${skipped} students changed during the run; re-run to pick them up.` : ''),
+  );
+}
+
+migrateGuardians()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+  });
@@ -5,6 +5,7 @@ import pinoHttp from 'pino-http';
 import client from 'prom-client';
 import { env } from './config/env.js';
 import { errorHandler } from './middlewares/error.js';
+import { detectLocale } from './middlewares/locale.js';
 import { notFound } from './middlewares/notFound.js';
 import { buildRoutes } from './routes/index.js';
 import { logger } from './utils/logger.js';
@@ -13,7 +14,15 @@ const app = express();
 
 // Security & parsing
 app.use(helmet());
-app.use(express.json({ limit: '1mb' }));
+app.use(
+  express.json({
+    limit: '1mb',
+    // Keep the raw bytes around so webhook signatures can be verified.
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: false }));
 
 // CORS
@@ -32,8 +41,28 @@ app.use(
     origin: allowedOrigins,
     credentials: false,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposedHeaders: ['Content-Length', 'X-Request-Id'],
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-Requested-With',
+      'X-API-Key',
+      'Idempotency-Key',
+      'Accept-Language',
+      'If-Match',
+      'Last-Event-ID',
+    ],
+    exposedHeaders: [
+      'Content-Length',
+      'X-Request-Id',
+      'Idempotent-Replayed',
+      'Content-Language',
+      'ETag',
+      'Deprecation',
+      'Link',
+      'X-Chat-Id',
+      'X-Next-Cursor',
+      'X-Total-Count',
+    ],
     maxAge: 86400, // 24 hours
     preflightContinue: false,
     optionsSuccessStatus: 204,
@@ -58,6 +87,7 @@ app.get('/metrics', async (_req, res) => {
 });
 
 // Routes
+app.use(detectLocale);
 app.use(buildRoutes(env.apiPrefix));
 
 // 404 & errors
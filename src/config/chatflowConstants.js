@@ -1,3 +0,0 @@
-export const DEFAULT_CHATFLOW_ID =
-  '593bc88b-59ee-4ed1-bae1-204ecfccc402';
-
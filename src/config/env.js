@@ -3,18 +3,33 @@ import 'dotenv/config';
 const num = (value, fallback) =>
   value ? Number(value) : fallback;
 
-const parseOrigins = (origins) =>
-  (origins ?? '')
+// Parses `key:value,key2:value2` lists such as per-chatflow webhook secrets.
+const parseKeyValuePairs = (value) =>
+  Object.fromEntries(
+    (value ?? '')
+      .split(',')
+      .map((pair) => pair.trim())
+      .filter((pair) => pair.includes(':'))
+      .map((pair) => {
+        const separator = pair.indexOf(':');
+        return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+      })
+      .filter(([key, secret]) => key && secret),
+  );
+
+const parseList = (value) =>
+  (value ?? '')
     .split(',')
-    .map((origin) => origin.trim())
+    .map((item) => item.trim())
     .filter(Boolean);
 
 export const env = {
   nodeEnv: process.env.NODE_ENV ?? 'development',
   port: num(process.env.PORT, 8000),
   apiPrefix: process.env.API_PREFIX ?? '/api/v1',
+  appUrl: process.env.RENDER_EXTERNAL_URL ?? process.env.APP_URL ?? '',
   mongodbUri: process.env.MONGODB_URI ?? '',
-  corsOrigins: parseOrigins(process.env.CORS_ORIGINS),
+  corsOrigins: parseList(process.env.CORS_ORIGINS),
   resendKey: process.env.RESEND_API_KEY ?? '',
   mailFrom: process.env.MAIL_FROM ?? '',
   mailReplyTo: process.env.MAIL_REPLY_TO ?? '',
@@ -30,9 +45,17 @@ export const env = {
   emailUser: process.env.EMAIL_USER ?? '',
   emailPass: process.env.EMAIL_PASS ?? '',
   emailFrom: process.env.EMAIL_FROM ?? process.env.MAIL_FROM ?? '',
+  emailTransports: parseList(process.env.EMAIL_TRANSPORTS).map((name) =>
+    name.toLowerCase(),
+  ),
+  emailFileDir: process.env.EMAIL_FILE_DIR ?? 'tmp/emails',
   emailTimeout: num(process.env.EMAIL_TIMEOUT, 10000),
   emailRetryAttempts: num(process.env.EMAIL_RETRY_ATTEMPTS, 3),
+  emailRetryBaseMs: num(process.env.EMAIL_RETRY_BASE_MS, 30000),
+  emailOutboxPollMs: num(process.env.EMAIL_OUTBOX_POLL_MS, 2000),
   issueAlertTo: process.env.ISSUE_ALERT_TO ?? process.env.BUG_ALERT_TO ?? '',
+  tutorReplyTo: process.env.TUTOR_REPLY_TO ?? '',
+  defaultLocale: process.env.DEFAULT_LOCALE ?? 'en',
   summaryReportAlertTo:
     process.env.SUMMARY_REPORT_ALERT_TO ?? process.env.ISSUE_ALERT_TO ?? '',
   studentAlertTo:
@@ -40,6 +63,50 @@ export const env = {
     process.env.SUMMARY_REPORT_ALERT_TO ??
     process.env.ISSUE_ALERT_TO ??
     '',
+  // Chatflow for enrolments that match nothing in the chatflow registry
+  defaultChatflowId: process.env.DEFAULT_CHATFLOW_ID ?? '',
+  // Flowise instance that POST /chat/:enrolmentId/predict forwards to
+  flowiseBaseUrl: process.env.FLOWISE_BASE_URL ?? '',
+  flowiseApiKey: process.env.FLOWISE_API_KEY ?? '',
+  flowiseTimeoutMs: num(process.env.FLOWISE_TIMEOUT_MS, 30000),
+  flowiseWebhookSecrets: parseKeyValuePairs(
+    process.env.FLOWISE_WEBHOOK_SECRETS,
+  ),
+  webhookToleranceSeconds: num(
+    process.env.WEBHOOK_TOLERANCE_SECONDS ??
+      process.env.FLOWISE_WEBHOOK_TOLERANCE_SECONDS,
+    300,
+  ),
+  // GET /events: events kept for Last-Event-ID resume, keep-alive interval
+  eventsReplayBufferSize: num(process.env.EVENTS_REPLAY_BUFFER_SIZE, 500),
+  eventsHeartbeatSeconds: num(process.env.EVENTS_HEARTBEAT_SECONDS, 25),
+  // Outbound webhook subscriptions (see services/webhookDispatcher.js)
+  webhookDeliveryTimeoutMs: num(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS, 10000),
+  webhookDeliveryMaxAttempts: num(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS, 6),
+  webhookDeliveryRetryBaseMs: num(
+    process.env.WEBHOOK_DELIVERY_RETRY_BASE_MS,
+    30000,
+  ),
+  webhookDeliveryPollMs: num(process.env.WEBHOOK_DELIVERY_POLL_MS, 5000),
+  idempotencyTtlHours: num(process.env.IDEMPOTENCY_TTL_HOURS, 24),
+  legacyListResponses: process.env.LEGACY_LIST_RESPONSES === 'true',
+  issueDedupWindowMinutes: num(process.env.ISSUE_DEDUP_WINDOW_MINUTES, 1440),
+  resendWebhookSecret: process.env.RESEND_WEBHOOK_SECRET ?? '',
+  inboundEmailSecret: process.env.INBOUND_EMAIL_SECRET ?? '',
+  sessionSecret: process.env.SESSION_SECRET ?? '',
+  guardianPortalUrl: process.env.GUARDIAN_PORTAL_URL ?? '',
+  guardianSessionTtlMinutes: num(process.env.GUARDIAN_SESSION_TTL_MINUTES, 60),
+  studentSessionTtlMinutes: num(process.env.STUDENT_SESSION_TTL_MINUTES, 120),
+  digestEnabled: (process.env.DIGEST_ENABLED ?? 'true') !== 'false',
+  digestDefaultFrequency: process.env.DIGEST_DEFAULT_FREQUENCY ?? 'weekly',
+  digestCheckIntervalMinutes: num(process.env.DIGEST_CHECK_INTERVAL_MINUTES, 60),
+  loginTokenTtlMinutes: num(process.env.LOGIN_TOKEN_TTL_MINUTES, 15),
+  loginRateLimitMax: num(process.env.LOGIN_RATE_LIMIT_MAX, 5),
+  loginRateLimitWindowMinutes: num(
+    process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+    15,
+  ),
+  loginCodeMaxAttempts: num(process.env.LOGIN_CODE_MAX_ATTEMPTS, 5),
 };
 
 
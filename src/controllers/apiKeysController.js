@@ -0,0 +1,72 @@
+import { z } from 'zod';
+import { API_KEY_ROLES } from '../models/ApiKey.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+
+const issueSchema = z.object({
+  name: z.string().trim().min(1, 'Key name is required'),
+  role: z.enum(API_KEY_ROLES),
+});
+
+const apiKeyIdSchema = z.object({
+  id: z.string().min(1, 'API key id is required'),
+});
+
+/**
+ * Issue a new API key. The raw key is only returned in this response.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function createApiKey(req, res, next) {
+  try {
+    const body = issueSchema.parse(req.body);
+    const { key, record } = await apiKeyService.issue({
+      ...body,
+      createdBy: req.apiKey?.name ?? '',
+    });
+
+    res.status(201).json({ key, apiKey: record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List API keys (without hashes) ordered by creation date.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listApiKeys(_req, res, next) {
+  try {
+    res.json(await apiKeyService.list());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke an API key so it can no longer authenticate.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function revokeApiKey(req, res, next) {
+  try {
+    const { id } = apiKeyIdSchema.parse(req.params);
+    const record = await apiKeyService.revoke(id);
+
+    if (!record) {
+      res.status(404).json({
+        status: 404,
+        code: 'API_KEY_NOT_FOUND',
+        message: 'API key not found',
+      });
+      return;
+    }
+
+    res.json(record);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,165 @@
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { z } from 'zod';
+import { env } from '../config/env.js';
+import { Student } from '../models/Student.js';
+import { chatflowNotConfigured } from '../services/chatflowRegistry.js';
+import { flowiseClient } from '../services/flowiseClient.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+
+const predictParamsSchema = z.object({
+  enrolmentId: z
+    .string()
+    .regex(/^[a-f\d]{24}$/i, 'Enrolment id must be a 24-character hex id'),
+});
+
+// Anything else, such as a client-supplied overrideConfig, is dropped
+const predictSchema = z.object({
+  question: z.string().trim().min(1, 'Question is required'),
+  streaming: z.boolean().optional().default(false),
+  chatId: z.string().trim().min(1).optional(),
+});
+
+/**
+ * Flowise keeps conversation memory per chat id, so chat ids are namespaced
+ * to the student and enrolment: a session can only continue its own chats.
+ * @param {any} student lean Student document
+ * @param {string} enrolmentId
+ */
+const chatIdPrefix = (student, enrolmentId) =>
+  `${student._id.toString()}:${enrolmentId}:`;
+
+/**
+ * Flowise prompt variables (`{{$vars.name}}`) describing the student and
+ * the enrolment they are chatting about.
+ * @param {any} student lean Student document
+ * @param {any} enrolment
+ * @returns {Record<string, string>}
+ */
+function buildPromptVars(student, enrolment) {
+  return {
+    studentName: student.nickname || student.name,
+    subject: enrolment.subject,
+    country: enrolment.country,
+    examBody: enrolment.examBody,
+    level: enrolment.level,
+    books: (enrolment.books ?? []).join(', '),
+    examDates: (enrolment.examDates ?? []).join(', '),
+    dyslexiaColour: student.preferredColourForDyslexia ?? '',
+    locale: student.locale ?? '',
+  };
+}
+
+/**
+ * Ask the enrolment's chatflow a question through Flowise so the frontend
+ * never holds Flowise credentials. With `streaming: true` the Flowise
+ * event stream is relayed as it arrives. New conversations get a chat id
+ * scoped to the student and enrolment, returned in `X-Chat-Id`; a `chatId`
+ * from the client must carry that scope.
+ * POST /api/v1/chat/:enrolmentId/predict
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function predictForEnrolment(req, res, next) {
+  try {
+    const { enrolmentId } = predictParamsSchema.parse(req.params);
+    const { question, streaming, chatId } = predictSchema.parse(req.body);
+
+    const student = await Student.findOne({
+      'enrolments._id': enrolmentId,
+      deletedAt: null,
+      // Admin keys may chat as any student; sessions only as themselves
+      ...(req.student ? { _id: req.student.id } : {}),
+    })
+      .select('name nickname locale preferredColourForDyslexia enrolments')
+      .lean();
+    const enrolment = student?.enrolments.find(
+      (candidate) => candidate._id.toString() === enrolmentId,
+    );
+
+    if (!enrolment) {
+      res.status(404).json({
+        status: 404,
+        code: 'ENROLMENT_NOT_FOUND',
+        message: 'Enrolment not found for this student',
+      });
+      return;
+    }
+
+    const prefix = chatIdPrefix(student, enrolmentId);
+    if (chatId && (!chatId.startsWith(prefix) || chatId === prefix)) {
+      res.status(403).json({
+        status: 403,
+        code: 'CHAT_ID_FORBIDDEN',
+        message: 'This chat belongs to another student or enrolment',
+      });
+      return;
+    }
+    const scopedChatId = chatId ?? `${prefix}${randomUUID()}`;
+
+    // Stop the upstream call when the client goes away mid-answer
+    const disconnected = new AbortController();
+    res.on('close', () => disconnected.abort());
+
+    const chatflowId = enrolment.chatflowId || env.defaultChatflowId;
+    if (!chatflowId) {
+      throw chatflowNotConfigured(enrolment);
+    }
+    const upstream = await flowiseClient.predict(
+      chatflowId,
+      {
+        question,
+        streaming,
+        chatId: scopedChatId,
+        overrideConfig: { vars: buildPromptVars(student, enrolment) },
+      },
+      { signal: disconnected.signal },
+    );
+
+    if (!upstream.ok) {
+      const detail = await upstream.text().catch(() => '');
+      logger.warn(
+        { status: upstream.status, chatflowId, detail: detail.slice(0, 500) },
+        'Flowise prediction failed',
+      );
+      throw httpError(
+        502,
+        'FLOWISE_ERROR',
+        `Flowise answered with status ${upstream.status}`,
+      );
+    }
+
+    res.set('X-Chat-Id', scopedChatId);
+    const contentType = upstream.headers.get('content-type') ?? '';
+    if (contentType.includes('text/event-stream') && upstream.body) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      await pipeline(Readable.fromWeb(upstream.body), res);
+      return;
+    }
+
+    res
+      .status(upstream.status)
+      .type(contentType || 'application/json')
+      .send(Buffer.from(await upstream.arrayBuffer()));
+  } catch (error) {
+    if (res.headersSent) {
+      // Mid-stream: the client left or Flowise dropped the connection
+      if (!res.writableEnded) {
+        logger.warn({ err: error }, 'Flowise stream interrupted');
+        res.end();
+      }
+      return;
+    }
+    next(error);
+  }
+}
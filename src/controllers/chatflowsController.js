@@ -0,0 +1,200 @@
+import { z } from 'zod';
+import { Chatflow } from '../models/Chatflow.js';
+import { exactMatch, listQuerySchema, paginate } from '../utils/listQuery.js';
+
+// Registry fields without defaults, shared by create and PATCH
+const chatflowFieldsSchema = z.object({
+  name: z.string().trim().min(1, 'Chatflow name is required'),
+  subject: z.string().trim(),
+  examBody: z.string().trim(),
+  level: z.string().trim(),
+  country: z.string().trim(),
+  active: z.boolean(),
+});
+
+const createChatflowSchema = chatflowFieldsSchema.extend({
+  chatflowId: z.string().trim().min(1, 'Chatflow id is required'),
+  subject: z.string().trim().optional().default(''),
+  examBody: z.string().trim().optional().default(''),
+  level: z.string().trim().optional().default(''),
+  country: z.string().trim().optional().default(''),
+  active: z.boolean().optional().default(true),
+});
+
+const updateChatflowSchema = chatflowFieldsSchema
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Nothing to update',
+  });
+
+const chatflowIdSchema = z.object({
+  chatflowId: z.string().trim().min(1, 'Chatflow id is required'),
+});
+
+const listChatflowsQuerySchema = listQuerySchema.extend({
+  active: z
+    .enum(['true', 'false'])
+    .optional()
+    .transform((value) => (value === undefined ? undefined : value === 'true')),
+  subject: z.string().trim().min(1).optional(),
+  examBody: z.string().trim().min(1).optional(),
+  level: z.string().trim().min(1).optional(),
+  country: z.string().trim().min(1).optional(),
+});
+
+/**
+ * @param {import('express').Response} res
+ */
+function respondChatflowNotFound(res) {
+  res.status(404).json({
+    status: 404,
+    code: 'CHATFLOW_NOT_FOUND',
+    message: 'Chatflow not found',
+  });
+}
+
+/**
+ * @param {import('express').Response} res
+ */
+function respondChatflowExists(res) {
+  res.status(409).json({
+    status: 409,
+    code: 'CHATFLOW_EXISTS',
+    message: 'A chatflow with this id is already registered',
+  });
+}
+
+/**
+ * List registered chatflows with cursor pagination and optional filters.
+ * GET /api/v1/chatflows
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listChatflows(req, res, next) {
+  try {
+    const { active, subject, examBody, level, country, ...options } =
+      listChatflowsQuerySchema.parse(req.query);
+
+    const filter = {};
+    if (active !== undefined) filter.active = active;
+    if (subject) filter.subject = exactMatch(subject);
+    if (examBody) filter.examBody = exactMatch(examBody);
+    if (level) filter.level = exactMatch(level);
+    if (country) filter.country = exactMatch(country);
+
+    res.json(await paginate(Chatflow, filter, options));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Fetch one chatflow by its Flowise id.
+ * GET /api/v1/chatflows/:chatflowId
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function getChatflow(req, res, next) {
+  try {
+    const { chatflowId } = chatflowIdSchema.parse(req.params);
+    const doc = await Chatflow.findOne({ chatflowId }).lean();
+
+    if (!doc) {
+      respondChatflowNotFound(res);
+      return;
+    }
+
+    res.json(doc);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register a Flowise chatflow. Empty subject, exam body, level or country
+ * match any enrolment.
+ * POST /api/v1/chatflows
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function createChatflow(req, res, next) {
+  try {
+    const body = createChatflowSchema.parse(req.body);
+
+    if (await Chatflow.exists({ chatflowId: body.chatflowId })) {
+      respondChatflowExists(res);
+      return;
+    }
+
+    const doc = await Chatflow.create({
+      ...body,
+      createdBy: req.apiKey?.name ?? '',
+    });
+
+    res.status(201).json(doc);
+  } catch (error) {
+    if (error?.code === 11000) {
+      respondChatflowExists(res);
+      return;
+    }
+    next(error);
+  }
+}
+
+/**
+ * Edit a chatflow's name, matching criteria or active flag. Existing
+ * enrolments keep their chatflow; the changes apply to new assignments.
+ * PATCH /api/v1/chatflows/:chatflowId
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function updateChatflow(req, res, next) {
+  try {
+    const { chatflowId } = chatflowIdSchema.parse(req.params);
+    const changes = updateChatflowSchema.parse(req.body);
+
+    const doc = await Chatflow.findOneAndUpdate(
+      { chatflowId },
+      { $set: changes },
+      { new: true, lean: true, runValidators: true },
+    );
+
+    if (!doc) {
+      respondChatflowNotFound(res);
+      return;
+    }
+
+    res.json(doc);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a chatflow from the registry. Enrolments already using it keep
+ * it; to stop new assignments but keep the record, PATCH `active: false`.
+ * DELETE /api/v1/chatflows/:chatflowId
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function deleteChatflow(req, res, next) {
+  try {
+    const { chatflowId } = chatflowIdSchema.parse(req.params);
+    const doc = await Chatflow.findOneAndDelete({ chatflowId }).lean();
+
+    if (!doc) {
+      respondChatflowNotFound(res);
+      return;
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
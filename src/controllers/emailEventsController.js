@@ -0,0 +1,177 @@
+import { z } from 'zod';
+import { EmailMessage } from '../models/EmailMessage.js';
+import { EmailSuppression } from '../models/EmailSuppression.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Resend event type -> delivery status. Events not listed are recorded in
+ * the message's event log without changing its status.
+ */
+const STATUS_BY_EVENT = {
+  'email.sent': 'sent',
+  'email.delivery_delayed': 'delivery_delayed',
+  'email.delivered': 'delivered',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+};
+
+// Later statuses never move back to earlier ones (an open after a click
+// stays 'clicked'); bounces and complaints are final.
+const STATUS_RANK = {
+  unknown: 0,
+  sent: 1,
+  delivery_delayed: 2,
+  delivered: 3,
+  opened: 4,
+  clicked: 5,
+  bounced: 6,
+  complained: 7,
+};
+
+const resendEventSchema = z.object({
+  type: z.string().min(1),
+  created_at: z.string().optional(),
+  data: z
+    .object({
+      email_id: z.string().min(1),
+      to: z.union([z.string(), z.array(z.string())]).optional(),
+      bounce: z
+        .object({
+          type: z.string().optional(),
+          subType: z.string().optional(),
+          message: z.string().optional(),
+        })
+        .optional(),
+    })
+    .passthrough(),
+});
+
+const suppressionParamsSchema = z.object({
+  email: z.string().trim().toLowerCase().email(),
+});
+
+/**
+ * Add recipients to the suppression list after a hard bounce or complaint.
+ * @param {string[]} recipients
+ * @param {'hard_bounce' | 'complaint'} reason
+ * @param {string} detail
+ * @param {string} providerId
+ */
+async function suppress(recipients, reason, detail, providerId) {
+  await Promise.all(
+    recipients.map((email) =>
+      EmailSuppression.updateOne(
+        { email: email.trim().toLowerCase() },
+        { $setOnInsert: { reason, detail, providerId } },
+        { upsert: true },
+      ),
+    ),
+  );
+}
+
+/**
+ * Record a Resend delivery event against the matching email message.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function receiveResendEvent(req, res, next) {
+  try {
+    const event = resendEventSchema.parse(req.body);
+    const providerId = event.data.email_id;
+    const recipients = [event.data.to ?? []].flat();
+    const at = event.created_at ? new Date(event.created_at) : new Date();
+    const bounce = event.data.bounce;
+
+    // Transient bounces are retried by the provider and don't suppress
+    const isHardBounce =
+      event.type === 'email.bounced' &&
+      (bounce?.type ?? 'Permanent').toLowerCase() !== 'transient';
+
+    if (isHardBounce || event.type === 'email.complained') {
+      await suppress(
+        recipients,
+        isHardBounce ? 'hard_bounce' : 'complaint',
+        bounce?.message ?? '',
+        providerId,
+      );
+    }
+
+    const message = await EmailMessage.findOne({ providerId })
+      .select('deliveryStatus')
+      .lean();
+
+    if (!message) {
+      logger.info({ providerId, type: event.type }, 'Resend event for unknown email');
+      res.status(202).json({ received: true, matched: false });
+      return;
+    }
+
+    const nextStatus = STATUS_BY_EVENT[event.type];
+    const shouldAdvance =
+      nextStatus &&
+      (event.type !== 'email.bounced' || isHardBounce) &&
+      STATUS_RANK[nextStatus] > (STATUS_RANK[message.deliveryStatus] ?? 0);
+
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        ...(shouldAdvance ? { $set: { deliveryStatus: nextStatus } } : {}),
+        $push: {
+          deliveryEvents: {
+            type: event.type,
+            at,
+            recipient: recipients.join(', '),
+            detail: bounce?.message ?? '',
+          },
+        },
+      },
+    );
+
+    res.status(200).json({ received: true, matched: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * List suppressed addresses, newest first.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listEmailSuppressions(_req, res, next) {
+  try {
+    res.json(await EmailSuppression.find().sort({ createdAt: -1 }).lean());
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Remove an address from the suppression list so it can be emailed again.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function deleteEmailSuppression(req, res, next) {
+  try {
+    const { email } = suppressionParamsSchema.parse(req.params);
+    const { deletedCount } = await EmailSuppression.deleteOne({ email });
+
+    if (!deletedCount) {
+      res.status(404).json({
+        status: 404,
+        code: 'EMAIL_SUPPRESSION_NOT_FOUND',
+        message: 'Address is not suppressed',
+      });
+      return;
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,118 @@
+import { z } from 'zod';
+import {
+  EMAIL_MESSAGE_STATUSES,
+  EmailMessage,
+} from '../models/EmailMessage.js';
+import { listQuerySchema, paginate } from '../utils/listQuery.js';
+
+const listOutboxQuerySchema = listQuerySchema.extend({
+  status: z.enum(EMAIL_MESSAGE_STATUSES).optional(),
+  to: z.string().trim().toLowerCase().optional(),
+});
+
+const messageIdSchema = z.object({
+  id: z.string().min(1, 'Email message id is required'),
+});
+
+const notFound = (res) =>
+  res.status(404).json({
+    status: 404,
+    code: 'EMAIL_MESSAGE_NOT_FOUND',
+    message: 'Email message not found',
+  });
+
+/**
+ * List queued, sent and failed emails.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listEmailMessages(req, res, next) {
+  try {
+    const { status, to, ...options } = listOutboxQuerySchema.parse(req.query);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (to) filter['message.to'] = to;
+
+    res.json(await paginate(EmailMessage, filter, options));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Put a dead or cancelled email back in the queue with a fresh set of
+ * attempts.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function retryEmailMessage(req, res, next) {
+  try {
+    const { id } = messageIdSchema.parse(req.params);
+    const updated = await EmailMessage.findOneAndUpdate(
+      { _id: id, status: { $in: ['dead', 'cancelled'] } },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lastError: '',
+        },
+      },
+      { new: true, lean: true },
+    );
+
+    if (!updated) {
+      if (!(await EmailMessage.exists({ _id: id }))) {
+        notFound(res);
+        return;
+      }
+      res.status(409).json({
+        status: 409,
+        code: 'EMAIL_MESSAGE_NOT_RETRYABLE',
+        message: 'Only dead or cancelled emails can be retried',
+      });
+      return;
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Cancel an email that has not been sent yet.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function cancelEmailMessage(req, res, next) {
+  try {
+    const { id } = messageIdSchema.parse(req.params);
+    const updated = await EmailMessage.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'dead'] } },
+      { $set: { status: 'cancelled' } },
+      { new: true, lean: true },
+    );
+
+    if (!updated) {
+      if (!(await EmailMessage.exists({ _id: id }))) {
+        notFound(res);
+        return;
+      }
+      res.status(409).json({
+        status: 409,
+        code: 'EMAIL_MESSAGE_NOT_CANCELLABLE',
+        message: 'Only pending or dead emails can be cancelled',
+      });
+      return;
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+}
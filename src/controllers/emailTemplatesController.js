@@ -0,0 +1,126 @@
+import { z } from 'zod';
+import { SUPPORTED_LOCALES } from '../i18n/index.js';
+import { EMAIL_TEMPLATE_LAYOUTS } from '../models/EmailTemplate.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+
+const nameSchema = z.object({
+  name: z.string().trim().min(1, 'Template name is required'),
+});
+
+const versionParamsSchema = nameSchema.extend({
+  version: z.coerce.number().int().min(0),
+});
+
+const sourceSchema = z.object({
+  subject: z.string().min(1, 'Subject is required'),
+  html: z.string().min(1, 'HTML body is required'),
+  text: z.string().optional(),
+  layout: z.enum(EMAIL_TEMPLATE_LAYOUTS).optional(),
+});
+
+const createVersionSchema = sourceSchema.extend({
+  notes: z.string().trim().optional(),
+  activate: z.boolean().optional().default(false),
+});
+
+const previewSchema = z.object({
+  data: z.record(z.string(), z.any()).optional(),
+  version: z.number().int().min(1).optional(),
+  draft: sourceSchema.optional(),
+  locale: z.enum(SUPPORTED_LOCALES).optional(),
+});
+
+/**
+ * List built-in email templates with their stored version numbers.
+ * GET /api/v1/email-templates
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listEmailTemplates(_req, res, next) {
+  try {
+    res.json({ items: await emailTemplateService.listTemplates() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a template's built-in markup, sample data and stored versions.
+ * GET /api/v1/email-templates/:name
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function getEmailTemplate(req, res, next) {
+  try {
+    const { name } = nameSchema.parse(req.params);
+    res.json(await emailTemplateService.getTemplate(name));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Save a new version of a template, optionally activating it.
+ * POST /api/v1/email-templates/:name/versions
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function createEmailTemplateVersion(req, res, next) {
+  try {
+    const { name } = nameSchema.parse(req.params);
+    const body = createVersionSchema.parse(req.body);
+    const version = await emailTemplateService.createTemplateVersion(
+      name,
+      body,
+      req.apiKey?.name ?? '',
+    );
+
+    res.status(201).json(version);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Switch sending to a stored version (0 reverts to the built-in template).
+ * POST /api/v1/email-templates/:name/versions/:version/activate
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function activateEmailTemplateVersion(req, res, next) {
+  try {
+    const { name, version } = versionParamsSchema.parse(req.params);
+    const active = await emailTemplateService.activateTemplateVersion(
+      name,
+      version,
+    );
+
+    res.json({ name, activeVersion: version, template: active });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Render a template without sending it. Uses the template's sample data
+ * unless `data` is given, and can render an unsaved `draft` in any
+ * supported `locale`.
+ * POST /api/v1/email-templates/:name/preview
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function previewEmailTemplate(req, res, next) {
+  try {
+    const { name } = nameSchema.parse(req.params);
+    const options = previewSchema.parse(req.body ?? {});
+
+    res.json(await emailTemplateService.previewEmail(name, options));
+  } catch (error) {
+    next(error);
+  }
+}
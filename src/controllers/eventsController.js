@@ -0,0 +1,119 @@
+import { z } from 'zod';
+import { env } from '../config/env.js';
+import { EVENT_TOPICS, eventBus } from '../services/eventBus.js';
+
+const TOPIC_FAMILIES = [...new Set(EVENT_TOPICS.map((topic) => topic.split('.')[0]))];
+
+// Browsers wait this long before reconnecting a dropped EventSource
+const RECONNECT_MS = 5000;
+
+// `topics=issue.created,summaryReport.*`; empty means every topic
+const eventsQuerySchema = z.object({
+  topics: z
+    .string()
+    .optional()
+    .transform((value, ctx) => {
+      const topics = (value ?? '')
+        .split(',')
+        .map((topic) => topic.trim())
+        .filter(Boolean);
+      const unknown = topics.filter(
+        (topic) =>
+          !EVENT_TOPICS.includes(topic) &&
+          !(topic.endsWith('.*') && TOPIC_FAMILIES.includes(topic.slice(0, -2))),
+      );
+      if (unknown.length) {
+        ctx.addIssue({
+          code: 'custom',
+          message: `Unknown topics: ${unknown.join(', ')}. Use one of ${EVENT_TOPICS.join(', ')} or <family>.*`,
+        });
+        return z.NEVER;
+      }
+      return topics;
+    }),
+  // For clients that cannot send the Last-Event-ID header
+  lastEventId: z.string().trim().min(1).optional(),
+});
+
+/**
+ * @param {string[]} topics exact topics or `<family>.*`
+ * @returns {(type: string) => boolean}
+ */
+function topicMatcher(topics) {
+  if (!topics.length) {
+    return () => true;
+  }
+  return (type) =>
+    topics.some((topic) =>
+      topic.endsWith('.*')
+        ? type.startsWith(topic.slice(0, -1))
+        : topic === type,
+    );
+}
+
+/**
+ * @param {{ id?: string; type: string; data: unknown }} event
+ * @returns {string} one SSE frame
+ */
+const formatEvent = ({ id, type, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Stream domain events to staff dashboards as Server-Sent Events. Clients
+ * reconnecting with `Last-Event-ID` receive what they missed; when that is
+ * no longer possible they get a `resync` event and should reload their
+ * lists.
+ * GET /api/v1/events
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function streamEvents(req, res, next) {
+  try {
+    const query = eventsQuerySchema.parse(req.query);
+    const matches = topicMatcher(query.topics);
+    const lastEventId = req.get('last-event-id')?.trim() || query.lastEventId;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const send = (event) => {
+      if (matches(event.type)) {
+        res.write(formatEvent(event));
+      }
+    };
+
+    // Replay and subscribe run synchronously, so no event slips in between
+    if (lastEventId) {
+      const missed = eventBus.replaySince(lastEventId);
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        res.write(
+          formatEvent({ id: eventBus.latestId(), type: 'resync', data: {} }),
+        );
+      }
+    }
+    const unsubscribe = eventBus.subscribe(send);
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(
+      () => res.write(': keep-alive\n\n'),
+      env.eventsHeartbeatSeconds * 1000,
+    );
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+}
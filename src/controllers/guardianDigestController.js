@@ -0,0 +1,197 @@
+import { z } from 'zod';
+import { emailMessages } from '../i18n/index.js';
+import { escapeHtml, renderTemplate } from '../lib/templates/engine.js';
+import {
+  DIGEST_FREQUENCIES,
+  GuardianPreference,
+} from '../models/GuardianPreference.js';
+import {
+  getDigestPreference,
+  runGuardianDigests,
+} from '../services/guardianDigest.js';
+import { verifySession } from '../services/sessionTokens.js';
+
+const preferenceSchema = z.object({
+  frequency: z.enum(DIGEST_FREQUENCIES),
+});
+
+const unsubscribeSchema = z.object({
+  token: z.string().trim().min(1, 'Token is required'),
+});
+
+const runSchema = z.object({
+  dryRun: z.boolean().default(true),
+  email: z.string().trim().toLowerCase().email('Email must be valid').optional(),
+});
+
+const formatPreference = (pref) => ({
+  frequency: pref.digestFrequency,
+  lastDigestSentAt: pref.lastDigestSentAt ?? null,
+  unsubscribedAt: pref.unsubscribedAt ?? null,
+});
+
+/**
+ * Get the signed-in guardian's digest settings.
+ * GET /api/guardians/digest-preferences
+ * @param {import('express').Request & { guardian: { email: string } }} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function getDigestPreferences(req, res, next) {
+  try {
+    const pref = await getDigestPreference(req.guardian.email);
+    res.json({ success: true, data: formatPreference(pref) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change how often the signed-in guardian receives digests.
+ * PUT /api/guardians/digest-preferences
+ * @param {import('express').Request & { guardian: { email: string } }} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function updateDigestPreferences(req, res, next) {
+  try {
+    const { frequency } = preferenceSchema.parse(req.body);
+    const pref = await GuardianPreference.findOneAndUpdate(
+      { email: req.guardian.email },
+      {
+        $set: {
+          digestFrequency: frequency,
+          unsubscribedAt: frequency === 'off' ? new Date() : null,
+        },
+      },
+      { upsert: true, new: true, lean: true },
+    );
+
+    res.json({ success: true, data: formatPreference(pref) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Answer the unsubscribe link in the caller's language with a bare page.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} content HTML for the page body
+ */
+function sendUnsubscribePage(req, res, content) {
+  const title = emailMessages(req.locale, 'guardianDigest').unsubscribe;
+  res.set('Content-Language', req.locale);
+  res
+    .type('html')
+    .send(
+      `<!doctype html><html lang="${req.locale}"><head><meta charset="utf-8">` +
+        '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+        `<title>${escapeHtml(title)}</title></head><body>${content}</body></html>`,
+    );
+}
+
+/**
+ * Email address from the signed unsubscribe token, or null after answering
+ * 400 for a bad one.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {string | null}
+ */
+function readUnsubscribeEmail(req, res) {
+  const { token } = unsubscribeSchema.parse(req.query);
+  const claims = verifySession(token, 'digest_unsubscribe');
+
+  if (!claims?.email) {
+    res.status(400).json({
+      status: 400,
+      code: 'UNSUBSCRIBE_TOKEN_INVALID',
+      message: 'This unsubscribe link is invalid or has expired',
+    });
+    return null;
+  }
+  return claims.email;
+}
+
+/**
+ * Ask the guardian to confirm before unsubscribing. The link only shows a
+ * form, so mail scanners that prefetch it change nothing.
+ * GET /api/guardians/digest/unsubscribe?token=
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function confirmDigestUnsubscribe(req, res, next) {
+  try {
+    const email = readUnsubscribeEmail(req, res);
+    if (!email) {
+      return;
+    }
+
+    const messages = emailMessages(req.locale, 'guardianDigest');
+    sendUnsubscribePage(
+      req,
+      res,
+      `<p>${renderTemplate(messages.unsubscribeConfirm, [{ email }])}</p>` +
+        // No action: the form posts back to this URL, token included
+        `<form method="post"><button type="submit">${escapeHtml(messages.unsubscribeButton)}</button></form>`,
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Turn digests off. Posted by the confirmation page, and by mail clients
+ * for one-click List-Unsubscribe (RFC 8058).
+ * POST /api/guardians/digest/unsubscribe?token=
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function unsubscribeFromDigest(req, res, next) {
+  try {
+    const email = readUnsubscribeEmail(req, res);
+    if (!email) {
+      return;
+    }
+
+    await GuardianPreference.updateOne(
+      { email },
+      { $set: { digestFrequency: 'off', unsubscribedAt: new Date() } },
+      { upsert: true },
+    );
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      const messages = emailMessages(req.locale, 'guardianDigest');
+      sendUnsubscribePage(req, res, `<p>${escapeHtml(messages.unsubscribed)}</p>`);
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive learning summary emails',
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Run the digest job on demand. Defaults to a dry run, which returns the
+ * rendered emails instead of sending them.
+ * POST /api/guardians/digests/run
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function runDigests(req, res, next) {
+  try {
+    const { dryRun, email } = runSchema.parse(req.body ?? {});
+    const results = await runGuardianDigests({ dryRun, email });
+
+    res.json({ success: true, dryRun, count: results.length, data: results });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -1,20 +1,178 @@
-import { Student } from '../models/Student.js';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { env } from '../config/env.js';
+import { resolveLocale } from '../i18n/index.js';
+import { Student, findGuardian } from '../models/Student.js';
+import { emailService } from '../services/emailService.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+import { loginTokenService } from '../services/loginTokenService.js';
+import { signSession } from '../services/sessionTokens.js';
+import { buildStudentProgress } from '../services/studentProgress.js';
+import { logger } from '../utils/logger.js';
+
+const GUARDIAN_LOGIN = 'guardian_login';
+
+const loginSchema = z.object({
+  email: z.string().trim().toLowerCase().email('Email must be valid'),
+});
+
+const sessionSchema = z.object({
+  token: z.string().trim().min(1, 'Token is required'),
+});
+
+const progressQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
 
 /**
- * Verify if guardian email exists and has linked students
- * POST /api/guardians/verify-email
+ * Extract client metadata from the request headers/socket.
+ * @param {import('express').Request} req
+ * @returns {{ ip: string; userAgent: string }}
  */
-export const verifyGuardianEmail = async (req, res) => {
+function extractClient(req) {
+  const forwardedHeader = req.headers['x-forwarded-for'];
+  const forwardedValue = Array.isArray(forwardedHeader)
+    ? forwardedHeader[0]
+    : forwardedHeader;
+  const forwarded =
+    typeof forwardedValue === 'string' ? forwardedValue : undefined;
+  const ip =
+    forwarded?.split(',')[0]?.trim() || req.socket?.remoteAddress || '';
+  const userAgentHeader = req.headers['user-agent'];
+  const userAgent = Array.isArray(userAgentHeader)
+    ? userAgentHeader.join(', ')
+    : userAgentHeader ?? '';
+  return { ip, userAgent };
+}
+
+const buildLoginLink = (token) => {
+  const base = env.guardianPortalUrl || `${env.appUrl}/guardian/login`;
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a one-time sign-in link to a guardian.
+ * Always answers 202 so the endpoint cannot be used to discover which
+ * emails belong to guardians.
+ * POST /api/guardians/login
+ */
+export const requestGuardianLogin = async (req, res, next) => {
+  try {
+    const { email } = loginSchema.parse(req.body);
+    const student = await Student.findOne({
+      'guardians.email': email,
+      deletedAt: null,
+    })
+      .select('locale guardians.email guardians.locale')
+      .lean();
+
+    const login =
+      student &&
+      (await loginTokenService.issue({
+        purpose: GUARDIAN_LOGIN,
+        email,
+        client: extractClient(req),
+      }));
+
+    if (student && !login) {
+      logger.warn({ studentId: student._id }, 'Guardian login rate limited');
+    }
+
+    if (login) {
+      const { subject, html, text } = await emailTemplateService.renderEmail(
+        'guardianLogin',
+        {
+          link: buildLoginLink(login.token),
+          expiresInMinutes: env.loginTokenTtlMinutes,
+        },
+        {
+          locale: resolveLocale(
+            findGuardian(student, email)?.locale,
+            req.acceptedLocale,
+            student.locale,
+          ),
+        },
+      );
+      const result = await emailService.send({
+        to: email,
+        subject,
+        html,
+        text,
+        tags: [{ name: 'category', value: 'guardian_login' }],
+      });
+
+      if (!result.success) {
+        logger.warn({ err: result.error }, 'Failed to send guardian login email');
+      }
+    }
+
+    res.status(202).json({
+      message: 'If this email is linked to a student, a sign-in link is on its way.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a one-time sign-in token for a short-lived guardian session.
+ * POST /api/guardians/session
+ */
+export const createGuardianSession = async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { token } = sessionSchema.parse(req.body);
+    const login = await loginTokenService.consume({
+      purpose: GUARDIAN_LOGIN,
+      token,
+    });
 
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
+    if (!login) {
+      return res.status(401).json({
+        status: 401,
+        code: 'LOGIN_TOKEN_INVALID',
+        message: 'This sign-in link is invalid or has expired',
+      });
     }
 
+    const student = await Student.findOne({
+      'guardians.email': login.email,
+      deletedAt: null,
+    })
+      .select('guardians.email guardians.locale')
+      .lean();
+    const locale = resolveLocale(
+      findGuardian(student, login.email)?.locale,
+      req.acceptedLocale,
+    );
+    const session = signSession(
+      { sub: 'guardian', email: login.email, locale },
+      env.guardianSessionTtlMinutes,
+    );
+
+    res.status(201).json({
+      sessionToken: session.token,
+      expiresAt: session.expiresAt.toISOString(),
+      guardian: { email: login.email, locale },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm the signed-in guardian has linked students
+ * POST /api/guardians/verify-email
+ */
+export const verifyGuardianEmail = async (req, res) => {
+  try {
+    const { email } = req.guardian;
+
     // Find all students with this guardian email
     const students = await Student.find({
-      'guardian.email': email.toLowerCase().trim(),
+      'guardians.email': email,
+      deletedAt: null,
     }).select('_id name nickname email');
 
     if (!students || students.length === 0) {
@@ -26,7 +184,7 @@ export const verifyGuardianEmail = async (req, res) => {
     res.json({
       message: 'Guardian email verified',
       studentCount: students.length,
-      guardianEmail: email.toLowerCase().trim(),
+      guardianEmail: email,
     });
   } catch (error) {
     console.error('Error verifying guardian email:', error);
@@ -37,21 +195,18 @@ export const verifyGuardianEmail = async (req, res) => {
 };
 
 /**
- * Get all students for a guardian email
- * GET /api/guardians/students?email=guardian@example.com
+ * Get all students for the signed-in guardian
+ * GET /api/guardians/students
  */
 export const getStudentsByGuardianEmail = async (req, res) => {
   try {
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
-    }
+    const { email } = req.guardian;
 
     // Find all students with this guardian email
     const students = await Student.find({
-      'guardian.email': email.toLowerCase().trim(),
-    }).select('_id name nickname email enrolments');
+      'guardians.email': email,
+      deletedAt: null,
+    }).select('_id name nickname email enrolments guardians');
 
     if (!students || students.length === 0) {
       return res.status(404).json({
@@ -60,20 +215,27 @@ export const getStudentsByGuardianEmail = async (req, res) => {
     }
 
     res.json({
-      guardianEmail: email.toLowerCase().trim(),
-      students: students.map((student) => ({
-        _id: student._id.toString(),
-        name: student.name,
-        nickname: student.nickname || null,
-        email: student.email,
-        enrolmentCount: student.enrolments?.length || 0,
-        enrolments: (student.enrolments || []).map((enrolment) => ({
-          subject: enrolment.subject,
-          country: enrolment.country,
-          examBody: enrolment.examBody,
-          level: enrolment.level,
-        })),
-      })),
+      guardianEmail: email,
+      students: students.map((student) => {
+        const guardian = findGuardian(student, email);
+        return {
+          _id: student._id.toString(),
+          name: student.name,
+          nickname: student.nickname || null,
+          email: student.email,
+          relationship: guardian?.relationship || null,
+          primary: Boolean(guardian?.primary),
+          enrolmentCount: student.enrolments?.length || 0,
+          enrolments: (student.enrolments || []).map((enrolment) => ({
+            _id: enrolment._id?.toString(),
+            subject: enrolment.subject,
+            country: enrolment.country,
+            examBody: enrolment.examBody,
+            level: enrolment.level,
+            status: enrolment.status || 'active',
+          })),
+        };
+      }),
     });
   } catch (error) {
     console.error('Error fetching students for guardian:', error);
@@ -82,3 +244,38 @@ export const getStudentsByGuardianEmail = async (req, res) => {
     });
   }
 };
+
+/**
+ * Progress for one of the signed-in guardian's students, the same view
+ * staff get from `GET /students/:id/progress`. Students the guardian is not
+ * linked to answer 404.
+ * GET /api/guardians/students/:id/progress
+ */
+export const getGuardianStudentProgress = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const range = progressQuerySchema.parse(req.query);
+
+    const student = mongoose.isValidObjectId(id)
+      ? await Student.findOne({
+          _id: id,
+          'guardians.email': req.guardian.email,
+          deletedAt: null,
+        })
+          .select('enrolments')
+          .lean()
+      : null;
+
+    if (!student) {
+      return res.status(404).json({
+        status: 404,
+        code: 'STUDENT_NOT_FOUND',
+        message: 'Student not found',
+      });
+    }
+
+    res.json(await buildStudentProgress(student, range));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,316 @@
+import { z } from 'zod';
+import { Issue } from '../models/Issue.js';
+import { COMMENT_VISIBILITIES, IssueComment } from '../models/IssueComment.js';
+import { emailService } from '../services/emailService.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+import { logger } from '../utils/logger.js';
+import { sanitizeMarkdown } from '../utils/sanitizeMarkdown.js';
+
+const issueIdSchema = z.object({
+  id: z.string().min(1, 'Issue id is required'),
+});
+
+const createCommentSchema = z.object({
+  body: z.string().trim().min(1, 'Comment body is required').max(20000),
+  visibility: z.enum(COMMENT_VISIBILITIES).optional().default('internal'),
+  authorName: z.string().trim().optional(),
+  notifyReporter: z.boolean().optional().default(false),
+});
+
+const listCommentsQuerySchema = z.object({
+  visibility: z.enum(COMMENT_VISIBILITIES).optional(),
+});
+
+/**
+ * Inbound email payload. Providers are expected to be configured (or
+ * adapted) to post this shape; locally a stub can be sent with e.g.
+ *
+ *   curl -X POST localhost:8000/api/v1/webhooks/inbound-email \
+ *     -H 'content-type: application/json' \
+ *     -d '{"messageId":"<abc@mail.example.com>","from":"Sam <sam@example.com>","to":"support+issue-<id>@example.com","subject":"Re: [#<id>] Broken link","text":"Still broken"}'
+ *
+ * `messageId` is the provider's id for the email; a retried delivery with
+ * the same id is answered with the comment it already created.
+ */
+const inboundEmailSchema = z.object({
+  messageId: z.string().trim().max(998).optional().default(''),
+  from: z.string().trim().min(1),
+  to: z.union([z.string(), z.array(z.string())]),
+  subject: z.string().optional().default(''),
+  text: z.string().optional().default(''),
+  html: z.string().optional().default(''),
+});
+
+const OBJECT_ID = '[a-f0-9]{24}';
+
+const notFound = (res) =>
+  res.status(404).json({
+    status: 404,
+    code: 'ISSUE_NOT_FOUND',
+    message: 'Issue not found',
+  });
+
+/**
+ * Pull the bare address out of `Name <address>` strings.
+ * @param {string} value
+ * @returns {string}
+ */
+const parseAddress = (value) =>
+  (value.match(/<([^>]+)>/)?.[1] ?? value).trim().toLowerCase();
+
+/**
+ * Work out which issue an inbound reply belongs to, from the plus-addressed
+ * recipient first and the `[#id]` subject marker second.
+ * @param {string[]} recipients
+ * @param {string} subject
+ * @returns {string | undefined}
+ */
+function resolveIssueId(recipients, subject) {
+  const pattern = new RegExp(`\\+issue-(${OBJECT_ID})@`, 'i');
+  for (const recipient of recipients) {
+    const match = recipient.match(pattern);
+    if (match) return match[1];
+  }
+
+  return subject.match(new RegExp(`\\[#(${OBJECT_ID})\\]`, 'i'))?.[1];
+}
+
+/**
+ * Keep only the new part of an email reply, dropping quoted history.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripQuotedReply(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    if (
+      /^On .+wrote:\s*$/.test(line.trim()) ||
+      /^-{2,}\s*Original Message/i.test(line.trim())
+    ) {
+      break;
+    }
+    if (!line.startsWith('>')) {
+      kept.push(line);
+    }
+  }
+
+  return kept.join('\n').trim();
+}
+
+/**
+ * Email a public comment to the issue reporter with a reply-to address that
+ * routes answers back into the thread.
+ * @param {any} issue lean issue document
+ * @param {any} comment comment document
+ * @returns {Promise<boolean>} whether the email was sent
+ */
+async function emailReporter(issue, comment) {
+  if (!issue.email || !z.string().email().safeParse(issue.email).success) {
+    logger.warn(
+      { issueId: issue._id },
+      'Issue has no valid reporter email; skipping comment email.',
+    );
+    return false;
+  }
+
+  try {
+    const issueId = issue._id.toString();
+    const { subject, html, text } = await emailTemplateService.renderEmail(
+      'issueComment',
+      {
+        issueId,
+        title: issue.title,
+        name: issue.name,
+        authorName: comment.author.name || 'Our support team',
+        body: comment.body,
+      },
+      { locale: issue.locale },
+    );
+    const result = await emailService.send({
+      to: issue.email,
+      subject,
+      html,
+      text,
+      replyTo: emailService.buildThreadReplyTo(`issue-${issueId}`),
+      headers: { 'X-Issue-Id': issueId },
+      tags: [{ name: 'category', value: 'issue_comment' }],
+    });
+
+    if (!result.success && !result.skipped) {
+      logger.warn({ err: result.error }, 'Failed to send issue comment email');
+      return false;
+    }
+    return result.success;
+  } catch (error) {
+    logger.warn({ err: error }, 'Failed to send issue comment email');
+    return false;
+  }
+}
+
+/**
+ * Add a staff comment to an issue.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function createIssueComment(req, res, next) {
+  try {
+    const { id } = issueIdSchema.parse(req.params);
+    const body = createCommentSchema.parse(req.body);
+    const sanitized = sanitizeMarkdown(body.body);
+
+    if (!sanitized) {
+      res.status(400).json({
+        status: 400,
+        code: 'COMMENT_EMPTY',
+        message: 'Comment is empty after removing unsupported content',
+      });
+      return;
+    }
+
+    const issue = await Issue.findById(id).lean();
+    if (!issue) {
+      notFound(res);
+      return;
+    }
+
+    const comment = await IssueComment.create({
+      issueId: issue._id,
+      author: {
+        name: body.authorName || req.apiKey?.name || '',
+        type: 'staff',
+      },
+      body: sanitized,
+      visibility: body.visibility,
+      source: 'api',
+    });
+
+    if (body.visibility === 'public' && body.notifyReporter) {
+      if (await emailReporter(issue, comment)) {
+        comment.emailQueuedAt = new Date();
+        await comment.save();
+      }
+    }
+
+    res.status(201).json(comment);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * List an issue's comments in the order they were written.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listIssueComments(req, res, next) {
+  try {
+    const { id } = issueIdSchema.parse(req.params);
+    const { visibility } = listCommentsQuerySchema.parse(req.query);
+
+    if (!(await Issue.exists({ _id: id }))) {
+      notFound(res);
+      return;
+    }
+
+    const filter = { issueId: id };
+    if (visibility) filter.visibility = visibility;
+
+    const items = await IssueComment.find(filter).sort({ createdAt: 1 }).lean();
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Answer a retried inbound email with the comment its first delivery
+ * created, if there is one.
+ * @param {import('express').Response} res
+ * @param {string} messageId
+ * @returns {Promise<boolean>} whether a response was sent
+ */
+async function respondIfAlreadyPosted(res, messageId) {
+  if (!messageId) {
+    return false;
+  }
+  const existing = await IssueComment.findOne({ messageId })
+    .select('_id')
+    .lean();
+  if (!existing) {
+    return false;
+  }
+  res.set('Idempotent-Replayed', 'true');
+  res.status(201).json({ received: true, matched: true, id: existing._id });
+  return true;
+}
+
+/**
+ * Turn an inbound email reply into a public comment on its issue.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function receiveInboundEmail(req, res, next) {
+  let email;
+  try {
+    email = inboundEmailSchema.parse(req.body);
+    if (await respondIfAlreadyPosted(res, email.messageId)) {
+      return;
+    }
+
+    const recipients = Array.isArray(email.to) ? email.to : [email.to];
+    const issueId = resolveIssueId(recipients, email.subject);
+
+    if (!issueId) {
+      res.status(202).json({ received: true, matched: false });
+      return;
+    }
+
+    const issue = await Issue.findById(issueId).lean();
+    if (!issue) {
+      res.status(202).json({ received: true, matched: false });
+      return;
+    }
+
+    const plain = email.text || email.html.replace(/<[^>]+>/g, ' ');
+    const body = sanitizeMarkdown(stripQuotedReply(plain));
+    if (!body) {
+      res.status(202).json({ received: true, matched: true, empty: true });
+      return;
+    }
+
+    const fromAddress = parseAddress(email.from);
+    const fromName = email.from.match(/^\s*"?([^"<]+?)"?\s*</)?.[1] ?? '';
+    const comment = await IssueComment.create({
+      issueId: issue._id,
+      author: {
+        name: fromName,
+        email: fromAddress,
+        type:
+          fromAddress === issue.email?.trim().toLowerCase()
+            ? 'reporter'
+            : 'external',
+      },
+      body,
+      visibility: 'public',
+      source: 'email',
+      messageId: email.messageId,
+    });
+
+    res.status(201).json({ received: true, matched: true, id: comment._id });
+  } catch (err) {
+    // A parallel retry of the same email got there first
+    if (
+      err?.code === 11000 &&
+      email?.messageId &&
+      (await respondIfAlreadyPosted(res, email.messageId).catch(() => false))
+    ) {
+      return;
+    }
+    next(err);
+  }
+}
@@ -1,8 +1,23 @@
+import { createHash } from 'crypto';
 import { z } from 'zod';
 import { env } from '../config/env.js';
+import { normalizeLocale } from '../i18n/index.js';
 import { emailService } from '../services/emailService.js';
-import { Issue } from '../models/Issue.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+import { eventBus } from '../services/eventBus.js';
+import {
+  Issue,
+  ISSUE_PRIORITIES,
+  ISSUE_STATUSES,
+  ISSUE_STATUS_TRANSITIONS,
+} from '../models/Issue.js';
+import { IssueComment } from '../models/IssueComment.js';
 import { logger } from '../utils/logger.js';
+import {
+  listQuerySchema,
+  paginate,
+  sendLegacyListPage,
+} from '../utils/listQuery.js';
 
 /**
  * @typedef {Object} SimplifiedIssue
@@ -15,6 +30,8 @@ import { logger } from '../utils/logger.js';
  * @property {string} [sessionId]
  * @property {string} [chatflowId]
  * @property {string} [nodeId]
+ * @property {string} [locale] reporter's language for follow-up emails
+ * @property {string} [sourceId] Flowise webhook `id`
  */
 
 const flowiseSchema = z.object({
@@ -29,6 +46,7 @@ const flowiseSchema = z.object({
     sessionId: z.string().optional(),
     chatflowId: z.string().optional(),
     nodeId: z.string().optional(),
+    locale: z.string().optional(),
   }),
 });
 
@@ -42,12 +60,56 @@ const manualSchema = z.object({
   sessionId: z.string().optional(),
   chatflowId: z.string().optional(),
   nodeId: z.string().optional(),
+  locale: z.string().optional(),
+});
+
+const listIssuesQuerySchema = listQuerySchema.extend({
+  status: z.enum(ISSUE_STATUSES).optional(),
+  label: z.string().trim().min(1).optional(),
+  chatflowId: z.string().trim().min(1).optional(),
 });
 
 const issueIdSchema = z.object({
   id: z.string().min(1, 'Issue id is required'),
 });
 
+const mergeIssuesSchema = z.object({
+  duplicateIds: z
+    .array(z.string().min(1))
+    .min(1, 'At least one duplicate issue id is required'),
+  note: z.string().trim().optional().default(''),
+});
+
+const MAX_TRACKED_OCCURRENCES = 50;
+
+/** Statuses that still collect repeats of the same problem. */
+const DEDUP_STATUSES = ['open', 'triaged', 'in_progress'];
+
+const labelListSchema = z
+  .array(z.string().trim().min(1))
+  .optional()
+  .default([]);
+
+const updateIssueSchema = z
+  .object({
+    status: z.enum(ISSUE_STATUSES).optional(),
+    priority: z.enum(ISSUE_PRIORITIES).optional(),
+    assignee: z.string().trim().optional(),
+    addLabels: labelListSchema,
+    removeLabels: labelListSchema,
+    note: z.string().trim().optional().default(''),
+    notifyReporter: z.boolean().optional().default(false),
+  })
+  .refine(
+    (data) =>
+      data.status !== undefined ||
+      data.priority !== undefined ||
+      data.assignee !== undefined ||
+      data.addLabels.length > 0 ||
+      data.removeLabels.length > 0,
+    { message: 'Nothing to update' },
+  );
+
 /**
  * @typedef {Object} ClientInfo
  * @property {string} ip
@@ -92,6 +154,7 @@ function parseFlowiseIssuePayload(input) {
     sessionId,
     chatflowId,
     nodeId,
+    locale,
   } = parsed.payload;
 
   return {
@@ -104,6 +167,8 @@ function parseFlowiseIssuePayload(input) {
     sessionId,
     chatflowId,
     nodeId,
+    locale,
+    sourceId: parsed.id,
   };
 }
 
@@ -117,27 +182,10 @@ async function maybeSendIssueEmail(issue) {
   }
 
   try {
-    const subject = `New Issue: ${issue.title}`;
-    const lines = [
-      `Source: ${issue.source}`,
-      issue.description ? `Description: ${issue.description}` : undefined,
-      issue.date ? `Date: ${issue.date}` : undefined,
-      issue.name ? `Name: ${issue.name}` : undefined,
-      issue.email ? `Email: ${issue.email}` : undefined,
-      issue.chatId ? `Chat ID: ${issue.chatId}` : undefined,
-      issue.sessionId ? `Session ID: ${issue.sessionId}` : undefined,
-      issue.chatflowId ? `Chatflow ID: ${issue.chatflowId}` : undefined,
-      issue.nodeId ? `Node ID: ${issue.nodeId}` : undefined,
-    ].filter(Boolean);
-
-    if (!lines.length) {
-      return;
-    }
-
-    const html = `<p>${lines
-      .map((line) => line.replace(/\n/g, '<br />'))
-      .join('</p><p>')}</p>`;
-    const text = lines.join('\n');
+    const { subject, html, text } = await emailTemplateService.renderEmail(
+      'issueAlert',
+      issue,
+    );
 
     const result = await emailService.send({
       to: env.issueAlertTo,
@@ -153,6 +201,112 @@ async function maybeSendIssueEmail(issue) {
     logger.warn({ err: error }, 'Failed to send issue alert email');
   }
 }
+/**
+ * Fingerprint an issue so repeats of the same problem can be grouped.
+ * Titles are compared case-insensitively with numbers and punctuation
+ * removed, so "Error 502 on step 3" and "error 504 on step 4!" match.
+ * @param {SimplifiedIssue} issue
+ * @returns {string}
+ */
+function fingerprintIssue(issue) {
+  const normalizedTitle = (issue.title ?? '')
+    .toLowerCase()
+    .replace(/[0-9]+/g, '#')
+    .replace(/[^\p{L}#]+/gu, ' ')
+    .trim();
+
+  return createHash('sha1')
+    .update(
+      [normalizedTitle, issue.chatflowId?.trim() ?? '', issue.nodeId?.trim() ?? '']
+        .join('|'),
+    )
+    .digest('hex');
+}
+
+/**
+ * Describe one report of an issue for its occurrence log.
+ * @param {SimplifiedIssue} issue
+ */
+const buildOccurrence = (issue) => ({
+  at: new Date(),
+  description: issue.description ?? '',
+  chatId: issue.chatId ?? '',
+  sessionId: issue.sessionId ?? '',
+  sourceId: issue.sourceId ?? '',
+});
+
+/**
+ * Issue already recorded for a Flowise delivery, either as the first report
+ * or as a repeat occurrence. Flowise retries reuse the webhook `id`, and
+ * this outlives the idempotency record.
+ * @param {string | undefined} sourceId
+ * @returns {Promise<any | null>}
+ */
+async function findFlowiseDelivery(sourceId) {
+  if (!sourceId) {
+    return null;
+  }
+
+  return Issue.findOne({
+    $or: [
+      { source: 'flowise', sourceId },
+      { 'occurrences.sourceId': sourceId },
+    ],
+  }).lean();
+}
+
+/**
+ * Answer a Flowise retry the way its first delivery was answered: a plain
+ * receipt when it opened the issue, the repeat receipt when it was counted
+ * as an occurrence. Used for retries the idempotency layer could not replay.
+ * @param {import('express').Response} res
+ * @param {any} issue lean Issue document
+ * @param {string} sourceId
+ */
+function respondAlreadyReceived(res, issue, sourceId) {
+  res.set('Idempotent-Replayed', 'true');
+  if (issue.source === 'flowise' && issue.sourceId === sourceId) {
+    res.status(202).json({ received: true, id: issue._id });
+    return;
+  }
+  res.status(202).json({
+    received: true,
+    id: issue._id,
+    duplicate: true,
+    occurrenceCount: issue.occurrenceCount,
+  });
+}
+
+/**
+ * Record a repeat on the live issue with the same fingerprint, if any.
+ * @param {string} fingerprint
+ * @param {SimplifiedIssue} issue
+ * @returns {Promise<any | null>} the updated issue, or null when it is new
+ */
+async function recordRepeatOccurrence(fingerprint, issue) {
+  const windowStart = new Date(
+    Date.now() - env.issueDedupWindowMinutes * 60 * 1000,
+  );
+  const occurrence = buildOccurrence(issue);
+
+  return Issue.findOneAndUpdate(
+    {
+      fingerprint,
+      status: { $in: DEDUP_STATUSES },
+      mergedInto: null,
+      lastOccurredAt: { $gte: windowStart },
+    },
+    {
+      $inc: { occurrenceCount: 1 },
+      $set: { lastOccurredAt: occurrence.at },
+      $push: {
+        occurrences: { $each: [occurrence], $slice: -MAX_TRACKED_OCCURRENCES },
+      },
+    },
+    { new: true, sort: { lastOccurredAt: -1 }, lean: true },
+  );
+}
+
 /**
  * Prepare Mongo document payload for an issue.
  * @param {SimplifiedIssue} issue
@@ -160,11 +314,16 @@ async function maybeSendIssueEmail(issue) {
  * @param {ClientInfo} client
  */
 function buildIssueDocument(issue, source, client) {
+  const occurrence = buildOccurrence(issue);
   const baseDocument = {
     source,
     title: issue.title,
     description: issue.description ?? '',
     details: issue.date ?? '',
+    fingerprint: fingerprintIssue(issue),
+    occurrences: [occurrence],
+    lastOccurredAt: occurrence.at,
+    locale: normalizeLocale(issue.locale) ?? '',
     client,
   };
 
@@ -176,24 +335,82 @@ function buildIssueDocument(issue, source, client) {
     ...(issue.sessionId !== undefined ? { sessionId: issue.sessionId } : {}),
     ...(issue.chatflowId !== undefined ? { chatflowId: issue.chatflowId } : {}),
     ...(issue.nodeId !== undefined ? { nodeId: issue.nodeId } : {}),
+    ...(issue.sourceId !== undefined ? { sourceId: issue.sourceId } : {}),
+  };
+}
+/**
+ * Event payload for `issue.created` / `issue.updated`.
+ * @param {any} issue lean Issue document
+ * @param {string[]} [changes] fields an update touched
+ */
+function toIssueEvent(issue, changes) {
+  return {
+    _id: issue._id.toString(),
+    title: issue.title,
+    status: issue.status,
+    priority: issue.priority,
+    labels: issue.labels ?? [],
+    source: issue.source,
+    chatflowId: issue.chatflowId ?? '',
+    occurrenceCount: issue.occurrenceCount ?? 1,
+    ...(changes ? { changes } : {}),
   };
 }
+
 /**
- * Handle Flowise webhook submissions.
+ * Handle Flowise webhook submissions. A delivery whose webhook `id` was
+ * already recorded gets the existing issue back.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 export async function createIssueFromFlowise(req, res, next) {
+  let simplified;
   try {
-    const simplified = parseFlowiseIssuePayload(req.body);
+    simplified = parseFlowiseIssuePayload(req.body);
     const client = extractClient(req);
+
+    const delivered = await findFlowiseDelivery(simplified.sourceId);
+    if (delivered) {
+      respondAlreadyReceived(res, delivered, simplified.sourceId);
+      return;
+    }
+
+    const repeat = await recordRepeatOccurrence(
+      fingerprintIssue(simplified),
+      simplified,
+    );
+    if (repeat) {
+      eventBus.publish(
+        'issue.updated',
+        toIssueEvent(repeat, ['occurrenceCount']),
+      );
+      res.status(202).json({
+        received: true,
+        id: repeat._id,
+        duplicate: true,
+        occurrenceCount: repeat.occurrenceCount,
+      });
+      return;
+    }
+
     const doc = await Issue.create(
       buildIssueDocument(simplified, 'flowise', client),
     );
+    eventBus.publish('issue.created', toIssueEvent(doc));
     await maybeSendIssueEmail({ ...simplified, source: 'flowise' });
     res.status(202).json({ received: true, id: doc._id });
   } catch (err) {
+    // A parallel retry of the same delivery won the insert
+    if (err?.code === 11000 && simplified?.sourceId) {
+      const delivered = await findFlowiseDelivery(simplified.sourceId).catch(
+        () => null,
+      );
+      if (delivered) {
+        respondAlreadyReceived(res, delivered, simplified.sourceId);
+        return;
+      }
+    }
     next(err);
   }
 }
@@ -208,7 +425,14 @@ export async function createIssue(req, res, next) {
   try {
     const body = manualSchema.parse(req.body);
     const client = extractClient(req);
-    const doc = await Issue.create(buildIssueDocument(body, 'manual', client));
+    const doc = await Issue.create(
+      buildIssueDocument(
+        { ...body, locale: body.locale ?? req.acceptedLocale ?? undefined },
+        'manual',
+        client,
+      ),
+    );
+    eventBus.publish('issue.created', toIssueEvent(doc));
     await maybeSendIssueEmail({ ...body, source: 'manual' });
     res.status(201).json(doc);
   } catch (err) {
@@ -217,15 +441,22 @@ export async function createIssue(req, res, next) {
 }
 
 /**
- * List issues in reverse chronological order.
- * @param {import('express').Request} _req
+ * List issues with cursor pagination, filtered by status, label or chatflow.
+ * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
-export async function listIssues(_req, res, next) {
+export async function listIssues(req, res, next) {
   try {
-    const list = await Issue.find().sort({ createdAt: -1 }).lean();
-    res.json(list);
+    const { status, label, chatflowId, ...options } =
+      listIssuesQuerySchema.parse(req.query);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (label) filter.labels = label;
+    if (chatflowId) filter.chatflowId = chatflowId;
+
+    sendLegacyListPage(res, await paginate(Issue, filter, options));
   } catch (err) {
     next(err);
   }
@@ -258,3 +489,345 @@ export async function getIssue(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * Email the reporter that their issue was resolved.
+ * @param {any} issue lean issue document
+ * @param {string} note optional resolution note
+ */
+async function notifyReporterResolved(issue, note) {
+  if (!issue.email || !z.string().email().safeParse(issue.email).success) {
+    logger.warn(
+      { issueId: issue._id },
+      'Issue has no valid reporter email; skipping resolution email.',
+    );
+    return;
+  }
+
+  try {
+    const { subject, html, text } = await emailTemplateService.renderEmail(
+      'issueResolved',
+      { title: issue.title, name: issue.name, note },
+      { locale: issue.locale },
+    );
+    const result = await emailService.send({
+      to: issue.email,
+      subject,
+      html,
+      text,
+      tags: [{ name: 'category', value: 'issue_resolved' }],
+    });
+
+    if (!result.success && !result.skipped) {
+      logger.warn({ err: result.error }, 'Failed to send issue resolved email');
+    }
+  } catch (error) {
+    logger.warn({ err: error }, 'Failed to send issue resolved email');
+  }
+}
+
+/**
+ * Triage an issue: move its status along the allowed transitions, change
+ * priority/assignee and add or remove labels. Every change is appended to
+ * the issue's history.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function updateIssue(req, res, next) {
+  try {
+    const { id } = issueIdSchema.parse(req.params);
+    const body = updateIssueSchema.parse(req.body);
+    const actor = req.apiKey?.name ?? '';
+
+    const current = await Issue.findById(id).lean();
+    if (!current) {
+      res.status(404).json({
+        status: 404,
+        code: 'ISSUE_NOT_FOUND',
+        message: 'Issue not found',
+      });
+      return;
+    }
+
+    if (
+      body.status !== undefined &&
+      body.status !== current.status &&
+      !ISSUE_STATUS_TRANSITIONS[current.status]?.includes(body.status)
+    ) {
+      res.status(409).json({
+        status: 409,
+        code: 'ISSUE_INVALID_TRANSITION',
+        message: `Cannot move an issue from ${current.status} to ${body.status}`,
+        details: { allowed: ISSUE_STATUS_TRANSITIONS[current.status] ?? [] },
+      });
+      return;
+    }
+
+    const labels = [
+      ...new Set([...(current.labels ?? []), ...body.addLabels]),
+    ].filter((label) => !body.removeLabels.includes(label));
+
+    const candidates = {
+      status: body.status,
+      priority: body.priority,
+      assignee: body.assignee,
+      labels:
+        body.addLabels.length || body.removeLabels.length ? labels : undefined,
+    };
+
+    const changes = {};
+    const history = [];
+    const at = new Date();
+    for (const [field, value] of Object.entries(candidates)) {
+      if (
+        value === undefined ||
+        JSON.stringify(value) === JSON.stringify(current[field])
+      ) {
+        continue;
+      }
+      changes[field] = value;
+      history.push({
+        field,
+        from: current[field] ?? null,
+        to: value,
+        actor,
+        note: body.note,
+        at,
+      });
+    }
+
+    if (!history.length) {
+      res.json(current);
+      return;
+    }
+
+    // Only apply when nobody else changed the issue since it was read
+    const updated = await Issue.findOneAndUpdate(
+      { _id: id, updatedAt: current.updatedAt },
+      { $set: changes, $push: { history: { $each: history } } },
+      { new: true, lean: true },
+    );
+
+    if (!updated) {
+      res.status(409).json({
+        status: 409,
+        code: 'ISSUE_CONFLICT',
+        message: 'Issue was changed by someone else. Reload and try again.',
+      });
+      return;
+    }
+
+    eventBus.publish(
+      'issue.updated',
+      toIssueEvent(updated, Object.keys(changes)),
+    );
+
+    if (changes.status === 'resolved' && body.notifyReporter) {
+      await notifyReporterResolved(updated, body.note);
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * @param {import('express').Response} res
+ */
+function respondAlreadyMerged(res) {
+  res.status(409).json({
+    status: 409,
+    code: 'ISSUE_ALREADY_MERGED',
+    message: 'The issue has already been merged into another issue',
+  });
+}
+
+/**
+ * Merge duplicate issues into the issue in the URL. Duplicates are closed
+ * and point at the target, which takes over their occurrences, labels and
+ * comments.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function mergeIssues(req, res, next) {
+  try {
+    const { id } = issueIdSchema.parse(req.params);
+    const { duplicateIds, note } = mergeIssuesSchema.parse(req.body);
+    const actor = req.apiKey?.name ?? '';
+
+    if (duplicateIds.includes(id)) {
+      res.status(400).json({
+        status: 400,
+        code: 'ISSUE_MERGE_SELF',
+        message: 'An issue cannot be merged into itself',
+      });
+      return;
+    }
+
+    const target = await Issue.findById(id).lean();
+    if (!target) {
+      res.status(404).json({
+        status: 404,
+        code: 'ISSUE_NOT_FOUND',
+        message: 'Issue not found',
+      });
+      return;
+    }
+    if (target.mergedInto) {
+      respondAlreadyMerged(res);
+      return;
+    }
+
+    const found = await Issue.countDocuments({
+      _id: { $in: duplicateIds },
+      mergedInto: null,
+    });
+
+    if (found !== new Set(duplicateIds).size) {
+      res.status(404).json({
+        status: 404,
+        code: 'ISSUE_NOT_FOUND',
+        message: 'One or more duplicate issues were not found or are already merged',
+      });
+      return;
+    }
+
+    // Claim each duplicate before touching the target, so a parallel merge
+    // of the same duplicate cannot count its occurrences twice
+    const claimed = await Promise.all(
+      [...new Set(duplicateIds)].map((duplicateId) =>
+        Issue.findOneAndUpdate(
+          { _id: duplicateId, mergedInto: null },
+          { $set: { mergedInto: target._id } },
+          { new: true, lean: true },
+        ),
+      ),
+    );
+    const duplicates = claimed.filter(Boolean);
+    const release = () =>
+      Issue.updateMany(
+        {
+          _id: { $in: duplicates.map((duplicate) => duplicate._id) },
+          mergedInto: target._id,
+        },
+        { $set: { mergedInto: null } },
+      );
+
+    if (!duplicates.length) {
+      respondAlreadyMerged(res);
+      return;
+    }
+
+    const at = new Date();
+    const occurrences = duplicates.flatMap((duplicate) =>
+      (duplicate.occurrences?.length
+        ? duplicate.occurrences
+        : [{ at: duplicate.createdAt, description: duplicate.description }]
+      ).map((occurrence) => ({ ...occurrence, mergedFrom: duplicate._id })),
+    );
+    occurrences.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    const labels = [
+      ...new Set([
+        ...(target.labels ?? []),
+        ...duplicates.flatMap((duplicate) => duplicate.labels ?? []),
+      ]),
+    ];
+    const addedOccurrences = duplicates.reduce(
+      (total, duplicate) => total + (duplicate.occurrenceCount ?? 1),
+      0,
+    );
+    const lastOccurredAt = new Date(
+      Math.max(
+        new Date(target.lastOccurredAt ?? target.createdAt).getTime(),
+        ...occurrences.map((occurrence) => new Date(occurrence.at).getTime()),
+      ),
+    );
+
+    // The target must still be unmerged: merging A into B while B is being
+    // merged into A would otherwise leave a cycle
+    const updated = await Issue.findOneAndUpdate(
+      { _id: id, mergedInto: null },
+      {
+        $inc: { occurrenceCount: addedOccurrences },
+        $set: { labels, lastOccurredAt },
+        $push: {
+          occurrences: {
+            $each: occurrences,
+            $sort: { at: 1 },
+            $slice: -MAX_TRACKED_OCCURRENCES,
+          },
+          history: {
+            field: 'merged',
+            from: null,
+            to: duplicates.map((duplicate) => duplicate._id.toString()),
+            actor,
+            note,
+            at,
+          },
+        },
+      },
+      { new: true, lean: true },
+    );
+
+    if (!updated) {
+      await release();
+      respondAlreadyMerged(res);
+      return;
+    }
+
+    await Promise.all(
+      duplicates.map((duplicate) =>
+        Issue.updateOne(
+          { _id: duplicate._id },
+          {
+            $set: {
+              status: 'closed',
+              labels: [...new Set([...(duplicate.labels ?? []), 'duplicate'])],
+            },
+            $push: {
+              history: {
+                field: 'mergedInto',
+                from: null,
+                to: target._id.toString(),
+                actor,
+                note,
+                at,
+              },
+            },
+          },
+        ),
+      ),
+    );
+
+    await IssueComment.updateMany(
+      { issueId: { $in: duplicates.map((duplicate) => duplicate._id) } },
+      { $set: { issueId: target._id } },
+    );
+
+    eventBus.publish(
+      'issue.updated',
+      toIssueEvent(updated, ['occurrenceCount', 'labels', 'lastOccurredAt']),
+    );
+    for (const duplicate of duplicates) {
+      eventBus.publish(
+        'issue.updated',
+        toIssueEvent(
+          {
+            ...duplicate,
+            status: 'closed',
+            labels: [...new Set([...(duplicate.labels ?? []), 'duplicate'])],
+          },
+          ['status', 'labels', 'mergedInto'],
+        ),
+      );
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,9 +1,27 @@
 import { z } from 'zod';
 import { emailService } from '../services/emailService.js';
+import {
+  CHATFLOW_MATCH_FIELDS,
+  chatflowRegistry,
+} from '../services/chatflowRegistry.js';
 import { env } from '../config/env.js';
-import { Student } from '../models/Student.js';
+import { ENROLMENT_STATUSES, Student } from '../models/Student.js';
 import { logger } from '../utils/logger.js';
-import { DEFAULT_CHATFLOW_ID } from '../config/chatflowConstants.js';
+import { SUPPORTED_LOCALES, normalizeLocale, resolveLocale } from '../i18n/index.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+import { eventBus } from '../services/eventBus.js';
+import { loginTokenService } from '../services/loginTokenService.js';
+import { signSession } from '../services/sessionTokens.js';
+import { buildStudentProgress } from '../services/studentProgress.js';
+import { formatEtag, matchesVersion, versionFilter } from '../utils/etag.js';
+import {
+  exactMatch,
+  listQuerySchema,
+  paginate,
+  sendLegacyListPage,
+} from '../utils/listQuery.js';
+
+const STUDENT_LOGIN = 'student_login';
 
 const enrolmentSchema = z.object({
   subject: z.string().min(1, 'Subject is required'),
@@ -15,6 +33,22 @@ const enrolmentSchema = z.object({
   chatflowId: z.string().optional().default(''),
 });
 
+// Accepts regional tags such as `es-MX` and stores the base language
+const localeSchema = z
+  .string()
+  .trim()
+  .transform((value, ctx) => {
+    const locale = normalizeLocale(value);
+    if (!locale) {
+      ctx.addIssue({
+        code: 'custom',
+        message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`,
+      });
+      return z.NEVER;
+    }
+    return locale;
+  });
+
 const guardianSchema = z.object({
   name: z.string().trim().min(1, 'Guardian name is required'),
   email: z
@@ -22,6 +56,16 @@ const guardianSchema = z.object({
     .trim()
     .min(1, 'Guardian email is required')
     .email('Guardian email must be valid'),
+  relationship: z.string().trim().optional(),
+  primary: z.boolean().optional(),
+  locale: localeSchema.optional(),
+  notifications: z
+    .object({ summaryReports: z.boolean().optional() })
+    .optional(),
+});
+
+const notificationsSchema = z.object({
+  guardianSummaryReports: z.boolean().optional(),
 });
 
 const flowContextSchema = z.object({
@@ -30,57 +74,136 @@ const flowContextSchema = z.object({
   chatflowId: z.string().optional(),
 });
 
-const manualBaseSchema = z
-  .object({
-    name: z.string().min(1),
+// Profile fields shared by creation and PATCH. Defaults are added only on
+// creation so a PATCH never resets fields it does not mention.
+const profileSchema = z.object({
+  name: z.string().min(1),
+  nickname: z.string(),
+  email: z.string().email(),
+  age: z.number().int().min(4).max(25),
+  guardians: z
+    .array(guardianSchema)
+    .min(1, 'At least one guardian is required'),
+  notifications: notificationsSchema,
+  locale: localeSchema,
+  preferredColourForDyslexia: z.string(),
+});
+
+/**
+ * Reject guardian emails that match the student's own email or each other,
+ * and more than one primary guardian.
+ * @param {{ email?: string; guardians?: { email?: string; primary?: boolean }[] }} data
+ * @param {import('zod').RefinementCtx} ctx
+ */
+function refineGuardianEmail(data, ctx) {
+  if (!data.guardians) {
+    return;
+  }
+
+  const studentEmail = data.email?.trim().toLowerCase();
+  const seen = new Set();
+
+  data.guardians.forEach((guardian, index) => {
+    const guardianEmail = guardian.email?.trim().toLowerCase();
+    if (!guardianEmail) {
+      return;
+    }
+
+    if (studentEmail && studentEmail === guardianEmail) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['guardians', index, 'email'],
+        message: 'Guardian email must be different from student email.',
+      });
+    }
+    if (seen.has(guardianEmail)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['guardians', index, 'email'],
+        message: 'Each guardian must have a different email.',
+      });
+    }
+    seen.add(guardianEmail);
+  });
+
+  if (data.guardians.filter((guardian) => guardian.primary).length > 1) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['guardians'],
+      message: 'Only one guardian can be primary.',
+    });
+  }
+}
+
+const manualBaseSchema = profileSchema
+  .extend({
     nickname: z.string().optional().default(''),
-    email: z.string().email(),
     enrolments: z
       .array(enrolmentSchema)
       .min(1, 'At least one subject is required'),
-    age: z.number().int().min(4).max(25).optional(),
-    guardian: guardianSchema,
+    age: profileSchema.shape.age.optional(),
+    notifications: notificationsSchema.optional(),
+    locale: localeSchema.optional(),
     preferredColourForDyslexia: z.string().optional().default(''),
   })
   .merge(flowContextSchema)
-  .superRefine((data, ctx) => {
-    const studentEmail = data.email?.trim().toLowerCase();
-    const guardianEmail = data.guardian?.email?.trim().toLowerCase();
+  .superRefine(refineGuardianEmail);
 
-    if (studentEmail && guardianEmail && studentEmail === guardianEmail) {
-      ctx.addIssue({
-        code: z.ZodIssueCode.custom,
-        path: ['guardian', 'email'],
-        message: 'Guardian email must be different from student email.',
-      });
-    }
-  });
+const updateStudentSchema = profileSchema
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Nothing to update',
+  })
+  .superRefine(refineGuardianEmail);
+
+// Re-checked against the stored profile when a PATCH changes only one side
+const guardianEmailRuleSchema = z
+  .object({
+    email: z.string(),
+    guardians: z.array(z.object({ email: z.string() })),
+  })
+  .superRefine(refineGuardianEmail);
+
+/**
+ * Accept a guardian given as a bare email string, trimming name and email.
+ * @param {unknown} guardian
+ */
+function preprocessGuardian(guardian) {
+  if (typeof guardian === 'string') {
+    return { email: guardian.trim() };
+  }
+  if (!guardian || typeof guardian !== 'object') {
+    return guardian;
+  }
+
+  const candidate = guardian;
+  const name =
+    typeof candidate.name === 'string' ? candidate.name.trim() : candidate.name;
+  const email =
+    typeof candidate.email === 'string'
+      ? candidate.email.trim()
+      : candidate.email;
+  return {
+    ...candidate,
+    ...(name !== undefined ? { name } : {}),
+    ...(email !== undefined ? { email } : {}),
+  };
+}
 
 const manualSchema = z.preprocess((data) => {
   if (!data || typeof data !== 'object') {
     return data;
   }
 
-  const clone = { ...data };
-  const guardian = clone.guardian;
+  const { guardian, ...clone } = data;
 
-  if (typeof guardian === 'string') {
-    clone.guardian = { email: guardian.trim() };
-  } else if (guardian && typeof guardian === 'object') {
-    const candidate = guardian;
-    const name =
-      typeof candidate.name === 'string'
-        ? candidate.name.trim()
-        : candidate.name;
-    const email =
-      typeof candidate.email === 'string'
-        ? candidate.email.trim()
-        : candidate.email;
-    clone.guardian = {
-      ...candidate,
-      ...(name !== undefined ? { name } : {}),
-      ...(email !== undefined ? { email } : {}),
-    };
+  // Older clients and Flowise flows still send a single `guardian`
+  if (clone.guardians === undefined && guardian !== undefined) {
+    clone.guardians = [guardian];
+  }
+  if (Array.isArray(clone.guardians)) {
+    clone.guardians = clone.guardians.map(preprocessGuardian);
   }
 
   return clone;
@@ -99,6 +222,47 @@ const enrolmentIdSchema = z.object({
   id: z.string().min(1, 'Student id is required'),
 });
 
+const enrolmentParamsSchema = enrolmentIdSchema.extend({
+  enrolmentId: z
+    .string()
+    .regex(/^[a-f\d]{24}$/i, 'Enrolment id must be a 24-character hex id'),
+});
+
+// Same rules as enrolmentSchema, without defaults so omitted fields are kept
+const enrolmentPatchSchema = enrolmentSchema
+  .extend({
+    books: z.array(z.string()),
+    examDates: z.array(z.string()),
+    chatflowId: z.string(),
+    status: z.enum(ENROLMENT_STATUSES),
+  })
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Nothing to update',
+  });
+
+const listStudentsQuerySchema = listQuerySchema.extend({
+  guardianEmail: z.string().trim().toLowerCase().optional(),
+  subject: z.string().trim().min(1).optional(),
+  examBody: z.string().trim().min(1).optional(),
+  level: z.string().trim().min(1).optional(),
+  source: z.enum(['manual', 'flowise']).optional(),
+});
+
+const progressQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+const loginEmailSchema = z.object({
+  email: z.string().trim().toLowerCase().email('Email must be valid'),
+});
+
+const loginCodeSchema = loginEmailSchema.extend({
+  code: z.string().trim().regex(/^\d{6}$/, 'Code must be 6 digits'),
+});
+
 const buildEnrolmentKey = (enrolment) =>
   [
     enrolment.subject,
@@ -109,18 +273,14 @@ const buildEnrolmentKey = (enrolment) =>
     .map((value) => (value || '').trim().toLowerCase())
     .join('|');
 
-const escapeHtml = (value) =>
-  String(value ?? '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-
 /**
  * @typedef {Object} GuardianInfo
  * @property {string} name
  * @property {string} email
+ * @property {string} [relationship]
+ * @property {boolean} [primary] the main contact
+ * @property {string} [locale] guardian's email language, when it differs
+ * @property {{ summaryReports?: boolean }} [notifications]
  */
 
 /**
@@ -132,6 +292,7 @@ const escapeHtml = (value) =>
  * @property {string[]} [books]
  * @property {string[]} [examDates]
  * @property {string} [chatflowId]
+ * @property {boolean} [unknownChatflow] chatflow is not in the registry
  */
 
 /**
@@ -140,7 +301,9 @@ const escapeHtml = (value) =>
  * @property {string} nickname
  * @property {string} email
  * @property {number} [age]
- * @property {GuardianInfo} guardian
+ * @property {GuardianInfo[]} guardians
+ * @property {{ guardianSummaryReports?: boolean }} [notifications]
+ * @property {string} [locale]
  * @property {Enrolment[]} enrolments
  * @property {string} [preferredColourForDyslexia]
  * @property {string} [chatId]
@@ -197,10 +360,12 @@ async function maybeSendStudentEmail(student) {
       nickname: student.nickname,
       email: student.email,
       age: student.age,
-      guardian: {
-        name: student.guardian.name,
-        email: student.guardian.email,
-      },
+      guardians: student.guardians.map((guardian) => ({
+        name: guardian.name,
+        email: guardian.email,
+        relationship: guardian.relationship,
+        primary: guardian.primary,
+      })),
       enrolments: student.enrolments.map((enrolment) => ({
         subject: enrolment.subject,
         country: enrolment.country,
@@ -234,84 +399,11 @@ async function notifyEnrolmentAdded(student, enrolment) {
     return;
   }
 
-  const subject = `Student added subject: ${enrolment.subject} (${enrolment.level})`;
-  const lines = [
-    `Email subject: ${subject}`,
-    `Name: ${student.name}`,
-    student.nickname ? `Nickname: ${student.nickname}` : undefined,
-    `Email: ${student.email}`,
-    student.source
-      ? `Source: ${student.source}${
-          student.sourceId ? ` (${student.sourceId})` : ''
-        }`
-      : undefined,
-    `Subject: ${enrolment.subject}`,
-    `Country: ${enrolment.country}`,
-    `Exam body: ${enrolment.examBody}`,
-    `Level: ${enrolment.level}`,
-    enrolment.books?.length
-      ? `Study resources: ${enrolment.books.join(', ')}`
-      : undefined,
-    enrolment.examDates?.length
-      ? `Planned exam dates: ${enrolment.examDates.join(', ')}`
-      : undefined,
-    enrolment.chatflowId
-      ? `Enrolment chatflow ID: ${enrolment.chatflowId}`
-      : undefined,
-    student.chatflowId ? `Student chatflow ID: ${student.chatflowId}` : undefined,
-  ].filter(Boolean);
-
-  const now = new Date().toISOString();
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto; padding: 16px; background: #f7f9fc; color: #0f172a;">
-      <div style="background: #ffffff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 20px; box-shadow: 0 6px 14px rgba(15, 23, 42, 0.06);">
-        <p style="margin: 0 0 8px; font-size: 12px; letter-spacing: 0.08em; text-transform: uppercase; color: #475569;">
-          Enrolment update
-        </p>
-        <h1 style="margin: 0 0 12px; font-size: 22px;">Student added a subject</h1>
-        <p style="margin: 0 0 16px; color: #334155;"><strong>Email subject:</strong> ${escapeHtml(subject)}</p>
-        <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #f8fafc; margin-bottom: 14px;">
-          <p style="margin: 0 0 8px;"><strong>Name:</strong> ${escapeHtml(student.name)}</p>
-          ${student.nickname ? `<p style="margin: 0 0 8px;"><strong>Nickname:</strong> ${escapeHtml(student.nickname)}</p>` : ''}
-          <p style="margin: 0 0 8px;"><strong>Email:</strong> <a href="mailto:${escapeHtml(student.email)}" style="color: #2563eb;">${escapeHtml(student.email)}</a></p>
-          ${
-            student.source
-              ? `<p style="margin: 0 0 8px;"><strong>Source:</strong> ${escapeHtml(student.source)}${
-                  student.sourceId ? ` (${escapeHtml(student.sourceId)})` : ''
-                }</p>`
-              : ''
-          }
-        </div>
-        <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #fff; margin-bottom: 14px;">
-          <h2 style="margin: 0 0 10px; font-size: 16px;">Subject details</h2>
-          <p style="margin: 0 0 6px;"><strong>Subject:</strong> ${escapeHtml(enrolment.subject)}</p>
-          <p style="margin: 0 0 6px;"><strong>Country:</strong> ${escapeHtml(enrolment.country)}</p>
-          <p style="margin: 0 0 6px;"><strong>Exam body:</strong> ${escapeHtml(enrolment.examBody)}</p>
-          <p style="margin: 0 0 10px;"><strong>Level:</strong> ${escapeHtml(enrolment.level)}</p>
-          ${
-            enrolment.books?.length
-              ? `<p style="margin: 0 0 6px;"><strong>Study resources:</strong> ${escapeHtml(enrolment.books.join(', '))}</p>`
-              : ''
-          }
-          ${
-            enrolment.examDates?.length
-              ? `<p style="margin: 0;"><strong>Planned exam dates:</strong> ${escapeHtml(enrolment.examDates.join(', '))}</p>`
-              : ''
-          }
-        </div>
-        <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #fff;">
-          <p style="margin: 0 0 6px;"><strong>Enrolment chatflow ID:</strong> ${escapeHtml(enrolment.chatflowId || 'Not provided')}</p>
-          <p style="margin: 0 0 6px;"><strong>Student chatflow ID:</strong> ${escapeHtml(student.chatflowId || 'Not provided')}</p>
-          <p style="margin: 8px 0 0; font-size: 12px; color: #475569;">Environment: ${escapeHtml(env.nodeEnv)} · Sent at ${escapeHtml(now)}</p>
-        </div>
-      </div>
-    </div>
-  `;
-  const text = [...lines, `Environment: ${env.nodeEnv}`, `Sent at: ${now}`].join(
-    '\n',
-  );
-
   try {
+    const { subject, html, text } = await emailTemplateService.renderEmail(
+      'enrolmentAdded',
+      { student, enrolment },
+    );
     const result = await emailService.send({
       to: env.studentAlertTo,
       subject,
@@ -383,27 +475,30 @@ function handleDuplicateKeyError(res, error) {
 }
 
 /**
- * Normalize fields for persistence and downstream use.
+ * Normalize fields for persistence and downstream use, assigning each
+ * enrolment a chatflow from the registry.
  * @param {NormalizedStudent} input
- * @returns {NormalizedStudent}
+ * @param {{ flagUnknown?: boolean }} [options] see `chatflowRegistry.resolve`
+ * @returns {Promise<NormalizedStudent>}
  */
-function normalizeStudentPayload(input) {
+async function normalizeStudentPayload(input, options) {
   const trimmedNickname = input.nickname?.trim() ?? '';
-  const normalizedGuardian = {
-    name: input.guardian.name.trim(),
-    email: input.guardian.email.trim().toLowerCase(),
-  };
   const normalizedChatflowId =
-    input.chatflowId?.trim() || DEFAULT_CHATFLOW_ID;
+    input.chatflowId?.trim() || env.defaultChatflowId;
 
-  const enrolments = input.enrolments.map(normalizeEnrolment);
+  const enrolments = [];
+  for (const enrolment of input.enrolments) {
+    enrolments.push(
+      await assignChatflow(normalizeEnrolment(enrolment), undefined, options),
+    );
+  }
 
   return {
     ...input,
     name: input.name.trim(),
     nickname: trimmedNickname,
     email: input.email.trim().toLowerCase(),
-    guardian: normalizedGuardian,
+    guardians: normalizeGuardians(input.guardians),
     preferredColourForDyslexia: input.preferredColourForDyslexia?.trim() ?? '',
     chatId: input.chatId?.trim(),
     sessionId: input.sessionId?.trim(),
@@ -413,34 +508,34 @@ function normalizeStudentPayload(input) {
 }
 
 /**
- * Normalize a single enrolment record for persistence/use.
+ * Normalize guardians for persistence. The first guardian becomes primary
+ * when none is flagged.
+ * @param {GuardianInfo[]} guardians
+ * @returns {GuardianInfo[]}
+ */
+function normalizeGuardians(guardians) {
+  const hasPrimary = guardians.some((guardian) => guardian.primary);
+
+  return guardians.map((guardian, index) => ({
+    name: guardian.name.trim(),
+    email: guardian.email.trim().toLowerCase(),
+    relationship: guardian.relationship?.trim() ?? '',
+    primary: hasPrimary ? Boolean(guardian.primary) : index === 0,
+    locale: guardian.locale ?? '',
+    notifications: {
+      summaryReports: guardian.notifications?.summaryReports ?? true,
+    },
+  }));
+}
+
+/**
+ * Normalize a single enrolment record for persistence/use. The chatflow is
+ * assigned separately by `assignChatflow`.
  * @param {import('zod').infer<typeof enrolmentSchema>} enrolment
- * @param {string} [fallbackChatflowId] enrolment-level fallback
- * @param {string} [studentChatflowId] student-level fallback
  */
-function normalizeEnrolment(enrolment, fallbackChatflowId, studentChatflowId) {
+function normalizeEnrolment(enrolment) {
   const trim = (value) => (typeof value === 'string' ? value.trim() : value);
 
-  const incomingFlow = trim(enrolment.chatflowId);
-  const enrolmentFlow = fallbackChatflowId
-    ? trim(fallbackChatflowId)
-    : DEFAULT_CHATFLOW_ID;
-  const studentFlow = studentChatflowId ? trim(studentChatflowId) : '';
-  const isNonDefault = (value) =>
-    Boolean(value && value !== DEFAULT_CHATFLOW_ID);
-
-  const normalizedChatflow = (() => {
-    if (isNonDefault(incomingFlow)) return incomingFlow;
-    if (isNonDefault(enrolmentFlow)) return enrolmentFlow;
-    // Preserve any provided value (including the default) before falling back
-    const providedChatflow = incomingFlow || enrolmentFlow;
-    if (providedChatflow) {
-      return providedChatflow;
-    }
-    if (isNonDefault(studentFlow)) return studentFlow;
-    return DEFAULT_CHATFLOW_ID;
-  })();
-
   return {
     ...enrolment,
     subject: trim(enrolment.subject),
@@ -450,10 +545,43 @@ function normalizeEnrolment(enrolment, fallbackChatflowId, studentChatflowId) {
     books: enrolment.books?.map((book) => trim(book)).filter(Boolean) ?? [],
     examDates:
       enrolment.examDates?.map((date) => trim(date)).filter(Boolean) ?? [],
-    chatflowId: normalizedChatflow,
+    chatflowId: trim(enrolment.chatflowId) ?? '',
   };
 }
 
+/**
+ * Give a normalized enrolment its chatflow. An edited enrolment keeps its
+ * current chatflow unless a different one is requested or the subject, exam
+ * body, level or country changed, in which case the registry is matched
+ * again. Echoing the current chatflow back does not count as a request.
+ * @param {ReturnType<typeof normalizeEnrolment>} enrolment
+ * @param {any} [current] stored enrolment being edited
+ * @param {{ flagUnknown?: boolean }} [options] see `chatflowRegistry.resolve`
+ */
+async function assignChatflow(enrolment, current, options) {
+  if (current?.chatflowId && enrolment.chatflowId === current.chatflowId) {
+    enrolment = { ...enrolment, chatflowId: '' };
+  }
+
+  const unchanged =
+    current?.chatflowId &&
+    !enrolment.chatflowId &&
+    CHATFLOW_MATCH_FIELDS.every(
+      (field) =>
+        (current[field] ?? '').toLowerCase() ===
+        (enrolment[field] ?? '').toLowerCase(),
+    );
+
+  const assigned = unchanged
+    ? {
+        chatflowId: current.chatflowId,
+        unknownChatflow: Boolean(current.unknownChatflow),
+      }
+    : await chatflowRegistry.resolve(enrolment, options);
+
+  return { ...enrolment, ...assigned };
+}
+
 /**
  * Check whether the incoming student collides with existing emails.
  * @param {NormalizedStudent} payload
@@ -485,6 +613,40 @@ async function respondIfEmailConflict(res, payload) {
   return true;
 }
 
+/**
+ * Event payload for `student.created`.
+ * @param {any} student saved Student document
+ */
+function toStudentEvent(student) {
+  return {
+    _id: student._id.toString(),
+    name: student.name,
+    nickname: student.nickname ?? '',
+    source: student.source,
+    enrolmentCount: student.enrolments?.length ?? 0,
+  };
+}
+
+/**
+ * Event payload for `enrolment.added`.
+ * @param {any} student
+ * @param {any} enrolment the stored enrolment, with its `_id`
+ */
+function toEnrolmentEvent(student, enrolment) {
+  return {
+    studentId: student._id.toString(),
+    enrolment: {
+      _id: enrolment._id?.toString(),
+      subject: enrolment.subject,
+      country: enrolment.country,
+      examBody: enrolment.examBody,
+      level: enrolment.level,
+      chatflowId: enrolment.chatflowId,
+      status: enrolment.status ?? 'active',
+    },
+  };
+}
+
 /**
  * Create a student from a manual submission.
  * @param {import('express').Request} req
@@ -494,7 +656,7 @@ async function respondIfEmailConflict(res, payload) {
 export async function createStudent(req, res, next) {
   try {
     const parsed = manualSchema.parse(req.body);
-    const body = normalizeStudentPayload(parsed);
+    const body = await normalizeStudentPayload(parsed);
     const client = extractClient(req);
 
     if (await respondIfEmailConflict(res, body)) {
@@ -504,11 +666,15 @@ export async function createStudent(req, res, next) {
     const doc = await Student.create({
       source: 'manual',
       ...body,
+      // The form is filled in by the student, so their browser language
+      // is a fair default.
+      locale: body.locale ?? req.acceptedLocale ?? '',
       client,
     });
+    eventBus.publish('student.created', toStudentEvent(doc));
 
     await maybeSendStudentEmail({ ...body, source: 'manual' });
-    res.status(201).json(doc);
+    sendStudent(res, doc, 201);
   } catch (error) {
     if (handleDuplicateKeyError(res, error)) {
       return;
@@ -518,15 +684,46 @@ export async function createStudent(req, res, next) {
 }
 
 /**
- * Create a student from a Flowise webhook payload.
+ * Answer a Flowise retry with the response its first delivery got, for
+ * retries the idempotency layer could not replay (say, one whose response
+ * was never stored). Flowise retries reuse the webhook `id`.
+ * @param {import('express').Response} res
+ * @param {unknown} sourceId
+ * @returns {Promise<boolean>} true when a response was sent
+ */
+async function respondIfAlreadyReceived(res, sourceId) {
+  if (typeof sourceId !== 'string' || !sourceId) {
+    return false;
+  }
+
+  const existing = await Student.findOne({ source: 'flowise', sourceId })
+    .select('_id')
+    .lean();
+  if (!existing) {
+    return false;
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  res.status(202).json({ received: true, id: existing._id });
+  return true;
+}
+
+/**
+ * Create a student from a Flowise webhook payload. A delivery whose webhook
+ * `id` already created a student gets that student back.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 export async function createStudentFromFlowise(req, res, next) {
   try {
+    if (await respondIfAlreadyReceived(res, req.body?.id)) {
+      return;
+    }
+
     const { id, payload } = flowiseSchema.parse(req.body);
-    const body = normalizeStudentPayload(payload);
+    // Flowise cannot correct its payload, so unknown chatflows are flagged
+    const body = await normalizeStudentPayload(payload, { flagUnknown: true });
     const client = extractClient(req);
 
     if (await respondIfEmailConflict(res, body)) {
@@ -539,10 +736,19 @@ export async function createStudentFromFlowise(req, res, next) {
       ...body,
       client,
     });
+    eventBus.publish('student.created', toStudentEvent(doc));
 
     await maybeSendStudentEmail({ ...body, source: 'flowise', sourceId: id });
     res.status(202).json({ received: true, id: doc._id });
   } catch (error) {
+    // A parallel retry of the same delivery won the insert
+    if (
+      isDuplicateKeyError(error) &&
+      error.keyPattern?.sourceId &&
+      (await respondIfAlreadyReceived(res, req.body?.id).catch(() => false))
+    ) {
+      return;
+    }
     if (handleDuplicateKeyError(res, error)) {
       return;
     }
@@ -551,15 +757,30 @@ export async function createStudentFromFlowise(req, res, next) {
 }
 
 /**
- * List students ordered by creation date.
- * @param {import('express').Request} _req
+ * List students with cursor pagination and optional filters.
+ * Enrolment filters (subject, examBody, level) must all match one enrolment.
+ * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
-export async function listStudents(_req, res, next) {
+export async function listStudents(req, res, next) {
   try {
-    const items = await Student.find().sort({ createdAt: -1 }).lean();
-    res.json(items);
+    const { guardianEmail, subject, examBody, level, source, ...options } =
+      listStudentsQuerySchema.parse(req.query);
+
+    const filter = { deletedAt: null };
+    if (guardianEmail) filter['guardians.email'] = guardianEmail;
+    if (source) filter.source = source;
+
+    const enrolmentMatch = {};
+    if (subject) enrolmentMatch.subject = exactMatch(subject);
+    if (examBody) enrolmentMatch.examBody = exactMatch(examBody);
+    if (level) enrolmentMatch.level = exactMatch(level);
+    if (Object.keys(enrolmentMatch).length) {
+      filter.enrolments = { $elemMatch: enrolmentMatch };
+    }
+
+    sendLegacyListPage(res, await paginate(Student, filter, options));
   } catch (error) {
     next(error);
   }
@@ -585,82 +806,191 @@ export async function getStudent(req, res, next) {
       return;
     }
 
-    res.json(doc);
+    sendStudent(res, doc);
   } catch (error) {
     next(error);
   }
 }
 
 /**
- * Verify if student email exists in database.
+ * Progress across the student's summary reports: session timeline and topic
+ * coverage per enrolment, recurring misconceptions, gaps later covered and
+ * session frequency. `from` and `to` bound the reports considered.
+ * GET /api/v1/students/:id/progress
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
-export async function verifyEmail(req, res, next) {
+export async function getStudentProgress(req, res, next) {
   try {
-    const { email } = req.body;
+    const { id } = studentIdSchema.parse(req.params);
+    const range = progressQuerySchema.parse(req.query);
+    const doc = await Student.findById(id).select('enrolments').lean();
 
-    if (!email) {
-      res.status(400).json({
-        success: false,
-        message: 'Email is required',
+    if (!doc) {
+      res.status(404).json({
+        status: 404,
+        code: 'STUDENT_NOT_FOUND',
+        message: 'Student not found',
       });
       return;
     }
 
-    const trimmedEmail = email.trim().toLowerCase();
+    res.json(await buildStudentProgress(doc, range));
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Check if student exists
-    const student = await Student.findOne({ email: trimmedEmail }).lean();
+/**
+ * Send a student with its version as the ETag, for use in `If-Match`.
+ * @param {import('express').Response} res
+ * @param {any} doc student document
+ * @param {number} [status]
+ */
+function sendStudent(res, doc, status = 200) {
+  res.set('ETag', formatEtag(doc.version));
+  res.status(status).json(doc);
+}
 
-    if (!student) {
-      res.status(404).json({
-        success: false,
-        message: 'Email not found in our records',
-      });
-      return;
-    }
+/**
+ * Answer 412 with the student's current ETag.
+ * @param {import('express').Response} res
+ * @param {number | undefined} version
+ */
+function respondVersionMismatch(res, version) {
+  res.set('ETag', formatEtag(version));
+  res.status(412).json({
+    status: 412,
+    code: 'VERSION_MISMATCH',
+    message: 'This student has changed since you loaded it. Reload and try again.',
+  });
+}
 
-    // Return student info (without sensitive data)
-    res.status(200).json({
-      success: true,
-      data: {
-        _id: student._id.toString(),
-        email: student.email,
-        name: student.name,
-        nickname: student.nickname || '',
-        enrolments: (student.enrolments || []).map((enrolment) => ({
-          subject: enrolment.subject,
-          country: enrolment.country,
-          examBody: enrolment.examBody,
-          level: enrolment.level,
-          books: enrolment.books,
-          examDates: enrolment.examDates,
-          chatflowId: enrolment.chatflowId || DEFAULT_CHATFLOW_ID,
-        })),
-        chatflowId: student.chatflowId || DEFAULT_CHATFLOW_ID,
-      },
+/**
+ * Explain why a conditional student write matched nothing: the student or
+ * enrolment is gone, `If-Match` is stale, or (with `duplicate`) another
+ * enrolment already has the same subject.
+ * @param {import('express').Response} res
+ * @param {string} id
+ * @param {import('../utils/etag.js').IfMatch} ifMatch versions the write required
+ * @param {{ enrolmentId?: string; duplicate?: boolean; includeDeleted?: boolean }} [options]
+ */
+async function respondToFailedWrite(
+  res,
+  id,
+  ifMatch,
+  { enrolmentId, duplicate = false, includeDeleted = false } = {},
+) {
+  const current = await Student.findOne({
+    _id: id,
+    ...(includeDeleted ? {} : { deletedAt: null }),
+  })
+    .select('version enrolments._id')
+    .lean();
+
+  if (!current) {
+    res.status(404).json({
+      status: 404,
+      code: 'STUDENT_NOT_FOUND',
+      message: 'Student not found',
     });
-  } catch (error) {
-    next(error);
+    return;
+  }
+
+  if (
+    enrolmentId &&
+    !current.enrolments?.some((enrolment) => enrolment._id?.toString() === enrolmentId)
+  ) {
+    res.status(404).json({
+      status: 404,
+      code: 'ENROLMENT_NOT_FOUND',
+      message: 'Enrolment not found for this student',
+    });
+    return;
+  }
+
+  if (!duplicate || !matchesVersion(ifMatch, current.version)) {
+    respondVersionMismatch(res, current.version);
+    return;
   }
+
+  res.status(409).json({
+    status: 409,
+    code: 'ENROLMENT_ALREADY_EXISTS',
+    message:
+      'This subject is already on your profile. Please edit the existing enrolment instead.',
+  });
 }
 
 /**
- * Append a new enrolment to an existing student.
+ * Query condition that only matches when no enrolment (other than
+ * `exceptId`) has the same subject, country, exam body and level, compared
+ * the same way as buildEnrolmentKey.
+ * @param {Enrolment} enrolment normalized enrolment
+ * @param {unknown} [exceptId] enrolment being replaced
+ */
+function noDuplicateEnrolment(enrolment, exceptId) {
+  return {
+    enrolments: {
+      $not: {
+        $elemMatch: {
+          ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+          subject: exactMatch(enrolment.subject),
+          country: exactMatch(enrolment.country),
+          examBody: exactMatch(enrolment.examBody),
+          level: exactMatch(enrolment.level),
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Turn a validated PATCH body into a `$set` update. Notification fields are
+ * set individually so omitted ones are kept; `guardians` replaces the list.
+ * @param {import('zod').infer<typeof updateStudentSchema>} changes
+ * @returns {Record<string, unknown>}
+ */
+function buildProfileUpdate(changes) {
+  const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+  const update = {};
+
+  if (changes.name !== undefined) update.name = trim(changes.name);
+  if (changes.nickname !== undefined) update.nickname = trim(changes.nickname);
+  if (changes.email !== undefined) {
+    update.email = trim(changes.email).toLowerCase();
+  }
+  if (changes.age !== undefined) update.age = changes.age;
+  if (changes.locale !== undefined) update.locale = changes.locale;
+  if (changes.preferredColourForDyslexia !== undefined) {
+    update.preferredColourForDyslexia = trim(changes.preferredColourForDyslexia);
+  }
+  if (changes.guardians) {
+    update.guardians = normalizeGuardians(changes.guardians);
+  }
+  if (changes.notifications?.guardianSummaryReports !== undefined) {
+    update['notifications.guardianSummaryReports'] =
+      changes.notifications.guardianSummaryReports;
+  }
+
+  return update;
+}
+
+/**
+ * Edit a student's profile. Enrolments have their own routes. Only admin
+ * keys may change the email, since it is the student's sign-in identity,
+ * or the guardians, who are sent the student's reports.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
-export async function addStudentEnrolment(req, res, next) {
+export async function updateStudent(req, res, next) {
   try {
-    const { id } = enrolmentIdSchema.parse(req.params);
-    const enrolment = enrolmentSchema.parse(req.body);
-    const normalized = normalizeEnrolment(enrolment);
-    const enrolmentKey = buildEnrolmentKey(normalized);
+    const { id } = studentIdSchema.parse(req.params);
+    const update = buildProfileUpdate(updateStudentSchema.parse(req.body));
 
-    const student = await Student.findById(id).lean();
+    const student = await Student.findOne({ _id: id, deletedAt: null }).lean();
 
     if (!student) {
       res.status(404).json({
@@ -671,41 +1001,345 @@ export async function addStudentEnrolment(req, res, next) {
       return;
     }
 
-    const existingKeys = (student.enrolments || []).map(buildEnrolmentKey);
-    if (existingKeys.includes(enrolmentKey)) {
+    if (!matchesVersion(req.ifMatch, student.version)) {
+      respondVersionMismatch(res, student.version);
+      return;
+    }
+
+    // The email is the student's sign-in identity, and a session has not
+    // proved it owns the new address
+    if (req.student && update.email && update.email !== student.email) {
+      res.status(403).json({
+        status: 403,
+        code: 'STUDENT_EMAIL_CHANGE_FORBIDDEN',
+        message: 'Ask your tutor to change your email address',
+      });
+      return;
+    }
+
+    // Guardians get sign-in links, reports and digests for the student, so
+    // a session must not be able to swap in an address of its own
+    if (req.student && update.guardians) {
+      res.status(403).json({
+        status: 403,
+        code: 'STUDENT_GUARDIANS_CHANGE_FORBIDDEN',
+        message: 'Ask your tutor to change your guardians',
+      });
+      return;
+    }
+
+    guardianEmailRuleSchema.parse({
+      email: update.email ?? student.email,
+      guardians: update.guardians ?? student.guardians ?? [],
+    });
+
+    if (
+      update.email &&
+      update.email !== student.email &&
+      (await Student.exists({ email: update.email }))
+    ) {
       res.status(409).json({
         status: 409,
-        code: 'ENROLMENT_ALREADY_EXISTS',
-        message:
-          'This subject is already on your profile. Please edit the existing enrolment instead.',
+        code: 'STUDENT_EMAIL_EXISTS',
+        message: 'Student email address is already registered.',
       });
       return;
     }
 
-    const updated = await Student.findByIdAndUpdate(
-      id,
-      { $push: { enrolments: normalized } },
-      { new: true, lean: true },
+    // Pin the version we validated against, even for `If-Match: *`
+    const version = student.version ?? 0;
+    const updated = await Student.findOneAndUpdate(
+      { _id: id, deletedAt: null, ...versionFilter(version) },
+      {
+        $set: update,
+        $inc: { version: 1 },
+        // The list replaces any legacy single guardian, so the migration
+        // cannot bring back a guardian removed here
+        ...(update.guardians ? { $unset: { guardian: '' } } : {}),
+      },
+      // strict: false so the unset reaches the unmapped legacy path
+      { new: true, lean: true, runValidators: true, strict: false },
     );
 
     if (!updated) {
-      res.status(404).json({
-        status: 404,
-        code: 'STUDENT_NOT_FOUND',
-        message: 'Student not found',
+      await respondToFailedWrite(res, id, [version]);
+      return;
+    }
+
+    sendStudent(res, updated);
+  } catch (error) {
+    if (handleDuplicateKeyError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+}
+
+/**
+ * Soft-delete a student. The record stays in place, hidden from lists,
+ * sign-in and guardian lookups, until an admin restores it. Admin only,
+ * like the restore.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function deleteStudent(req, res, next) {
+  try {
+    const { id } = studentIdSchema.parse(req.params);
+    const deleted = await Student.findOneAndUpdate(
+      { _id: id, deletedAt: null, ...versionFilter(req.ifMatch) },
+      {
+        $set: {
+          deletedAt: new Date(),
+          deletedBy: req.apiKey?.name ?? '',
+        },
+        $inc: { version: 1 },
+      },
+      { new: true, lean: true },
+    );
+
+    if (!deleted) {
+      await respondToFailedWrite(res, id, req.ifMatch);
+      return;
+    }
+
+    sendStudent(res, deleted);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Undo a soft delete. Restoring a student that is not deleted is a no-op.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function restoreStudent(req, res, next) {
+  try {
+    const { id } = studentIdSchema.parse(req.params);
+    const restored = await Student.findOneAndUpdate(
+      { _id: id, ...versionFilter(req.ifMatch) },
+      { $set: { deletedAt: null, deletedBy: '' }, $inc: { version: 1 } },
+      { new: true, lean: true },
+    );
+
+    if (!restored) {
+      await respondToFailedWrite(res, id, req.ifMatch, { includeDeleted: true });
+      return;
+    }
+
+    sendStudent(res, restored);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Shape the student profile returned to a signed-in student.
+ * @param {any} student lean student document
+ */
+function buildStudentProfile(student) {
+  return {
+    _id: student._id.toString(),
+    email: student.email,
+    name: student.name,
+    nickname: student.nickname || '',
+    locale: student.locale || '',
+    version: student.version ?? 0,
+    enrolments: (student.enrolments || []).map((enrolment) => ({
+      _id: enrolment._id?.toString(),
+      subject: enrolment.subject,
+      country: enrolment.country,
+      examBody: enrolment.examBody,
+      level: enrolment.level,
+      books: enrolment.books,
+      examDates: enrolment.examDates,
+      chatflowId: enrolment.chatflowId || env.defaultChatflowId,
+      status: enrolment.status || 'active',
+    })),
+    chatflowId: student.chatflowId || env.defaultChatflowId,
+  };
+}
+
+/**
+ * Start a student sign-in by emailing a one-time code.
+ * Responds the same way whether or not the email is registered.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function verifyEmail(req, res, next) {
+  try {
+    const { email } = loginEmailSchema.parse(req.body);
+    const student = await Student.findOne({ email, deletedAt: null }).lean();
+
+    const login =
+      student &&
+      (await loginTokenService.issue({
+        purpose: STUDENT_LOGIN,
+        email,
+        format: 'code',
+        client: extractClient(req),
+      }));
+
+    if (student && !login) {
+      logger.warn({ studentId: student._id }, 'Student login rate limited');
+    }
+
+    if (login) {
+      const { subject, html, text } = await emailTemplateService.renderEmail(
+        'studentLoginCode',
+        {
+          name: student.nickname || student.name,
+          code: login.token,
+          expiresInMinutes: env.loginTokenTtlMinutes,
+        },
+        { locale: resolveLocale(student.locale, req.acceptedLocale) },
+      );
+      const result = await emailService.send({
+        to: email,
+        subject,
+        html,
+        text,
+        tags: [{ name: 'category', value: 'student_login' }],
       });
+
+      if (!result.success) {
+        logger.warn({ err: result.error }, 'Failed to send student login code');
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'If this email is registered, a sign-in code has been sent.',
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Exchange an emailed sign-in code for a student session.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function verifyLoginCode(req, res, next) {
+  try {
+    const { email, code } = loginCodeSchema.parse(req.body);
+    const login = await loginTokenService.consumeCode({
+      purpose: STUDENT_LOGIN,
+      email,
+      code,
+    });
+    const student = login
+      ? await Student.findOne({ email, deletedAt: null }).lean()
+      : null;
+
+    if (!student) {
+      res.status(401).json({
+        status: 401,
+        code: 'LOGIN_CODE_INVALID',
+        message: 'This sign-in code is invalid or has expired',
+      });
+      return;
+    }
+
+    const session = signSession(
+      {
+        sub: 'student',
+        studentId: student._id.toString(),
+        email,
+        locale: resolveLocale(student.locale, req.acceptedLocale),
+      },
+      env.studentSessionTtlMinutes,
+    );
+
+    res.status(200).json({
+      success: true,
+      sessionToken: session.token,
+      expiresAt: session.expiresAt.toISOString(),
+      data: buildStudentProfile(student),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Append a new enrolment to an existing student. The duplicate check runs
+ * inside the write so two parallel requests cannot add the same subject.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function addStudentEnrolment(req, res, next) {
+  try {
+    const { id } = enrolmentIdSchema.parse(req.params);
+    const enrolment = enrolmentSchema.parse(req.body);
+    const normalized = await assignChatflow(normalizeEnrolment(enrolment));
+
+    const updated = await Student.findOneAndUpdate(
+      {
+        _id: id,
+        deletedAt: null,
+        ...versionFilter(req.ifMatch),
+        ...noDuplicateEnrolment(normalized),
+      },
+      { $push: { enrolments: normalized }, $inc: { version: 1 } },
+      { new: true, lean: true },
+    );
+
+    if (!updated) {
+      await respondToFailedWrite(res, id, req.ifMatch, { duplicate: true });
       return;
     }
 
+    // $push appends, so the new enrolment (with its _id) is the last one
+    eventBus.publish(
+      'enrolment.added',
+      toEnrolmentEvent(updated, updated.enrolments.at(-1)),
+    );
     await notifyEnrolmentAdded(updated, normalized);
-    res.status(200).json(updated);
+    sendStudent(res, updated);
   } catch (error) {
     next(error);
   }
 }
 
+/**
+ * Replace one enrolment in a single conditional write: the student must
+ * still be at `version` and no other enrolment may have the same subject.
+ * @param {string} id
+ * @param {number} version
+ * @param {any} replacement enrolment with its existing `_id`
+ */
+function replaceEnrolment(id, version, replacement) {
+  return Student.findOneAndUpdate(
+    {
+      _id: id,
+      deletedAt: null,
+      ...versionFilter(version),
+      ...noDuplicateEnrolment(replacement, replacement._id),
+    },
+    {
+      $set: { 'enrolments.$[target]': replacement },
+      $inc: { version: 1 },
+    },
+    {
+      arrayFilters: [{ 'target._id': replacement._id }],
+      new: true,
+      lean: true,
+      runValidators: true,
+    },
+  );
+}
+
 /**
  * Update an existing enrolment on a student by index.
+ * @deprecated Use `PATCH /students/:id/enrolments/:enrolmentId`; array
+ *   positions shift when enrolments are removed.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
@@ -714,9 +1348,10 @@ export async function updateStudentEnrolment(req, res, next) {
   try {
     const { id } = enrolmentIdSchema.parse(req.params);
     const indexRaw = req.params?.index;
-    const index = Number.parseInt(indexRaw, 10);
+    const index = /^\d+$/.test(indexRaw ?? '') ? Number(indexRaw) : Number.NaN;
+    res.set('Deprecation', 'true');
 
-    if (Number.isNaN(index) || index < 0) {
+    if (Number.isNaN(index)) {
       res.status(400).json({
         status: 400,
         code: 'INVALID_ENROLMENT_INDEX',
@@ -727,7 +1362,7 @@ export async function updateStudentEnrolment(req, res, next) {
 
     const enrolment = enrolmentSchema.parse(req.body);
 
-    const student = await Student.findById(id).lean();
+    const student = await Student.findOne({ _id: id, deletedAt: null }).lean();
 
     if (!student) {
       res.status(404).json({
@@ -738,6 +1373,11 @@ export async function updateStudentEnrolment(req, res, next) {
       return;
     }
 
+    if (!matchesVersion(req.ifMatch, student.version)) {
+      respondVersionMismatch(res, student.version);
+      return;
+    }
+
     const enrolments = student.enrolments || [];
     if (index >= enrolments.length) {
       res.status(404).json({
@@ -748,45 +1388,203 @@ export async function updateStudentEnrolment(req, res, next) {
       return;
     }
 
-    const existingKeys = enrolments.map(buildEnrolmentKey);
-    // Allow updating the same slot without tripping duplicate check
-    const otherKeys = existingKeys.filter((_, idx) => idx !== index);
+    // Keep the slot's id and archive status
+    const current = enrolments[index];
+    const normalized = await assignChatflow(
+      normalizeEnrolment(enrolment),
+      current,
+    );
+    const replacement = { ...current, ...normalized };
+    const version = student.version ?? 0;
+
+    let updated;
+    if (current._id) {
+      res.set(
+        'Link',
+        `<${env.apiPrefix}/students/${id}/enrolments/${current._id}>; rel="successor-version"`,
+      );
+      updated = await replaceEnrolment(id, version, replacement);
+    } else {
+      // Not yet migrated by scripts/backfillEnrolmentIds.js. The version
+      // check makes the in-memory duplicate check safe.
+      const enrolmentKey = buildEnrolmentKey(normalized);
+      const otherKeys = enrolments
+        .filter((_, idx) => idx !== index)
+        .map(buildEnrolmentKey);
+      if (otherKeys.includes(enrolmentKey)) {
+        res.status(409).json({
+          status: 409,
+          code: 'ENROLMENT_ALREADY_EXISTS',
+          message:
+            'This subject already exists on your profile. Please edit the existing enrolment instead.',
+        });
+        return;
+      }
+
+      const updatedEnrolments = [...enrolments];
+      updatedEnrolments[index] = replacement;
+      updated = await Student.findOneAndUpdate(
+        { _id: id, deletedAt: null, ...versionFilter(version) },
+        { $set: { enrolments: updatedEnrolments }, $inc: { version: 1 } },
+        { new: true, lean: true },
+      );
+    }
+
+    if (!updated) {
+      await respondToFailedWrite(res, id, [version], {
+        enrolmentId: current._id?.toString(),
+        duplicate: Boolean(current._id),
+      });
+      return;
+    }
+
+    sendStudent(res, updated);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Load a student and one of their enrolments, answering 404 when either is
+ * missing.
+ * @param {import('express').Response} res
+ * @param {string} id student id
+ * @param {string} enrolmentId
+ * @returns {Promise<{ student: any; enrolment: any } | null>}
+ */
+async function findEnrolmentOr404(res, id, enrolmentId) {
+  const student = await Student.findOne({ _id: id, deletedAt: null }).lean();
+
+  if (!student) {
+    res.status(404).json({
+      status: 404,
+      code: 'STUDENT_NOT_FOUND',
+      message: 'Student not found',
+    });
+    return null;
+  }
+
+  const enrolment = (student.enrolments || []).find(
+    (candidate) => candidate._id?.toString() === enrolmentId,
+  );
+
+  if (!enrolment) {
+    res.status(404).json({
+      status: 404,
+      code: 'ENROLMENT_NOT_FOUND',
+      message: 'Enrolment not found for this student',
+    });
+    return null;
+  }
+
+  return { student, enrolment };
+}
+
+/**
+ * Retrieve one enrolment by its id.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function getStudentEnrolment(req, res, next) {
+  try {
+    const { id, enrolmentId } = enrolmentParamsSchema.parse(req.params);
+    const found = await findEnrolmentOr404(res, id, enrolmentId);
+
+    if (found) {
+      res.set('ETag', formatEtag(found.student.version));
+      res.json(found.enrolment);
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Edit an enrolment by its id. Only the given fields change; `status`
+ * archives an enrolment as completed or withdrawn, or reactivates it.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function patchStudentEnrolment(req, res, next) {
+  try {
+    const { id, enrolmentId } = enrolmentParamsSchema.parse(req.params);
+    const { status, ...changes } = enrolmentPatchSchema.parse(req.body);
+    const found = await findEnrolmentOr404(res, id, enrolmentId);
+
+    if (!found) {
+      return;
+    }
+
+    const { student, enrolment: current } = found;
+    if (!matchesVersion(req.ifMatch, student.version)) {
+      respondVersionMismatch(res, student.version);
+      return;
+    }
 
-    const normalized = normalizeEnrolment(
-      enrolment,
-      enrolments[index]?.chatflowId,
-      student.chatflowId,
+    const normalized = await assignChatflow(
+      normalizeEnrolment({
+        ...current,
+        ...changes,
+        // Only a chatflow sent in this request counts as requested
+        chatflowId: changes.chatflowId,
+      }),
+      current,
     );
-    const enrolmentKey = buildEnrolmentKey(normalized);
-    if (otherKeys.includes(enrolmentKey)) {
-      res.status(409).json({
-        status: 409,
-        code: 'ENROLMENT_ALREADY_EXISTS',
-        message:
-          'This subject already exists on your profile. Please edit the existing enrolment instead.',
+    const replacement = { ...current, ...normalized };
+    if (status && status !== current.status) {
+      replacement.status = status;
+      replacement.statusChangedAt = new Date();
+    }
+
+    const version = student.version ?? 0;
+    const updated = await replaceEnrolment(id, version, replacement);
+
+    if (!updated) {
+      await respondToFailedWrite(res, id, [version], {
+        enrolmentId,
+        duplicate: true,
       });
       return;
     }
 
-    const updatedEnrolments = [...enrolments];
-    updatedEnrolments[index] = normalized;
+    sendStudent(res, updated);
+  } catch (error) {
+    next(error);
+  }
+}
 
-    const updated = await Student.findByIdAndUpdate(
-      id,
-      { enrolments: updatedEnrolments },
+/**
+ * Remove an enrolment for good. To keep its history, archive it with
+ * `PATCH` and a `completed` or `withdrawn` status instead.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function deleteStudentEnrolment(req, res, next) {
+  try {
+    const { id, enrolmentId } = enrolmentParamsSchema.parse(req.params);
+    const updated = await Student.findOneAndUpdate(
+      {
+        _id: id,
+        deletedAt: null,
+        'enrolments._id': enrolmentId,
+        ...versionFilter(req.ifMatch),
+      },
+      {
+        $pull: { enrolments: { _id: enrolmentId } },
+        $inc: { version: 1 },
+      },
       { new: true, lean: true },
     );
 
     if (!updated) {
-      res.status(404).json({
-        status: 404,
-        code: 'STUDENT_NOT_FOUND',
-        message: 'Student not found',
-      });
+      await respondToFailedWrite(res, id, req.ifMatch, { enrolmentId });
       return;
     }
 
-    res.status(200).json(updated);
+    sendStudent(res, updated);
   } catch (error) {
     next(error);
   }
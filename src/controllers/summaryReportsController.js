@@ -1,9 +1,18 @@
 import { z } from 'zod';
 import { env } from '../config/env.js';
 import { emailService } from '../services/emailService.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+import { eventBus } from '../services/eventBus.js';
 import { SummaryReport } from '../models/SummaryReport.js';
 import { Student } from '../models/Student.js';
 import { logger } from '../utils/logger.js';
+import {
+  dateRange,
+  exactMatch,
+  listQuerySchema,
+  paginate,
+  sendLegacyListPage,
+} from '../utils/listQuery.js';
 
 // Updated schema for new structure
 const identitySchema = z.object({
@@ -55,6 +64,16 @@ const flowiseSchema = z.object({
   payload: baseReportSchema,
 });
 
+const listReportsQuerySchema = listQuerySchema.extend({
+  studentId: z.string().trim().min(1).optional(),
+  topic: z.string().trim().min(1).optional(),
+  sectionBoard: z.string().trim().min(1).optional(),
+  sectionCode: z.string().trim().min(1).optional(),
+  source: z.string().trim().min(1).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
 const idSchema = z.object({
   id: z.string().min(1, 'Summary report id is required'),
 });
@@ -216,131 +235,176 @@ function transformLegacyFormat(data) {
   return transformed;
 }
 
-function escapeHtml(input) {
-  return input
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
 /**
- * Format a report field for HTML output (handles arrays).
- * @param {string} label
- * @param {string | string[] | undefined} value
- * @returns {string | undefined}
+ * Send a summary report email when configured.
+ * @param {any} report
  */
-function formatField(label, value) {
-  if (!value || (Array.isArray(value) && value.length === 0)) {
-    return undefined;
+async function maybeSendReportEmail(report) {
+  if (!env.summaryReportAlertTo) {
+    return;
   }
 
-  if (Array.isArray(value)) {
-    const items = value.map((item) => `<li>${escapeHtml(item)}</li>`).join('');
-    return `<p><strong>${label}:</strong><ul>${items}</ul></p>`;
-  }
+  try {
+    const { subject, html, text } = await emailTemplateService.renderEmail(
+      'summaryReportAlert',
+      report,
+    );
+
+    const result = await emailService.send({
+      to: env.summaryReportAlertTo,
+      subject,
+      html,
+      text,
+    });
 
-  const escaped = escapeHtml(value).replace(/\n/g, '<br />');
-  return `<p><strong>${label}:</strong><br />${escaped}</p>`;
+    if (!result.success && !result.skipped) {
+      logger.warn(
+        { err: result.error },
+        'Failed to send summary report alert email',
+      );
+    }
+  } catch (error) {
+    logger.warn({ err: error }, 'Failed to send summary report alert email');
+  }
 }
 
 /**
- * Format a report field for plain-text output (handles arrays).
- * @param {string} label
- * @param {string | string[] | undefined} value
- * @returns {string | undefined}
+ * Send the parent-friendly copy of a new report to each of the student's
+ * guardians, unless the student has turned guardian report emails off or
+ * the guardian has opted out.
+ * @param {any} report saved SummaryReport document
  */
-function formatFieldText(label, value) {
-  if (!value || (Array.isArray(value) && value.length === 0)) {
-    return undefined;
-  }
+async function maybeSendGuardianReportEmail(report) {
+  try {
+    const student = await Student.findOne({
+      _id: report.studentId,
+      deletedAt: null,
+    })
+      .select('name nickname locale guardians notifications')
+      .lean();
 
-  if (Array.isArray(value)) {
-    const items = value.map((item, idx) => `  ${idx + 1}. ${item}`).join('\n');
-    return `${label}:\n${items}`;
-  }
+    if (!student || student.notifications?.guardianSummaryReports === false) {
+      return;
+    }
+
+    const recipients = (student.guardians ?? []).filter(
+      (guardian) =>
+        guardian.email && guardian.notifications?.summaryReports !== false,
+    );
 
-  return `${label}:\n${value}`;
+    for (const guardian of recipients) {
+      await sendGuardianReportEmail(report, student, guardian);
+    }
+  } catch (error) {
+    logger.warn(
+      { err: error, reportId: report._id },
+      'Failed to send guardian summary report email',
+    );
+  }
 }
 
 /**
- * Send a summary report email when configured.
- * @param {any} report
+ * @param {any} report saved SummaryReport document
+ * @param {any} student lean Student document
+ * @param {{ name: string; email: string; locale?: string }} guardian
  */
-async function maybeSendReportEmail(report) {
-  if (!env.summaryReportAlertTo) {
-    return;
-  }
-
+async function sendGuardianReportEmail(report, student, guardian) {
   try {
-    const subject = `Summary Report: ${report.title}`;
-    const sections = [
-      {
-        label: 'Source',
-        value: report.context?.sourceId
-          ? `${report.context.source} (${report.context.sourceId})`
-          : report.context?.source,
-      },
-      { label: 'Student Name', value: report.identity?.name },
-      { label: 'Student Email', value: report.identity?.email },
-      { label: 'Student ID', value: report.studentId },
-      { label: 'Participants', value: report.participants },
-      { label: 'Topics', value: report.topics },
-      { label: 'Scope Covered', value: report.scopeCovered },
-      { label: 'Key Learnings', value: report.keyLearnings },
+    const { subject, html, text } = await emailTemplateService.renderEmail(
+      'guardianSummaryReport',
       {
-        label: 'Misconceptions Clarified',
-        value: report.misconceptionsClarified,
+        studentName: student.nickname || student.name,
+        guardianName: guardian.name,
+        title: report.title,
+        createdAt: report.createdAt,
+        topics: report.topics,
+        keyLearnings: report.keyLearnings,
+        misconceptionsClarified: report.misconceptionsClarified,
+        studentStrengths: report.studentStrengths,
+        gapsNextPriorities: report.gapsNextPriorities,
+        suggestedNextSteps: report.suggestedNextSteps,
+        compactRecap: report.compactRecap,
       },
-      { label: 'Student Strengths', value: report.studentStrengths },
-      { label: 'Gaps / Next Priorities', value: report.gapsNextPriorities },
-      { label: 'Suggested Next Steps', value: report.suggestedNextSteps },
-      { label: 'Questions', value: report.questions },
-      { label: 'Compact Recap', value: report.compactRecap },
-      { label: 'Chat ID', value: report.context?.chatId },
-      { label: 'Session ID', value: report.context?.sessionId },
-      { label: 'Chatflow ID', value: report.context?.chatflowId },
-    ];
-
-    const htmlSections = sections
-      .map((section) => formatField(section.label, section.value))
-      .filter(Boolean);
-
-    if (!htmlSections.length) {
-      return;
-    }
-
-    const textSections = sections
-      .map((section) => formatFieldText(section.label, section.value))
-      .filter(Boolean);
+      { locale: guardian.locale || student.locale },
+    );
 
     const result = await emailService.send({
-      to: env.summaryReportAlertTo,
+      to: guardian.email,
       subject,
-      html: htmlSections.join(''),
-      text: textSections.join('\n\n'),
+      html,
+      text,
+      replyTo: env.tutorReplyTo || undefined,
+      tags: [{ name: 'category', value: 'guardian_summary_report' }],
+      idempotencyKey: `summary-report/${report._id}/guardian/${guardian.email}`,
     });
 
     if (!result.success && !result.skipped) {
       logger.warn(
-        { err: result.error },
-        'Failed to send summary report alert email',
+        { err: result.error, reportId: report._id },
+        'Failed to send guardian summary report email',
       );
     }
   } catch (error) {
-    logger.warn({ err: error }, 'Failed to send summary report alert email');
+    logger.warn(
+      { err: error, reportId: report._id },
+      'Failed to send guardian summary report email',
+    );
+  }
+}
+
+/**
+ * Event payload for `summaryReport.created`.
+ * @param {any} report saved SummaryReport document
+ */
+function toSummaryReportEvent(report) {
+  return {
+    _id: report._id.toString(),
+    studentId: report.studentId?.toString() ?? '',
+    title: report.title,
+    source: report.context?.source ?? 'manual',
+    createdAt: report.createdAt,
+  };
+}
+
+/**
+ * Answer a Flowise retry with the status and report its first delivery
+ * got, for retries the idempotency layer could not replay (say, one whose
+ * response was never stored). Flowise retries reuse the webhook `id`.
+ * @param {import('express').Response} res
+ * @param {unknown} sourceId
+ * @returns {Promise<boolean>} true when a response was sent
+ */
+async function respondIfAlreadyReceived(res, sourceId) {
+  if (typeof sourceId !== 'string' || !sourceId) {
+    return false;
+  }
+
+  const existing = await SummaryReport.findOne({
+    'context.source': 'flowise',
+    'context.sourceId': sourceId,
+  });
+  if (!existing) {
+    return false;
   }
+
+  res.set('Idempotent-Replayed', 'true');
+  res.status(201).json(existing);
+  return true;
 }
 
 /**
- * Persist a Flowise-generated summary report.
+ * Persist a Flowise-generated summary report. A delivery whose webhook `id`
+ * already created a report gets that report back.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 export async function createSummaryReportFromFlowise(req, res, next) {
   try {
+    if (await respondIfAlreadyReceived(res, req.body?.id)) {
+      return;
+    }
+
     const headerData = extractHeaderData(req);
 
     // Transform legacy format if needed
@@ -369,10 +433,19 @@ export async function createSummaryReportFromFlowise(req, res, next) {
       ...payload,
       client,
     });
+    eventBus.publish('summaryReport.created', toSummaryReportEvent(doc));
 
     await maybeSendReportEmail(payload);
+    await maybeSendGuardianReportEmail(doc);
     res.status(201).json(doc);
   } catch (err) {
+    // A parallel retry of the same delivery won the insert
+    if (
+      err?.code === 11000 &&
+      (await respondIfAlreadyReceived(res, req.body?.id).catch(() => false))
+    ) {
+      return;
+    }
     next(err);
   }
 }
@@ -412,8 +485,10 @@ export async function createSummaryReport(req, res, next) {
       ...body,
       client,
     });
+    eventBus.publish('summaryReport.created', toSummaryReportEvent(doc));
 
     await maybeSendReportEmail(body);
+    await maybeSendGuardianReportEmail(doc);
     res.status(201).json(doc);
   } catch (err) {
     next(err);
@@ -421,26 +496,42 @@ export async function createSummaryReport(req, res, next) {
 }
 
 /**
- * List the most recent summary reports, optionally filtered by studentId.
+ * List summary reports with cursor pagination and optional filters.
+ * `sectionBoard`/`sectionCode` must match the same section entry.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 export async function listSummaryReports(req, res, next) {
   try {
-    const { studentId } = req.query;
+    const {
+      studentId,
+      topic,
+      sectionBoard,
+      sectionCode,
+      source,
+      from,
+      to,
+      ...options
+    } = listReportsQuerySchema.parse(req.query);
 
     // Build filter query
     const filter = {};
-    if (studentId) {
-      filter.studentId = studentId;
+    if (studentId) filter.studentId = studentId;
+    if (topic) filter.topics = exactMatch(topic);
+    if (source) filter['context.source'] = source;
+
+    const sectionMatch = {};
+    if (sectionBoard) sectionMatch.board = exactMatch(sectionBoard);
+    if (sectionCode) sectionMatch.code = exactMatch(sectionCode);
+    if (Object.keys(sectionMatch).length) {
+      filter.sections = { $elemMatch: sectionMatch };
     }
 
-    const items = await SummaryReport.find(filter)
-      .sort({ createdAt: -1 })
-      .limit(200)
-      .lean();
-    res.json(items);
+    const createdAt = dateRange(from, to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    sendLegacyListPage(res, await paginate(SummaryReport, filter, options));
   } catch (err) {
     next(err);
   }
@@ -485,34 +576,20 @@ export async function getSummaryReport(req, res, next) {
 }
 
 /**
- * Get summary reports for students linked to a guardian.
- * Guardian email must be provided in the 'guardian-email' header.
+ * Get summary reports for students linked to the signed-in guardian.
+ * Requires a guardian session (see `requireGuardianSession`).
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 export async function getGuardianReports(req, res, next) {
   try {
-    const guardianEmail = req.headers['guardian-email'];
-
-    if (!guardianEmail) {
-      res.status(401).json({
-        status: 401,
-        code: 'UNAUTHORIZED',
-        message: 'Guardian email is required in headers',
-      });
-      return;
-    }
-
-    // Normalize email
-    const normalizedEmail =
-      typeof guardianEmail === 'string'
-        ? guardianEmail.toLowerCase().trim()
-        : '';
+    const normalizedEmail = req.guardian.email;
 
     // Find all students linked to this guardian
     const students = await Student.find({
-      'guardian.email': normalizedEmail,
+      'guardians.email': normalizedEmail,
+      deletedAt: null,
     })
       .select('_id name nickname email')
       .lean();
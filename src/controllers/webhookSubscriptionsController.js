@@ -0,0 +1,253 @@
+import { randomBytes } from 'crypto';
+import { z } from 'zod';
+import {
+  WEBHOOK_DELIVERY_STATUSES,
+  WebhookDelivery,
+} from '../models/WebhookDelivery.js';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { EVENT_TOPICS } from '../services/eventBus.js';
+import { sendTestWebhook } from '../services/webhookDispatcher.js';
+import { listQuerySchema, paginate } from '../utils/listQuery.js';
+
+const urlSchema = z
+  .string()
+  .trim()
+  .url('A valid URL is required')
+  .refine((value) => /^https?:\/\//i.test(value), {
+    message: 'Webhook URL must use http or https',
+  });
+
+// Subscription fields without defaults, shared by create and PATCH
+const subscriptionFieldsSchema = z.object({
+  url: urlSchema,
+  eventTypes: z
+    .array(z.enum(EVENT_TOPICS))
+    .min(1, 'At least one event type is required')
+    .transform((types) => [...new Set(types)]),
+  description: z.string().trim().max(500),
+  active: z.boolean(),
+});
+
+const createSubscriptionSchema = subscriptionFieldsSchema.extend({
+  secret: z
+    .string()
+    .min(16, 'Secret must be at least 16 characters')
+    .optional(),
+  description: z.string().trim().max(500).optional().default(''),
+  active: z.boolean().optional().default(true),
+});
+
+const updateSubscriptionSchema = subscriptionFieldsSchema
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Nothing to update',
+  });
+
+const subscriptionIdSchema = z.object({
+  id: z.string().min(1, 'Webhook subscription id is required'),
+});
+
+const listSubscriptionsQuerySchema = listQuerySchema.extend({
+  active: z
+    .enum(['true', 'false'])
+    .optional()
+    .transform((value) => (value === undefined ? undefined : value === 'true')),
+  eventType: z.enum(EVENT_TOPICS).optional(),
+});
+
+const listDeliveriesQuerySchema = listQuerySchema.extend({
+  status: z.enum(WEBHOOK_DELIVERY_STATUSES).optional(),
+});
+
+/**
+ * Lean documents skip the model's toJSON, so strip the secret by hand.
+ * @param {any} doc lean WebhookSubscription document
+ */
+const withoutSecret = ({ secret, __v, ...rest }) => rest;
+
+/**
+ * @param {import('express').Response} res
+ */
+function respondSubscriptionNotFound(res) {
+  res.status(404).json({
+    status: 404,
+    code: 'WEBHOOK_SUBSCRIPTION_NOT_FOUND',
+    message: 'Webhook subscription not found',
+  });
+}
+
+/**
+ * List webhook subscriptions with cursor pagination.
+ * GET /api/v1/webhook-subscriptions
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listWebhookSubscriptions(req, res, next) {
+  try {
+    const { active, eventType, ...options } =
+      listSubscriptionsQuerySchema.parse(req.query);
+
+    const filter = {};
+    if (active !== undefined) filter.active = active;
+    if (eventType) filter.eventTypes = eventType;
+
+    const page = await paginate(WebhookSubscription, filter, options);
+    res.json({ ...page, items: page.items.map(withoutSecret) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Fetch one webhook subscription.
+ * GET /api/v1/webhook-subscriptions/:id
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function getWebhookSubscription(req, res, next) {
+  try {
+    const { id } = subscriptionIdSchema.parse(req.params);
+    const doc = await WebhookSubscription.findById(id).lean();
+
+    if (!doc) {
+      respondSubscriptionNotFound(res);
+      return;
+    }
+
+    res.json(withoutSecret(doc));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Subscribe a URL to event types. Deliveries are signed with the secret,
+ * which is generated when not supplied and only returned in this response.
+ * POST /api/v1/webhook-subscriptions
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function createWebhookSubscription(req, res, next) {
+  try {
+    const body = createSubscriptionSchema.parse(req.body);
+    const secret = body.secret ?? `whsec_${randomBytes(24).toString('hex')}`;
+
+    const doc = await WebhookSubscription.create({
+      ...body,
+      secret,
+      createdBy: req.apiKey?.name ?? '',
+    });
+
+    res.status(201).json({ secret, subscription: doc });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change a subscription's URL, event types, description or active flag.
+ * Deliveries already queued for a paused subscription are dropped.
+ * PATCH /api/v1/webhook-subscriptions/:id
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function updateWebhookSubscription(req, res, next) {
+  try {
+    const { id } = subscriptionIdSchema.parse(req.params);
+    const changes = updateSubscriptionSchema.parse(req.body);
+
+    const doc = await WebhookSubscription.findOneAndUpdate(
+      { _id: id },
+      { $set: changes },
+      { new: true, lean: true, runValidators: true },
+    );
+
+    if (!doc) {
+      respondSubscriptionNotFound(res);
+      return;
+    }
+
+    res.json(withoutSecret(doc));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a subscription. Its delivery log is kept.
+ * DELETE /api/v1/webhook-subscriptions/:id
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function deleteWebhookSubscription(req, res, next) {
+  try {
+    const { id } = subscriptionIdSchema.parse(req.params);
+    const doc = await WebhookSubscription.findByIdAndDelete(id).lean();
+
+    if (!doc) {
+      respondSubscriptionNotFound(res);
+      return;
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send a signed `webhook.test` event to the subscription right away and
+ * return the delivery with the receiver's response code. Works for paused
+ * subscriptions so a receiver can be checked before it is switched on.
+ * POST /api/v1/webhook-subscriptions/:id/test
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function testWebhookSubscription(req, res, next) {
+  try {
+    const { id } = subscriptionIdSchema.parse(req.params);
+    const subscription = await WebhookSubscription.findById(id).lean();
+
+    if (!subscription) {
+      respondSubscriptionNotFound(res);
+      return;
+    }
+
+    res.json(await sendTestWebhook(subscription));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the delivery log for a subscription, newest first by default.
+ * GET /api/v1/webhook-subscriptions/:id/deliveries
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function listWebhookDeliveries(req, res, next) {
+  try {
+    const { id } = subscriptionIdSchema.parse(req.params);
+    const { status, ...options } = listDeliveriesQuerySchema.parse(req.query);
+
+    if (!(await WebhookSubscription.exists({ _id: id }))) {
+      respondSubscriptionNotFound(res);
+      return;
+    }
+
+    const filter = { subscriptionId: id };
+    if (status) filter.status = status;
+
+    res.json(await paginate(WebhookDelivery, filter, options));
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,84 @@
+import { Issue } from '../models/Issue.js';
+import { Student } from '../models/Student.js';
+import { SummaryReport } from '../models/SummaryReport.js';
+
+/**
+ * Find a Flowise webhook id recorded on more than one document, which
+ * blocks the model's unique (source, sourceId) index.
+ * @param {import('mongoose').Model<any>} model
+ * @param {string} source path of the source field
+ * @param {string} sourceId path of the source id field
+ */
+const findRepeatedSourceId = async (model, source, sourceId) => {
+  const [repeated] = await model.collection
+    .aggregate([
+      { $match: { [sourceId]: { $gt: '' } } },
+      {
+        $group: {
+          _id: { source: `$${source}`, sourceId: `$${sourceId}` },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $limit: 1 },
+    ])
+    .toArray();
+  return repeated ?? null;
+};
+
+/**
+ * Data migrations this release reads the new shape of, or needs before its
+ * indexes can be built. Each check finds a document still in the old shape.
+ */
+const MIGRATIONS = [
+  {
+    script: 'migrate:guardians',
+    pending: () =>
+      // Raw collection: the `guardian` path is no longer in the schema
+      Student.collection.findOne(
+        { guardian: { $exists: true } },
+        { projection: { _id: 1 } },
+      ),
+    description: 'students still have the single legacy `guardian` field',
+  },
+  {
+    script: 'backfill:enrolment-ids',
+    pending: () =>
+      Student.collection.findOne(
+        { enrolments: { $elemMatch: { _id: { $exists: false } } } },
+        { projection: { _id: 1 } },
+      ),
+    description:
+      'students have enrolments without an id, which the enrolment routes cannot find',
+  },
+  {
+    script: 'dedupe:flowise-deliveries',
+    pending: async () =>
+      (await findRepeatedSourceId(Student, 'source', 'sourceId')) ??
+      (await findRepeatedSourceId(Issue, 'source', 'sourceId')) ??
+      findRepeatedSourceId(
+        SummaryReport,
+        'context.source',
+        'context.sourceId',
+      ),
+    description:
+      'a Flowise delivery was recorded more than once, so the unique source id indexes cannot be built',
+  },
+];
+
+/**
+ * Refuse to start while a migration is outstanding. Without it, old
+ * records are invisible to the code that reads the new fields (e.g.
+ * students with only a legacy guardian cannot be found by guardian email).
+ * Run the named npm script, then start the server.
+ */
+export async function assertMigrationsApplied() {
+  for (const migration of MIGRATIONS) {
+    if (await migration.pending()) {
+      throw new Error(
+        `Pending data migration: ${migration.description}. ` +
+          `Run \`npm run ${migration.script}\` before starting this release.`,
+      );
+    }
+  }
+}
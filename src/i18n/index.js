@@ -0,0 +1,115 @@
+import { env } from '../config/env.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+
+/**
+ * @typedef {Object} MessageCatalogue
+ * @property {string} dateLocale BCP 47 tag used to format dates in emails
+ * @property {Record<string, string>} errors API error messages keyed by error code
+ * @property {Record<string, Record<string, string>>} emails email strings keyed by
+ *   template name, plus `common` strings shared by every template
+ */
+
+/** @type {Record<string, MessageCatalogue>} */
+const catalogues = { en, es, fr };
+
+export const SUPPORTED_LOCALES = Object.keys(catalogues);
+
+/**
+ * Reduce a language tag such as `es-MX` to a supported locale.
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+export function normalizeLocale(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+export const DEFAULT_LOCALE = normalizeLocale(env.defaultLocale) ?? 'en';
+
+/**
+ * Pick the best supported locale from an `Accept-Language` header.
+ * @param {string | undefined} header
+ * @returns {string | null} null when the header names no supported language
+ */
+export function negotiateLocale(header) {
+  if (!header) {
+    return null;
+  }
+
+  const ranked = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params
+        .map((param) => param.trim())
+        .find((param) => param.startsWith('q='));
+      return { tag, quality: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ quality }) => Number.isFinite(quality) && quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+
+  for (const { tag } of ranked) {
+    const locale = normalizeLocale(tag);
+    if (locale) {
+      return locale;
+    }
+  }
+  return null;
+}
+
+/**
+ * First supported locale among the candidates, in order of preference.
+ * @param {...unknown} candidates stored preferences, negotiated locale...
+ * @returns {string}
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Localized message for an API error code, or undefined when the locale's
+ * catalogue has none (the caller's English message is kept).
+ * @param {string} locale
+ * @param {string} code
+ * @returns {string | undefined}
+ */
+export function errorMessage(locale, code) {
+  return catalogues[locale]?.errors[code];
+}
+
+/**
+ * Regional tag for date formatting, e.g. `en-GB` for `en`.
+ * @param {string} locale
+ * @returns {string}
+ */
+export function dateLocaleFor(locale) {
+  return (catalogues[locale] ?? catalogues.en).dateLocale;
+}
+
+/**
+ * Email strings for a template: the locale's strings over English, with the
+ * shared `common` strings underneath.
+ * @param {string} locale
+ * @param {string} template
+ * @returns {Record<string, string>}
+ */
+export function emailMessages(locale, template) {
+  const catalogue = catalogues[locale] ?? catalogues.en;
+  return {
+    ...catalogues.en.emails.common,
+    ...catalogues.en.emails[template],
+    ...catalogue.emails.common,
+    ...catalogue.emails[template],
+  };
+}
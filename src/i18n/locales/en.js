@@ -0,0 +1,168 @@
+/**
+ * English messages. This is the reference catalogue: other locales fall
+ * back to it key by key. Email strings are templates rendered against the
+ * email's view, so they can use `{{name}}`-style placeholders.
+ * @type {import('../index.js').MessageCatalogue}
+ */
+export default {
+  dateLocale: 'en-GB',
+  errors: {
+    VALIDATION_ERROR: 'Invalid request',
+    NOT_FOUND: 'Route not found',
+    INTERNAL_ERROR: 'Something went wrong',
+    FORBIDDEN: 'You do not have permission to do this',
+    STUDENT_NOT_FOUND: 'Student not found',
+    STUDENT_EMAIL_CHANGE_FORBIDDEN: 'Ask your tutor to change your email address',
+    STUDENT_GUARDIANS_CHANGE_FORBIDDEN: 'Ask your tutor to change your guardians',
+    STUDENT_EMAIL_EXISTS: 'Student email address is already registered.',
+    STUDENT_GUARDIAN_EMAIL_EXISTS:
+      'Guardian email is already associated with another student.',
+    ENROLMENT_ALREADY_EXISTS:
+      'This subject is already on your profile. Please edit the existing enrolment instead.',
+    ENROLMENT_NOT_FOUND: 'Enrolment not found for this student',
+    INVALID_ENROLMENT_INDEX: 'Enrolment index must be a non-negative number',
+    NO_STUDENTS_FOUND: 'No students found for this guardian email',
+    REPORT_NOT_FOUND: 'Summary report not found',
+    ISSUE_NOT_FOUND: 'Issue not found',
+    LOGIN_CODE_INVALID: 'This sign-in code is invalid or has expired',
+    LOGIN_TOKEN_INVALID: 'This sign-in link is invalid or has expired',
+    STUDENT_SESSION_REQUIRED: 'A student session is required',
+    STUDENT_SESSION_INVALID: 'Student session is invalid or has expired',
+    GUARDIAN_SESSION_REQUIRED: 'A guardian session is required',
+    GUARDIAN_SESSION_INVALID: 'Guardian session is invalid or has expired',
+    IF_MATCH_REQUIRED:
+      'An If-Match header with the ETag from your last read is required',
+    IF_MATCH_INVALID: 'If-Match must be * or a list of ETags',
+    VERSION_MISMATCH:
+      'This student has changed since you loaded it. Reload and try again.',
+    CHATFLOW_NOT_FOUND: 'Chatflow not found',
+    CHATFLOW_EXISTS: 'A chatflow with this id is already registered',
+    CHATFLOW_UNKNOWN: 'This chatflow is not registered or not active',
+    CHATFLOW_NOT_CONFIGURED: 'No chatflow is configured for this enrolment',
+    FLOWISE_NOT_CONFIGURED: 'The tutor chat is not configured',
+    FLOWISE_UNAVAILABLE: 'Could not reach the tutor chat',
+    FLOWISE_TIMEOUT: 'The tutor chat did not respond in time',
+    FLOWISE_ERROR: 'The tutor chat could not answer',
+    CHAT_ID_FORBIDDEN: 'This chat belongs to another student or enrolment',
+    WEBHOOK_SUBSCRIPTION_NOT_FOUND: 'Webhook subscription not found',
+    UNSUBSCRIBE_TOKEN_INVALID: 'This unsubscribe link is invalid or has expired',
+  },
+  emails: {
+    common: {
+      greeting:
+        '{{#recipientName}}Hi {{recipientName}},{{/recipientName}}{{^recipientName}}Hi,{{/recipientName}}',
+      notProvided: 'Not provided',
+      sentAt: 'Environment: {{environment}} · Sent at {{sentAt}}',
+      name: 'Name',
+      nickname: 'Nickname',
+      email: 'Email',
+      source: 'Source',
+      chatId: 'Chat ID',
+      sessionId: 'Session ID',
+      chatflowId: 'Chatflow ID',
+      books: 'Study resources',
+      examDates: 'Planned exam dates',
+    },
+    studentSubmission: {
+      subject: 'New Student: {{name}}',
+      heading: 'New student submission received',
+      guardian: 'Guardian',
+      primaryGuardian: 'primary contact',
+      age: 'Age',
+      preferredColour: 'Preferred colour',
+      enrolment: 'Enrolment {{number}}',
+    },
+    enrolmentAdded: {
+      subject: 'Student added subject: {{enrolment.subject}} ({{enrolment.level}})',
+      eyebrow: 'Enrolment update',
+      heading: 'Student added a subject',
+      details: 'Subject details',
+      subjectName: 'Subject',
+      country: 'Country',
+      examBody: 'Exam body',
+      level: 'Level',
+      enrolmentChatflowId: 'Enrolment chatflow ID',
+      studentChatflowId: 'Student chatflow ID',
+    },
+    summaryReportAlert: {
+      subject: 'Summary Report: {{title}}',
+      studentName: 'Student Name',
+      studentEmail: 'Student Email',
+      studentId: 'Student ID',
+      participants: 'Participants',
+      topics: 'Topics',
+      scopeCovered: 'Scope Covered',
+      keyLearnings: 'Key Learnings',
+      misconceptionsClarified: 'Misconceptions Clarified',
+      studentStrengths: 'Student Strengths',
+      gapsNextPriorities: 'Gaps / Next Priorities',
+      suggestedNextSteps: 'Suggested Next Steps',
+      questions: 'Questions',
+      compactRecap: 'Compact Recap',
+    },
+    guardianSummaryReport: {
+      subject: "{{studentName}}'s tutoring session: {{title}}",
+      greeting:
+        '{{#recipientName}}Hi {{recipientName}},{{/recipientName}}{{^recipientName}}Hello,{{/recipientName}}',
+      intro: "Here's a summary of {{studentName}}'s latest session.",
+      topics: 'Topics covered',
+      keyLearnings: 'What they learned',
+      misconceptionsClarified: 'Misunderstandings cleared up',
+      studentStrengths: 'Strengths we noticed',
+      gapsNextPriorities: 'What to work on next',
+      suggestedNextSteps: 'How you can help',
+      footer: 'Questions about this session? Just reply to this email to reach the tutor.',
+    },
+    guardianDigest: {
+      subject: 'Learning summary for {{names}}: {{periodLabel}}',
+      periodWeek: 'this week',
+      periodDays: 'the last {{periodDays}} days',
+      heading: "Here's what was covered {{periodLabel}}",
+      sessionOne: '1 session',
+      sessionMany: '{{count}} sessions',
+      topics: 'Topics',
+      keyLearnings: 'Key learnings',
+      studentStrengths: 'Strengths',
+      gapsNextPriorities: 'Next priorities',
+      footer: "You're receiving this because you're listed as a guardian.",
+      unsubscribe: 'Unsubscribe from these summaries',
+      unsubscribeConfirm: 'Stop sending learning summaries to {{email}}?',
+      unsubscribeButton: 'Unsubscribe',
+      unsubscribed: 'You will no longer receive learning summary emails.',
+    },
+    issueAlert: {
+      subject: 'New Issue: {{title}}',
+      description: 'Description',
+      date: 'Date',
+      nodeId: 'Node ID',
+    },
+    issueComment: {
+      subject: 'Re: [#{{issueId}}] {{title}}',
+      replied: '{{authorName}} replied to your issue',
+      footer: 'Reply to this email to add a comment to the issue.',
+    },
+    issueResolved: {
+      subject: 'Resolved: {{title}}',
+      intro: 'Good news: the issue you reported has been resolved.',
+      issue: 'Issue',
+      notes: 'Notes from our team',
+      footer: 'If you still see the problem, just reply to this email and let us know.',
+    },
+    guardianLogin: {
+      subject: 'Your sign-in link',
+      heading: "Sign in to view your student's reports",
+      intro:
+        'Use the button below to sign in. The link works once and expires in {{expiresInMinutes}} minutes.',
+      button: 'Sign in',
+      fallback: 'If the button does not work, copy this link into your browser:',
+      ignore: 'If you did not request this email you can ignore it.',
+    },
+    studentLoginCode: {
+      subject: 'Your sign-in code: {{code}}',
+      heading: 'Hi {{name}}, here is your sign-in code',
+      intro:
+        'Enter this code to continue. It works once and expires in {{expiresInMinutes}} minutes.',
+      ignore: 'If you did not request this code you can ignore this email.',
+    },
+  },
+};
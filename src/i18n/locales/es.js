@@ -0,0 +1,170 @@
+/**
+ * Spanish messages. Missing keys fall back to English.
+ * @type {import('../index.js').MessageCatalogue}
+ */
+export default {
+  dateLocale: 'es-ES',
+  errors: {
+    VALIDATION_ERROR: 'Solicitud no válida',
+    NOT_FOUND: 'Ruta no encontrada',
+    INTERNAL_ERROR: 'Algo salió mal',
+    FORBIDDEN: 'No tienes permiso para hacer esto',
+    STUDENT_NOT_FOUND: 'No se encontró el estudiante',
+    STUDENT_EMAIL_CHANGE_FORBIDDEN: 'Pide a tu tutor que cambie tu dirección de correo electrónico',
+    STUDENT_GUARDIANS_CHANGE_FORBIDDEN: 'Pide a tu tutor que cambie tus tutores legales',
+    STUDENT_EMAIL_EXISTS: 'El correo electrónico del estudiante ya está registrado.',
+    STUDENT_GUARDIAN_EMAIL_EXISTS:
+      'El correo electrónico del tutor legal ya está asociado a otro estudiante.',
+    ENROLMENT_ALREADY_EXISTS:
+      'Esta asignatura ya está en tu perfil. Edita la inscripción existente.',
+    ENROLMENT_NOT_FOUND: 'No se encontró la inscripción para este estudiante',
+    INVALID_ENROLMENT_INDEX: 'El índice de inscripción debe ser un número no negativo',
+    NO_STUDENTS_FOUND: 'No hay estudiantes asociados a este correo de tutor legal',
+    REPORT_NOT_FOUND: 'No se encontró el informe',
+    ISSUE_NOT_FOUND: 'No se encontró la incidencia',
+    LOGIN_CODE_INVALID: 'Este código de acceso no es válido o ha caducado',
+    LOGIN_TOKEN_INVALID: 'Este enlace de acceso no es válido o ha caducado',
+    STUDENT_SESSION_REQUIRED: 'Se requiere una sesión de estudiante',
+    STUDENT_SESSION_INVALID: 'La sesión de estudiante no es válida o ha caducado',
+    GUARDIAN_SESSION_REQUIRED: 'Se requiere una sesión de tutor legal',
+    GUARDIAN_SESSION_INVALID: 'La sesión de tutor legal no es válida o ha caducado',
+    IF_MATCH_REQUIRED:
+      'Se requiere una cabecera If-Match con la ETag de tu última lectura',
+    IF_MATCH_INVALID: 'If-Match debe ser * o una lista de ETags',
+    VERSION_MISMATCH:
+      'Este estudiante ha cambiado desde que lo cargaste. Recarga e inténtalo de nuevo.',
+    CHATFLOW_NOT_FOUND: 'No se encontró el chatflow',
+    CHATFLOW_EXISTS: 'Ya hay un chatflow registrado con este id',
+    CHATFLOW_UNKNOWN: 'Este chatflow no está registrado o no está activo',
+    CHATFLOW_NOT_CONFIGURED: 'No hay ningún chatflow configurado para esta inscripción',
+    FLOWISE_NOT_CONFIGURED: 'El chat del tutor no está configurado',
+    FLOWISE_UNAVAILABLE: 'No se pudo conectar con el chat del tutor',
+    FLOWISE_TIMEOUT: 'El chat del tutor no respondió a tiempo',
+    FLOWISE_ERROR: 'El chat del tutor no pudo responder',
+    CHAT_ID_FORBIDDEN: 'Este chat pertenece a otro estudiante o inscripción',
+    WEBHOOK_SUBSCRIPTION_NOT_FOUND: 'No se encontró la suscripción de webhook',
+    UNSUBSCRIBE_TOKEN_INVALID:
+      'Este enlace para darse de baja no es válido o ha caducado',
+  },
+  emails: {
+    common: {
+      greeting:
+        '{{#recipientName}}Hola, {{recipientName}}:{{/recipientName}}{{^recipientName}}Hola:{{/recipientName}}',
+      notProvided: 'No indicado',
+      sentAt: 'Entorno: {{environment}} · Enviado el {{sentAt}}',
+      name: 'Nombre',
+      nickname: 'Apodo',
+      email: 'Correo electrónico',
+      source: 'Origen',
+      chatId: 'ID de chat',
+      sessionId: 'ID de sesión',
+      chatflowId: 'ID de chatflow',
+      books: 'Recursos de estudio',
+      examDates: 'Fechas de examen previstas',
+    },
+    studentSubmission: {
+      subject: 'Nuevo estudiante: {{name}}',
+      heading: 'Se ha recibido un nuevo registro de estudiante',
+      guardian: 'Tutor legal',
+      primaryGuardian: 'contacto principal',
+      age: 'Edad',
+      preferredColour: 'Color preferido',
+      enrolment: 'Inscripción {{number}}',
+    },
+    enrolmentAdded: {
+      subject:
+        'El estudiante añadió una asignatura: {{enrolment.subject}} ({{enrolment.level}})',
+      eyebrow: 'Actualización de inscripción',
+      heading: 'El estudiante añadió una asignatura',
+      details: 'Detalles de la asignatura',
+      subjectName: 'Asignatura',
+      country: 'País',
+      examBody: 'Organismo examinador',
+      level: 'Nivel',
+      enrolmentChatflowId: 'ID de chatflow de la inscripción',
+      studentChatflowId: 'ID de chatflow del estudiante',
+    },
+    summaryReportAlert: {
+      subject: 'Informe de sesión: {{title}}',
+      studentName: 'Nombre del estudiante',
+      studentEmail: 'Correo del estudiante',
+      studentId: 'ID del estudiante',
+      participants: 'Participantes',
+      topics: 'Temas',
+      scopeCovered: 'Contenido cubierto',
+      keyLearnings: 'Aprendizajes clave',
+      misconceptionsClarified: 'Conceptos erróneos aclarados',
+      studentStrengths: 'Puntos fuertes del estudiante',
+      gapsNextPriorities: 'Carencias / próximas prioridades',
+      suggestedNextSteps: 'Próximos pasos sugeridos',
+      questions: 'Preguntas',
+      compactRecap: 'Resumen breve',
+    },
+    guardianSummaryReport: {
+      subject: 'Sesión de tutoría de {{studentName}}: {{title}}',
+      greeting:
+        '{{#recipientName}}Hola, {{recipientName}}:{{/recipientName}}{{^recipientName}}Hola:{{/recipientName}}',
+      intro: 'Este es un resumen de la última sesión de {{studentName}}.',
+      topics: 'Temas tratados',
+      keyLearnings: 'Lo que ha aprendido',
+      misconceptionsClarified: 'Dudas aclaradas',
+      studentStrengths: 'Puntos fuertes',
+      gapsNextPriorities: 'En qué trabajar a continuación',
+      suggestedNextSteps: 'Cómo puedes ayudar',
+      footer:
+        '¿Tienes preguntas sobre esta sesión? Responde a este correo para contactar con el tutor.',
+    },
+    guardianDigest: {
+      subject: 'Resumen de aprendizaje de {{names}}: {{periodLabel}}',
+      periodWeek: 'esta semana',
+      periodDays: 'los últimos {{periodDays}} días',
+      heading: 'Esto es lo que se ha trabajado {{periodLabel}}',
+      sessionOne: '1 sesión',
+      sessionMany: '{{count}} sesiones',
+      topics: 'Temas',
+      keyLearnings: 'Aprendizajes clave',
+      studentStrengths: 'Puntos fuertes',
+      gapsNextPriorities: 'Próximas prioridades',
+      footer: 'Recibes este correo porque figuras como tutor legal.',
+      unsubscribe: 'Darse de baja de estos resúmenes',
+      unsubscribeConfirm: '¿Dejar de enviar resúmenes de aprendizaje a {{email}}?',
+      unsubscribeButton: 'Darme de baja',
+      unsubscribed: 'Ya no recibirás correos con resúmenes de aprendizaje.',
+    },
+    issueAlert: {
+      subject: 'Nueva incidencia: {{title}}',
+      description: 'Descripción',
+      date: 'Fecha',
+      nodeId: 'ID de nodo',
+    },
+    issueComment: {
+      subject: 'Re: [#{{issueId}}] {{title}}',
+      replied: '{{authorName}} ha respondido a tu incidencia',
+      footer: 'Responde a este correo para añadir un comentario a la incidencia.',
+    },
+    issueResolved: {
+      subject: 'Resuelta: {{title}}',
+      intro: 'Buenas noticias: la incidencia que nos comunicaste se ha resuelto.',
+      issue: 'Incidencia',
+      notes: 'Notas de nuestro equipo',
+      footer:
+        'Si el problema persiste, responde a este correo y háznoslo saber.',
+    },
+    guardianLogin: {
+      subject: 'Tu enlace de acceso',
+      heading: 'Accede para ver los informes de tu estudiante',
+      intro:
+        'Usa el botón de abajo para acceder. El enlace solo funciona una vez y caduca en {{expiresInMinutes}} minutos.',
+      button: 'Acceder',
+      fallback: 'Si el botón no funciona, copia este enlace en tu navegador:',
+      ignore: 'Si no has solicitado este correo, puedes ignorarlo.',
+    },
+    studentLoginCode: {
+      subject: 'Tu código de acceso: {{code}}',
+      heading: 'Hola, {{name}}: este es tu código de acceso',
+      intro:
+        'Introduce este código para continuar. Solo funciona una vez y caduca en {{expiresInMinutes}} minutos.',
+      ignore: 'Si no has solicitado este código, puedes ignorar este correo.',
+    },
+  },
+};
@@ -0,0 +1,169 @@
+/**
+ * French messages. Missing keys fall back to English.
+ * @type {import('../index.js').MessageCatalogue}
+ */
+export default {
+  dateLocale: 'fr-FR',
+  errors: {
+    VALIDATION_ERROR: 'Requête invalide',
+    NOT_FOUND: 'Route introuvable',
+    INTERNAL_ERROR: "Une erreur s'est produite",
+    FORBIDDEN: "Vous n'avez pas l'autorisation d'effectuer cette action",
+    STUDENT_NOT_FOUND: 'Élève introuvable',
+    STUDENT_EMAIL_CHANGE_FORBIDDEN: 'Demandez à votre tuteur de modifier votre adresse e-mail',
+    STUDENT_GUARDIANS_CHANGE_FORBIDDEN: 'Demandez à votre tuteur de modifier vos responsables',
+    STUDENT_EMAIL_EXISTS: "L'adresse e-mail de l'élève est déjà enregistrée.",
+    STUDENT_GUARDIAN_EMAIL_EXISTS:
+      "L'adresse e-mail du responsable est déjà associée à un autre élève.",
+    ENROLMENT_ALREADY_EXISTS:
+      "Cette matière figure déjà dans votre profil. Modifiez l'inscription existante.",
+    ENROLMENT_NOT_FOUND: 'Inscription introuvable pour cet élève',
+    INVALID_ENROLMENT_INDEX: "L'index d'inscription doit être un nombre positif ou nul",
+    NO_STUDENTS_FOUND: 'Aucun élève associé à cette adresse e-mail de responsable',
+    REPORT_NOT_FOUND: 'Compte rendu introuvable',
+    ISSUE_NOT_FOUND: 'Signalement introuvable',
+    LOGIN_CODE_INVALID: 'Ce code de connexion est invalide ou a expiré',
+    LOGIN_TOKEN_INVALID: 'Ce lien de connexion est invalide ou a expiré',
+    STUDENT_SESSION_REQUIRED: 'Une session élève est requise',
+    STUDENT_SESSION_INVALID: 'La session élève est invalide ou a expiré',
+    GUARDIAN_SESSION_REQUIRED: 'Une session responsable est requise',
+    GUARDIAN_SESSION_INVALID: 'La session responsable est invalide ou a expiré',
+    IF_MATCH_REQUIRED:
+      "Un en-tête If-Match contenant l'ETag de votre dernière lecture est requis",
+    IF_MATCH_INVALID: "If-Match doit être * ou une liste d'ETags",
+    VERSION_MISMATCH:
+      'Cet élève a été modifié depuis votre chargement. Rechargez et réessayez.',
+    CHATFLOW_NOT_FOUND: 'Chatflow introuvable',
+    CHATFLOW_EXISTS: 'Un chatflow avec cet identifiant est déjà enregistré',
+    CHATFLOW_UNKNOWN: "Ce chatflow n'est pas enregistré ou n'est pas actif",
+    CHATFLOW_NOT_CONFIGURED: "Aucun chatflow n'est configuré pour cette inscription",
+    FLOWISE_NOT_CONFIGURED: "Le chat du tuteur n'est pas configuré",
+    FLOWISE_UNAVAILABLE: 'Impossible de joindre le chat du tuteur',
+    FLOWISE_TIMEOUT: "Le chat du tuteur n'a pas répondu à temps",
+    FLOWISE_ERROR: "Le chat du tuteur n'a pas pu répondre",
+    CHAT_ID_FORBIDDEN: 'Cette conversation appartient à un autre élève ou à une autre inscription',
+    WEBHOOK_SUBSCRIPTION_NOT_FOUND: 'Abonnement webhook introuvable',
+    UNSUBSCRIBE_TOKEN_INVALID: 'Ce lien de désinscription est invalide ou a expiré',
+  },
+  emails: {
+    common: {
+      greeting:
+        '{{#recipientName}}Bonjour {{recipientName}},{{/recipientName}}{{^recipientName}}Bonjour,{{/recipientName}}',
+      notProvided: 'Non renseigné',
+      sentAt: 'Environnement : {{environment}} · Envoyé le {{sentAt}}',
+      name: 'Nom',
+      nickname: 'Surnom',
+      email: 'E-mail',
+      source: 'Source',
+      chatId: 'ID de chat',
+      sessionId: 'ID de session',
+      chatflowId: 'ID de chatflow',
+      books: "Ressources d'étude",
+      examDates: "Dates d'examen prévues",
+    },
+    studentSubmission: {
+      subject: 'Nouvel élève : {{name}}',
+      heading: "Nouvelle inscription d'élève reçue",
+      guardian: 'Responsable',
+      primaryGuardian: 'contact principal',
+      age: 'Âge',
+      preferredColour: 'Couleur préférée',
+      enrolment: 'Inscription {{number}}',
+    },
+    enrolmentAdded: {
+      subject:
+        "L'élève a ajouté une matière : {{enrolment.subject}} ({{enrolment.level}})",
+      eyebrow: "Mise à jour d'inscription",
+      heading: "L'élève a ajouté une matière",
+      details: 'Détails de la matière',
+      subjectName: 'Matière',
+      country: 'Pays',
+      examBody: "Organisme d'examen",
+      level: 'Niveau',
+      enrolmentChatflowId: "ID de chatflow de l'inscription",
+      studentChatflowId: "ID de chatflow de l'élève",
+    },
+    summaryReportAlert: {
+      subject: 'Compte rendu : {{title}}',
+      studentName: "Nom de l'élève",
+      studentEmail: "E-mail de l'élève",
+      studentId: "ID de l'élève",
+      participants: 'Participants',
+      topics: 'Thèmes',
+      scopeCovered: 'Programme couvert',
+      keyLearnings: 'Acquis principaux',
+      misconceptionsClarified: 'Idées fausses corrigées',
+      studentStrengths: "Points forts de l'élève",
+      gapsNextPriorities: 'Lacunes / prochaines priorités',
+      suggestedNextSteps: 'Prochaines étapes suggérées',
+      questions: 'Questions',
+      compactRecap: 'Récapitulatif',
+    },
+    guardianSummaryReport: {
+      subject: 'Séance de tutorat de {{studentName}} : {{title}}',
+      greeting:
+        '{{#recipientName}}Bonjour {{recipientName}},{{/recipientName}}{{^recipientName}}Bonjour,{{/recipientName}}',
+      intro: 'Voici un résumé de la dernière séance de {{studentName}}.',
+      topics: 'Thèmes abordés',
+      keyLearnings: 'Ce qui a été appris',
+      misconceptionsClarified: 'Malentendus dissipés',
+      studentStrengths: 'Points forts remarqués',
+      gapsNextPriorities: 'À travailler ensuite',
+      suggestedNextSteps: 'Comment vous pouvez aider',
+      footer:
+        'Des questions sur cette séance ? Répondez simplement à cet e-mail pour joindre le tuteur.',
+    },
+    guardianDigest: {
+      subject: "Bilan d'apprentissage de {{names}} : {{periodLabel}}",
+      periodWeek: 'cette semaine',
+      periodDays: 'ces {{periodDays}} derniers jours',
+      heading: 'Voici ce qui a été travaillé {{periodLabel}}',
+      sessionOne: '1 séance',
+      sessionMany: '{{count}} séances',
+      topics: 'Thèmes',
+      keyLearnings: 'Acquis principaux',
+      studentStrengths: 'Points forts',
+      gapsNextPriorities: 'Prochaines priorités',
+      footer: 'Vous recevez cet e-mail car vous êtes indiqué comme responsable.',
+      unsubscribe: 'Se désabonner de ces bilans',
+      unsubscribeConfirm: "Ne plus envoyer de bilans d'apprentissage à {{email}} ?",
+      unsubscribeButton: 'Me désabonner',
+      unsubscribed: "Vous ne recevrez plus d'e-mails de bilan d'apprentissage.",
+    },
+    issueAlert: {
+      subject: 'Nouveau signalement : {{title}}',
+      description: 'Description',
+      date: 'Date',
+      nodeId: 'ID de nœud',
+    },
+    issueComment: {
+      subject: 'Re: [#{{issueId}}] {{title}}',
+      replied: '{{authorName}} a répondu à votre signalement',
+      footer: 'Répondez à cet e-mail pour ajouter un commentaire au signalement.',
+    },
+    issueResolved: {
+      subject: 'Résolu : {{title}}',
+      intro: 'Bonne nouvelle : le problème que vous avez signalé a été résolu.',
+      issue: 'Signalement',
+      notes: 'Notes de notre équipe',
+      footer:
+        'Si le problème persiste, répondez simplement à cet e-mail pour nous le faire savoir.',
+    },
+    guardianLogin: {
+      subject: 'Votre lien de connexion',
+      heading: 'Connectez-vous pour consulter les comptes rendus de votre élève',
+      intro:
+        "Utilisez le bouton ci-dessous pour vous connecter. Le lien n'est valable qu'une fois et expire dans {{expiresInMinutes}} minutes.",
+      button: 'Se connecter',
+      fallback: 'Si le bouton ne fonctionne pas, copiez ce lien dans votre navigateur :',
+      ignore: "Si vous n'avez pas demandé cet e-mail, vous pouvez l'ignorer.",
+    },
+    studentLoginCode: {
+      subject: 'Votre code de connexion : {{code}}',
+      heading: 'Bonjour {{name}}, voici votre code de connexion',
+      intro:
+        "Saisissez ce code pour continuer. Il n'est valable qu'une fois et expire dans {{expiresInMinutes}} minutes.",
+      ignore: "Si vous n'avez pas demandé ce code, vous pouvez ignorer cet e-mail.",
+    },
+  },
+};
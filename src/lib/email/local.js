@@ -0,0 +1,90 @@
+import { randomUUID } from 'crypto';
+import { access, mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { env } from '../../config/env.js';
+
+const MAX_KEPT_MESSAGES = 100;
+
+/**
+ * Messages captured by the local transports, newest last. Handy for tests
+ * and for inspecting what would have been sent.
+ * @type {Array<{ id: string; idempotencyKey: string; sentAt: string; message: any }>}
+ */
+export const capturedEmails = [];
+
+const capture = (message, idempotencyKey) => {
+  const entry = {
+    id: `local-${randomUUID()}`,
+    idempotencyKey,
+    sentAt: new Date().toISOString(),
+    message,
+  };
+  capturedEmails.push(entry);
+  if (capturedEmails.length > MAX_KEPT_MESSAGES) {
+    capturedEmails.shift();
+  }
+  return entry;
+};
+
+/**
+ * Keeps messages in memory only.
+ * @type {import('./transports.js').EmailTransport}
+ */
+export const memoryTransport = {
+  name: 'memory',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send(message, { idempotencyKey }) {
+    return { id: capture(message, idempotencyKey).id };
+  },
+
+  async checkHealth() {
+    return { ok: true, captured: capturedEmails.length };
+  },
+};
+
+/**
+ * Writes each message as JSON (plus an .html preview) to EMAIL_FILE_DIR.
+ * @type {import('./transports.js').EmailTransport}
+ */
+export const fileTransport = {
+  name: 'file',
+
+  isConfigured() {
+    return Boolean(env.emailFileDir);
+  },
+
+  async send(message, { idempotencyKey }) {
+    const entry = capture(message, idempotencyKey);
+    const dir = path.resolve(env.emailFileDir);
+    const base = path.join(
+      dir,
+      `${entry.sentAt.replace(/[:.]/g, '-')}-${entry.id}`,
+    );
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(`${base}.json`, JSON.stringify(entry, null, 2));
+    if (message.html) {
+      await writeFile(`${base}.html`, message.html);
+    }
+
+    return { id: entry.id };
+  },
+
+  async checkHealth() {
+    try {
+      const dir = path.resolve(env.emailFileDir);
+      await mkdir(dir, { recursive: true });
+      await access(dir);
+      return { ok: true, dir };
+    } catch (error) {
+      return {
+        ok: false,
+        error: error instanceof Error ? error.message : 'Directory not writable',
+      };
+    }
+  },
+};
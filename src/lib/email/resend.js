@@ -1,8 +1,55 @@
 import { Resend } from 'resend';
+import { env } from '../../config/env.js';
 
-const apiKey = process.env.RESEND_API_KEY;
-if (!apiKey) {
-  throw new Error('RESEND_API_KEY is missing');
+let client = null;
+
+/**
+ * Lazily create the Resend client so a missing RESEND_API_KEY only disables
+ * this transport instead of crashing the server at import time.
+ * @returns {Resend | null}
+ */
+export function getResendClient() {
+  if (!env.resendKey) {
+    return null;
+  }
+
+  client ??= new Resend(env.resendKey);
+  return client;
 }
 
-export const resend = new Resend(apiKey);
+/** @type {import('./transports.js').EmailTransport} */
+export const resendTransport = {
+  name: 'resend',
+
+  isConfigured() {
+    return Boolean(env.resendKey);
+  },
+
+  async send(message, { idempotencyKey }) {
+    const resend = getResendClient();
+    if (!resend) {
+      throw new Error('Resend transport not configured: set RESEND_API_KEY');
+    }
+
+    // The SDK maps `replyTo` to the API's `reply_to` itself
+    const { replyTo, ...rest } = message;
+    const { data, error } = await resend.emails.send(
+      { ...rest, replyTo: replyTo || undefined },
+      { idempotencyKey },
+    );
+
+    if (error) {
+      const e = new Error(error.message || 'Resend send failed');
+      e.cause = error;
+      throw e;
+    }
+
+    return { id: data?.id ?? '' };
+  },
+
+  async checkHealth() {
+    return this.isConfigured()
+      ? { ok: true }
+      : { ok: false, error: 'RESEND_API_KEY not set' };
+  },
+};
@@ -0,0 +1,63 @@
+import nodemailer from 'nodemailer';
+import { env } from '../../config/env.js';
+
+let transporter = null;
+
+const getTransporter = () => {
+  transporter ??= nodemailer.createTransport({
+    host: env.emailHost,
+    port: env.emailPort,
+    secure: env.emailPort === 465,
+    auth: env.emailUser ? { user: env.emailUser, pass: env.emailPass } : undefined,
+    connectionTimeout: env.emailTimeout,
+    greetingTimeout: env.emailTimeout,
+    socketTimeout: env.emailTimeout,
+  });
+  return transporter;
+};
+
+/** @type {import('./transports.js').EmailTransport} */
+export const smtpTransport = {
+  name: 'smtp',
+
+  isConfigured() {
+    return Boolean(env.emailHost);
+  },
+
+  async send(message, { idempotencyKey }) {
+    if (!this.isConfigured()) {
+      throw new Error('SMTP transport not configured: set EMAIL_HOST');
+    }
+
+    const info = await getTransporter().sendMail({
+      from: message.from,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      replyTo: message.replyTo || undefined,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments,
+      headers: { ...message.headers, 'X-Idempotency-Key': idempotencyKey },
+    });
+
+    return { id: info.messageId ?? '' };
+  },
+
+  async checkHealth() {
+    if (!this.isConfigured()) {
+      return { ok: false, error: 'EMAIL_HOST not set' };
+    }
+
+    try {
+      await getTransporter().verify();
+      return { ok: true };
+    } catch (error) {
+      return {
+        ok: false,
+        error: error instanceof Error ? error.message : 'SMTP verify failed',
+      };
+    }
+  },
+};
@@ -0,0 +1,126 @@
+import { env } from '../../config/env.js';
+import { fileTransport, memoryTransport } from './local.js';
+import { resendTransport } from './resend.js';
+import { smtpTransport } from './smtp.js';
+
+/**
+ * @typedef {Object} EmailTransport
+ * @property {string} name
+ * @property {() => boolean} isConfigured
+ * @property {(message: any, options: { idempotencyKey: string }) => Promise<{ id: string }>} send
+ * @property {() => Promise<{ ok: boolean; error?: string } & Record<string, unknown>>} checkHealth
+ */
+
+/** @type {Record<string, EmailTransport>} */
+const registry = {
+  resend: resendTransport,
+  smtp: smtpTransport,
+  file: fileTransport,
+  memory: memoryTransport,
+};
+
+/**
+ * Transport names in failover order. EMAIL_TRANSPORTS wins; otherwise use
+ * whichever providers are configured, falling back to the file transport
+ * outside production so development never needs real credentials.
+ * @returns {string[]}
+ */
+export function getTransportOrder() {
+  if (env.emailTransports.length) {
+    return env.emailTransports.filter((name) => name in registry);
+  }
+
+  const order = ['resend', 'smtp'].filter((name) =>
+    registry[name].isConfigured(),
+  );
+  if (!order.length && env.nodeEnv !== 'production') {
+    order.push('file');
+  }
+  return order;
+}
+
+/**
+ * Configured transports in failover order.
+ * @returns {EmailTransport[]}
+ */
+export const getTransports = () =>
+  getTransportOrder()
+    .map((name) => registry[name])
+    .filter((transport) => transport.isConfigured());
+
+/**
+ * Give up waiting on a transport after `ms`. The error carries
+ * `timedOut` and the transport's name, since the send may still go through.
+ * @param {Promise<{ id: string }>} promise
+ * @param {number} ms
+ * @param {string} transport
+ */
+const withTimeout = (promise, ms, transport) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      setTimeout(() => {
+        const error = new Error(`Email send through ${transport} timed out after ${ms}ms`);
+        error.timedOut = true;
+        error.transport = transport;
+        reject(error);
+      }, ms).unref();
+    }),
+  ]);
+
+/**
+ * Send through the first transport that succeeds. A transport that times
+ * out may still deliver, so failover stops there: trying the next one could
+ * send the message twice, as only Resend honours the idempotency key.
+ * @param {any} message
+ * @param {{ idempotencyKey: string; timeoutMs: number; only?: string }} options
+ *   `only` restricts the send to one transport, e.g. the one that timed out
+ * @returns {Promise<{ id: string; transport: string }>}
+ */
+export async function sendWithFailover(message, { idempotencyKey, timeoutMs, only }) {
+  const transports = getTransports().filter(
+    (transport) => !only || transport.name === only,
+  );
+  if (!transports.length) {
+    throw new Error(
+      only ? `Email transport ${only} is not configured` : 'No email transport configured',
+    );
+  }
+
+  const failures = [];
+  for (const transport of transports) {
+    try {
+      const { id } = await withTimeout(
+        transport.send(message, { idempotencyKey }),
+        timeoutMs,
+        transport.name,
+      );
+      return { id, transport: transport.name };
+    } catch (error) {
+      if (error?.timedOut) {
+        throw error;
+      }
+      failures.push(
+        `${transport.name}: ${error instanceof Error ? error.message : error}`,
+      );
+    }
+  }
+
+  throw new Error(`All email transports failed (${failures.join('; ')})`);
+}
+
+/**
+ * Health of every transport in the failover order.
+ */
+export async function checkTransports() {
+  return Promise.all(
+    getTransportOrder().map(async (name) => {
+      const transport = registry[name];
+      return {
+        name,
+        configured: transport.isConfigured(),
+        ...(await transport.checkHealth()),
+      };
+    }),
+  );
+}
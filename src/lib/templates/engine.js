@@ -0,0 +1,309 @@
+/**
+ * A small logic-less template engine (a subset of Mustache) for emails.
+ *
+ *   {{name}}            escaped value; dotted paths like {{student.name}}
+ *   {{{html}}}          unescaped value (also {{& html}})
+ *   {{#items}}..{{/items}}  repeat for arrays, render once for truthy values
+ *   {{^items}}..{{/items}}  render when falsy or an empty array
+ *   {{> partial}}       include a named partial with the current context
+ *   {{! comment }}      ignored
+ *
+ * Values are HTML-escaped unless `escape: false` is passed, which is used
+ * for subjects and plain-text bodies.
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {Record<string, string>} [partials]
+ * @property {boolean} [escape] defaults to true
+ */
+
+const MAX_CACHED_TEMPLATES = 200;
+const MAX_PARTIAL_DEPTH = 10;
+
+/** @type {Map<string, any[]>} */
+const compiled = new Map();
+
+const syntaxError = (message) =>
+  Object.assign(new Error(message), { code: 'TEMPLATE_SYNTAX_ERROR' });
+
+/**
+ * Escape a value for interpolation into HTML.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const start = source.indexOf('{{', index);
+    if (start === -1) {
+      tokens.push({ type: 'text', value: source.slice(index) });
+      break;
+    }
+    if (start > index) {
+      tokens.push({ type: 'text', value: source.slice(index, start) });
+    }
+
+    const triple = source.startsWith('{{{', start);
+    const open = triple ? 3 : 2;
+    const closeTag = triple ? '}}}' : '}}';
+    const end = source.indexOf(closeTag, start + open);
+    if (end === -1) {
+      throw syntaxError(`Unclosed tag at position ${start}`);
+    }
+
+    const inner = source.slice(start + open, end).trim();
+    index = end + closeTag.length;
+
+    if (triple) {
+      tokens.push({ type: 'raw', name: inner });
+      continue;
+    }
+
+    const sigil = inner[0];
+    const name = inner.slice(1).trim();
+    switch (sigil) {
+      case '#':
+        tokens.push({ type: 'section', name });
+        break;
+      case '^':
+        tokens.push({ type: 'inverted', name });
+        break;
+      case '/':
+        tokens.push({ type: 'close', name });
+        break;
+      case '>':
+        tokens.push({ type: 'partial', name });
+        break;
+      case '&':
+        tokens.push({ type: 'raw', name });
+        break;
+      case '!':
+        break;
+      default:
+        tokens.push({ type: 'var', name: inner });
+    }
+
+    const last = tokens.at(-1);
+    if (last && last.type !== 'text' && !last.name) {
+      throw syntaxError(`Empty tag at position ${start}`);
+    }
+  }
+
+  return tokens;
+}
+
+function buildTree(tokens) {
+  const root = [];
+  const stack = [{ name: '', children: root }];
+
+  for (const token of tokens) {
+    const parent = stack.at(-1);
+    if (token.type === 'section' || token.type === 'inverted') {
+      const node = { ...token, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || parent.name !== token.name) {
+        throw syntaxError(`Unexpected closing tag {{/${token.name}}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw syntaxError(`Unclosed section {{#${stack.at(-1).name}}}`);
+  }
+  return root;
+}
+
+/**
+ * Parse a template, throwing an error with code `TEMPLATE_SYNTAX_ERROR` when
+ * it is malformed. Parsed templates are cached by source.
+ * @param {string} source
+ */
+export function compileTemplate(source) {
+  const cached = compiled.get(source);
+  if (cached) {
+    return cached;
+  }
+
+  const tree = buildTree(tokenize(source));
+  if (compiled.size >= MAX_CACHED_TEMPLATES) {
+    compiled.clear();
+  }
+  compiled.set(source, tree);
+  return tree;
+}
+
+function lookup(name, stack) {
+  if (name === '.') {
+    return stack.at(-1);
+  }
+
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i -= 1) {
+    const context = stack[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => value?.[key], context[head]);
+    }
+  }
+  return undefined;
+}
+
+const stringify = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+};
+
+function renderNodes(nodes, stack, options, depth) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'var': {
+        const value = stringify(lookup(node.name, stack));
+        output += options.escape === false ? value : escapeHtml(value);
+        break;
+      }
+      case 'raw':
+        output += stringify(lookup(node.name, stack));
+        break;
+      case 'section': {
+        const value = lookup(node.name, stack);
+        if (Array.isArray(value)) {
+          for (const item of value) {
+            output += renderNodes(node.children, [...stack, item], options, depth);
+          }
+        } else if (value) {
+          const next = typeof value === 'object' ? [...stack, value] : stack;
+          output += renderNodes(node.children, next, options, depth);
+        }
+        break;
+      }
+      case 'inverted': {
+        const value = lookup(node.name, stack);
+        if (!value || (Array.isArray(value) && value.length === 0)) {
+          output += renderNodes(node.children, stack, options, depth);
+        }
+        break;
+      }
+      case 'partial': {
+        const partial = options.partials?.[node.name];
+        if (partial === undefined) {
+          throw syntaxError(`Unknown partial {{> ${node.name}}}`);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw syntaxError(`Partials nested too deeply at {{> ${node.name}}}`);
+        }
+        output += renderNodes(compileTemplate(partial), stack, options, depth + 1);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template against one or more data contexts. Names are resolved
+ * from the last context first, so later contexts override earlier ones.
+ * @param {string} source
+ * @param {object | object[]} data
+ * @param {RenderOptions} [options]
+ * @returns {string}
+ */
+export function renderTemplate(source, data, options = {}) {
+  const stack = Array.isArray(data) ? data : [data];
+  return renderNodes(compileTemplate(source), stack, options, 0);
+}
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  nbsp: ' ',
+  middot: '·',
+  mdash: '—',
+  ndash: '–',
+};
+
+/**
+ * Decode the entities email HTML commonly uses. Numeric references outside
+ * Unicode (above U+10FFFF) are left as written.
+ * @param {string} value
+ * @returns {string}
+ */
+export const decodeEntities = (value) =>
+  value.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x'
+          ? Number.parseInt(entity.slice(2), 16)
+          : Number.parseInt(entity.slice(1), 10);
+      return code >= 0 && code <= 0x10ffff
+        ? String.fromCodePoint(code)
+        : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+/**
+ * Derive a readable plain-text part from rendered email HTML.
+ * Links keep their target in brackets; list items become bullet points.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(style|script|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(
+      /<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+      (_match, href, label) => {
+        const content = label.replace(/<[^>]+>/g, '').trim();
+        const target = decodeEntities(href);
+        return !content || target.startsWith('mailto:') || decodeEntities(content) === target
+          ? content || target
+          : `${content} (${href})`;
+      },
+    )
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|section|blockquote|table|tr)>/gi, '\n\n')
+    .replace(/<hr[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,76 @@
+import { apiKeyService } from '../services/apiKeyService.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Pull a raw API key from `Authorization: Bearer <key>` or `X-API-Key`.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function readApiKey(req) {
+  const authorization = req.headers.authorization ?? '';
+  const [scheme, token] = authorization.split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && token?.startsWith('fk_')) {
+    return token.trim();
+  }
+
+  const header = req.headers['x-api-key'];
+  const value = Array.isArray(header) ? header[0] : header;
+  return value?.trim() ?? '';
+}
+
+/**
+ * Attach `req.apiKey` when a valid key is presented. Requests without a key
+ * pass through untouched so public routes keep working; use `requireRole`
+ * to protect individual routes.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export async function authenticateApiKey(req, _res, next) {
+  const rawKey = readApiKey(req);
+  if (!rawKey) {
+    next();
+    return;
+  }
+
+  try {
+    const key = await apiKeyService.authenticate(rawKey);
+    if (!key) {
+      next(httpError(401, 'API_KEY_INVALID', 'API key is invalid or revoked'));
+      return;
+    }
+
+    req.apiKey = { id: key._id.toString(), name: key.name, role: key.role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Restrict a route to API keys holding one of the given roles.
+ * `admin` keys are always allowed.
+ * @param {...string} roles
+ * @returns {import('express').RequestHandler}
+ */
+export function requireRole(...roles) {
+  return (req, _res, next) => {
+    if (!req.apiKey) {
+      next(httpError(401, 'API_KEY_REQUIRED', 'An API key is required'));
+      return;
+    }
+
+    if (req.apiKey.role !== 'admin' && !roles.includes(req.apiKey.role)) {
+      next(
+        httpError(
+          403,
+          'FORBIDDEN',
+          'This API key is not allowed to access this resource',
+        ),
+      );
+      return;
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,166 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { env } from '../config/env.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+
+export const SIGNATURE_HEADER = 'x-flowise-signature';
+export const TIMESTAMP_HEADER = 'x-flowise-timestamp';
+export const CHATFLOW_HEADER = 'x-flow-chatflow-id';
+
+/**
+ * Signatures seen within the tolerance window, keyed by signature with the
+ * epoch millisecond at which they can be forgotten. This lives in process
+ * memory, so each instance only sees its own traffic: with several
+ * instances (or after a restart) a replay can reach the handler, which is
+ * why the Flowise routes also dedupe on the webhook `id`.
+ * @type {Map<string, number>}
+ */
+const seenSignatures = new Map();
+
+const readHeader = (req, name) => {
+  const value = req.headers[name];
+  return (Array.isArray(value) ? value[0] : value)?.trim() ?? '';
+};
+
+/**
+ * Resolve the chatflow a webhook call claims to come from.
+ * Flowise sends it as a header; older flows only include it in the payload.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function resolveChatflowId(req) {
+  const payload = req.body?.payload ?? {};
+  const candidate =
+    readHeader(req, CHATFLOW_HEADER) ||
+    payload.chatflowId ||
+    payload.context?.chatflowId ||
+    '';
+  return typeof candidate === 'string' ? candidate.trim() : '';
+}
+
+/**
+ * Compute the expected signature for a request body.
+ * @param {string} secret
+ * @param {string} timestamp
+ * @param {Buffer | string} rawBody
+ * @returns {string} hex-encoded HMAC-SHA256
+ */
+export function signFlowisePayload(secret, timestamp, rawBody) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody ?? '')
+    .digest('hex');
+}
+
+const safeCompare = (expected, provided) => {
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(provided, 'utf8');
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+const pruneSeenSignatures = (now) => {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) {
+      seenSignatures.delete(signature);
+    }
+  }
+};
+
+/**
+ * Whether the idempotency layer can recognise the request: it carries an
+ * `Idempotency-Key` header or a webhook `id`.
+ * @param {import('express').Request} req
+ */
+const hasIdempotencyKey = (req) =>
+  Boolean(readHeader(req, 'idempotency-key')) ||
+  (typeof req.body?.id === 'string' && req.body.id.trim() !== '');
+
+/**
+ * Verify the HMAC signature on Flowise webhook calls.
+ *
+ * Callers sign `${timestamp}.${rawBody}` with their chatflow's shared secret
+ * and send the hex digest in `x-flowise-signature` alongside the unix
+ * timestamp in `x-flowise-timestamp`. Chatflows without a secret are only
+ * let through in development. A signature seen before is refused unless
+ * the request carries an idempotency key: Flowise retries are byte for byte
+ * the same, and the idempotency layer answers them with the stored
+ * response.
+ * @param {import('express').Request & {rawBody?: Buffer}} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function verifyFlowiseSignature(req, _res, next) {
+  const chatflowId = resolveChatflowId(req);
+  const secret = chatflowId ? env.flowiseWebhookSecrets[chatflowId] : undefined;
+
+  if (!secret) {
+    if (env.nodeEnv === 'development') {
+      logger.warn(
+        { chatflowId, path: req.path },
+        'No webhook secret configured for chatflow; accepting unsigned request in development.',
+      );
+      next();
+      return;
+    }
+
+    next(
+      httpError(
+        401,
+        'WEBHOOK_SECRET_NOT_CONFIGURED',
+        'Webhook signing is not configured for this chatflow',
+      ),
+    );
+    return;
+  }
+
+  const signature = readHeader(req, SIGNATURE_HEADER).replace(/^sha256=/, '');
+  const timestamp = readHeader(req, TIMESTAMP_HEADER);
+
+  if (!signature || !timestamp) {
+    next(
+      httpError(
+        401,
+        'WEBHOOK_SIGNATURE_MISSING',
+        `Missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header`,
+      ),
+    );
+    return;
+  }
+
+  const timestampSeconds = Number(timestamp);
+  const now = Date.now();
+  const toleranceMs = env.webhookToleranceSeconds * 1000;
+
+  if (
+    !Number.isFinite(timestampSeconds) ||
+    Math.abs(now - timestampSeconds * 1000) > toleranceMs
+  ) {
+    next(
+      httpError(
+        401,
+        'WEBHOOK_TIMESTAMP_EXPIRED',
+        'Webhook timestamp is outside the allowed window',
+      ),
+    );
+    return;
+  }
+
+  const expected = signFlowisePayload(secret, timestamp, req.rawBody);
+  if (!safeCompare(expected, signature)) {
+    next(
+      httpError(401, 'WEBHOOK_SIGNATURE_INVALID', 'Webhook signature is invalid'),
+    );
+    return;
+  }
+
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(signature) && !hasIdempotencyKey(req)) {
+    next(
+      httpError(401, 'WEBHOOK_REPLAYED', 'Webhook request has already been processed'),
+    );
+    return;
+  }
+  seenSignatures.set(signature, timestampSeconds * 1000 + toleranceMs);
+
+  next();
+}
@@ -0,0 +1,36 @@
+import { readBearerToken, verifySession } from '../services/sessionTokens.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Require a guardian session issued by `POST /guardians/session` and expose
+ * the verified guardian on `req.guardian`. The guardian's stored language
+ * from the session wins over `Accept-Language`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function requireGuardianSession(req, _res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    next(
+      httpError(401, 'GUARDIAN_SESSION_REQUIRED', 'A guardian session is required'),
+    );
+    return;
+  }
+
+  const claims = verifySession(token, 'guardian');
+  if (!claims?.email) {
+    next(
+      httpError(
+        401,
+        'GUARDIAN_SESSION_INVALID',
+        'Guardian session is invalid or has expired',
+      ),
+    );
+    return;
+  }
+
+  req.guardian = { email: claims.email };
+  req.locale = claims.locale || req.locale;
+  next();
+}
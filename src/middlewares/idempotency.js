@@ -0,0 +1,205 @@
+import { createHash } from 'crypto';
+import { env } from '../config/env.js';
+import { IdempotencyRecord } from '../models/IdempotencyRecord.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+
+// A pending record older than this is assumed to belong to a crashed request
+const STALE_PENDING_MS = 2 * 60 * 1000;
+
+/**
+ * Work out the idempotency keys for a request: an explicit
+ * `Idempotency-Key` header and, for source routes, the Flowise `id` in the
+ * body. Both are checked, so a Flowise retry that arrives with a different
+ * header is still recognised.
+ * @param {import('express').Request} req
+ * @param {string | undefined} source
+ * @returns {string[]}
+ */
+function resolveKeys(req, source) {
+  const keys = [];
+  const header = req.headers['idempotency-key'];
+  const headerValue = (Array.isArray(header) ? header[0] : header)?.trim();
+  if (headerValue) {
+    keys.push(`header:${headerValue}`);
+  }
+
+  const sourceId = typeof req.body?.id === 'string' ? req.body.id.trim() : '';
+  if (source && sourceId) {
+    keys.push(`${source}:${sourceId}`);
+  }
+  return keys;
+}
+
+const hashRequest = (req) =>
+  createHash('sha256')
+    .update(req.rawBody ?? JSON.stringify(req.body ?? {}))
+    .digest('hex');
+
+/**
+ * Make a POST route idempotent. The first request with a given key runs
+ * normally and its response is stored; later requests with the same key get
+ * the stored status and body back without running the handler again.
+ * Server errors are not stored so the caller can retry. Header keys expire
+ * after `env.idempotencyTtlHours`. Source keys are kept, so a Flowise retry
+ * gets the original status and body however late it arrives; source routes
+ * also dedupe on the stored `sourceId` in their handlers.
+ * @param {string} scope route family the key is unique within
+ * @param {{ source?: string }} [options] `source` enables keys from `body.id`
+ * @returns {import('express').RequestHandler}
+ */
+export function idempotent(scope, { source } = {}) {
+  return async (req, res, next) => {
+    const keys = resolveKeys(req, source);
+    if (!keys.length) {
+      next();
+      return;
+    }
+
+    const requestHash = hashRequest(req);
+
+    try {
+      const claimed = [];
+      let existing = null;
+      for (const key of keys) {
+        const record = await claimKey(scope, key, requestHash);
+        if (record.replay) {
+          existing = record.replay;
+          break;
+        }
+        claimed.push(record.id);
+      }
+
+      if (existing) {
+        // Another request owns one of the keys; give back the ones we took
+        if (claimed.length) {
+          await IdempotencyRecord.deleteMany({ _id: { $in: claimed } });
+        }
+
+        if (existing.requestHash && existing.requestHash !== requestHash) {
+          next(
+            httpError(
+              422,
+              'IDEMPOTENCY_KEY_REUSED',
+              'This idempotency key was already used with a different payload',
+            ),
+          );
+          return;
+        }
+
+        if (existing.state !== 'completed') {
+          next(
+            httpError(
+              409,
+              'IDEMPOTENCY_IN_PROGRESS',
+              'A request with this idempotency key is still being processed',
+            ),
+          );
+          return;
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        res.status(existing.responseStatus).json(existing.responseBody);
+        return;
+      }
+
+      let responseBody = null;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        const update =
+          res.statusCode >= 500
+            ? IdempotencyRecord.deleteMany({ _id: { $in: claimed } })
+            : IdempotencyRecord.updateMany(
+                { _id: { $in: claimed } },
+                {
+                  $set: {
+                    state: 'completed',
+                    responseStatus: res.statusCode,
+                    // Round-trip through JSON so ObjectIds/Dates store as sent
+                    responseBody: JSON.parse(JSON.stringify(responseBody)),
+                  },
+                },
+              );
+
+        update.catch((error) => {
+          logger.warn({ err: error, scope, keys }, 'Failed to store idempotent response');
+        });
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * When a record for the key should expire: header keys after the TTL,
+ * source keys never.
+ * @param {string} key
+ * @returns {Date | null}
+ */
+const expiryFor = (key) =>
+  key.startsWith('header:')
+    ? new Date(Date.now() + env.idempotencyTtlHours * 60 * 60 * 1000)
+    : null;
+
+/**
+ * Insert a pending record for the key, or return the existing one.
+ * @param {string} scope
+ * @param {string} key
+ * @param {string} requestHash
+ * @returns {Promise<{ id?: unknown; replay?: any }>}
+ */
+async function claimKey(scope, key, requestHash) {
+  const expiresAt = expiryFor(key);
+
+  try {
+    const created = await IdempotencyRecord.create({
+      scope,
+      key,
+      requestHash,
+      expiresAt,
+    });
+    return { id: created._id };
+  } catch (error) {
+    if (error?.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyRecord.findOne({ scope, key }).lean();
+  if (!existing) {
+    // Expired between the insert and the lookup; try once more
+    const created = await IdempotencyRecord.create({
+      scope,
+      key,
+      requestHash,
+      expiresAt,
+    });
+    return { id: created._id };
+  }
+
+  const isStale =
+    existing.state === 'pending' &&
+    existing.requestHash === requestHash &&
+    Date.now() - new Date(existing.updatedAt).getTime() > STALE_PENDING_MS;
+
+  if (isStale) {
+    const takenOver = await IdempotencyRecord.findOneAndUpdate(
+      { _id: existing._id, state: 'pending', updatedAt: existing.updatedAt },
+      { $set: { requestHash, expiresAt } },
+      { new: true, lean: true },
+    );
+    if (takenOver) {
+      return { id: takenOver._id };
+    }
+  }
+
+  return { replay: existing };
+}
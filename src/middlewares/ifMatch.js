@@ -0,0 +1,35 @@
+import { parseIfMatch } from '../utils/etag.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Require an `If-Match` header carrying the ETag from a previous read and
+ * expose the parsed versions on `req.ifMatch`. Controllers make the write
+ * conditional on it and answer 412 when the document has moved on.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function requireIfMatch(req, _res, next) {
+  const header = req.headers['if-match'];
+  if (!header) {
+    next(
+      httpError(
+        428,
+        'IF_MATCH_REQUIRED',
+        'An If-Match header with the ETag from your last read is required',
+      ),
+    );
+    return;
+  }
+
+  const ifMatch = parseIfMatch(header);
+  if (!ifMatch) {
+    next(
+      httpError(400, 'IF_MATCH_INVALID', 'If-Match must be * or a list of ETags'),
+    );
+    return;
+  }
+
+  req.ifMatch = ifMatch;
+  next();
+}
@@ -0,0 +1,42 @@
+import { timingSafeEqual } from 'crypto';
+import { env } from '../config/env.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Check the shared secret the inbound email provider sends in
+ * `x-inbound-secret`. Without a configured secret, calls are only accepted
+ * in development so stub payloads can be posted locally.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function verifyInboundEmailSecret(req, _res, next) {
+  if (!env.inboundEmailSecret) {
+    if (env.nodeEnv === 'development') {
+      logger.warn('INBOUND_EMAIL_SECRET not configured; accepting inbound email in development.');
+      next();
+      return;
+    }
+
+    next(
+      httpError(
+        401,
+        'WEBHOOK_SECRET_NOT_CONFIGURED',
+        'Inbound email webhook is not configured',
+      ),
+    );
+    return;
+  }
+
+  const header = req.headers['x-inbound-secret'];
+  const provided = Buffer.from((Array.isArray(header) ? header[0] : header) ?? '');
+  const expected = Buffer.from(env.inboundEmailSecret);
+
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    next(httpError(401, 'WEBHOOK_SIGNATURE_INVALID', 'Inbound email secret is invalid'));
+    return;
+  }
+
+  next();
+}
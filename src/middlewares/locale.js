@@ -0,0 +1,36 @@
+import { DEFAULT_LOCALE, errorMessage, negotiateLocale } from '../i18n/index.js';
+
+/**
+ * Work out the caller's language from `Accept-Language` and translate error
+ * bodies (`{ status, code, message }`) into it. `req.acceptedLocale` is the
+ * negotiated locale, or null when the header names none we support; stored
+ * preferences on sessions override `req.locale` later in the chain.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function detectLocale(req, res, next) {
+  req.acceptedLocale = negotiateLocale(req.headers['accept-language']);
+  req.locale = req.acceptedLocale ?? DEFAULT_LOCALE;
+  res.vary('Accept-Language');
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.set('Content-Language', req.locale);
+    // English messages come from the code and can be more specific than
+    // the catalogue, so only other locales are swapped out.
+    if (
+      res.statusCode >= 400 &&
+      req.locale !== 'en' &&
+      typeof body?.code === 'string'
+    ) {
+      const message = errorMessage(req.locale, body.code);
+      if (message) {
+        return json({ ...body, message });
+      }
+    }
+    return json(body);
+  };
+
+  next();
+}
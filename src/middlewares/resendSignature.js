@@ -0,0 +1,91 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { env } from '../config/env.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+
+const readHeader = (req, name) => {
+  const value = req.headers[name];
+  return (Array.isArray(value) ? value[0] : value)?.trim() ?? '';
+};
+
+/**
+ * Verify Resend webhook signatures (Svix scheme): the `svix-signature`
+ * header holds space-separated `v1,<base64>` HMAC-SHA256 digests of
+ * `${svix-id}.${svix-timestamp}.${rawBody}`, keyed with the base64 part of
+ * the `whsec_` secret. Unsigned calls are only accepted in development.
+ * @param {import('express').Request & {rawBody?: Buffer}} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function verifyResendSignature(req, _res, next) {
+  if (!env.resendWebhookSecret) {
+    if (env.nodeEnv === 'development') {
+      logger.warn('RESEND_WEBHOOK_SECRET not configured; accepting unsigned Resend webhook in development.');
+      next();
+      return;
+    }
+
+    next(
+      httpError(
+        401,
+        'WEBHOOK_SECRET_NOT_CONFIGURED',
+        'Resend webhook signing is not configured',
+      ),
+    );
+    return;
+  }
+
+  const id = readHeader(req, 'svix-id');
+  const timestamp = readHeader(req, 'svix-timestamp');
+  const signatures = readHeader(req, 'svix-signature');
+
+  if (!id || !timestamp || !signatures) {
+    next(
+      httpError(401, 'WEBHOOK_SIGNATURE_MISSING', 'Missing Resend signature headers'),
+    );
+    return;
+  }
+
+  const timestampSeconds = Number(timestamp);
+  const toleranceMs = env.webhookToleranceSeconds * 1000;
+  if (
+    !Number.isFinite(timestampSeconds) ||
+    Math.abs(Date.now() - timestampSeconds * 1000) > toleranceMs
+  ) {
+    next(
+      httpError(
+        401,
+        'WEBHOOK_TIMESTAMP_EXPIRED',
+        'Webhook timestamp is outside the allowed window',
+      ),
+    );
+    return;
+  }
+
+  const key = Buffer.from(env.resendWebhookSecret.replace(/^whsec_/, ''), 'base64');
+  const expected = Buffer.from(
+    createHmac('sha256', key)
+      .update(`${id}.${timestamp}.`)
+      .update(req.rawBody ?? '')
+      .digest('base64'),
+  );
+
+  const valid = signatures.split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    const provided = Buffer.from(signature ?? '');
+    return (
+      version === 'v1' &&
+      provided.length === expected.length &&
+      timingSafeEqual(provided, expected)
+    );
+  });
+
+  if (!valid) {
+    next(
+      httpError(401, 'WEBHOOK_SIGNATURE_INVALID', 'Webhook signature is invalid'),
+    );
+    return;
+  }
+
+  next();
+}
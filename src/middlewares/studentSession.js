@@ -0,0 +1,82 @@
+import { readBearerToken, verifySession } from '../services/sessionTokens.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Verify the student session on the request and expose it on `req.student`.
+ * @param {import('express').Request} req
+ * @returns {Error | null} the error to pass on when there is no valid session
+ */
+function authenticateStudent(req) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return httpError(
+      401,
+      'STUDENT_SESSION_REQUIRED',
+      'A student session is required',
+    );
+  }
+
+  const claims = verifySession(token, 'student');
+  if (!claims?.studentId) {
+    return httpError(
+      401,
+      'STUDENT_SESSION_INVALID',
+      'Student session is invalid or has expired',
+    );
+  }
+
+  req.student = { id: claims.studentId, email: claims.email };
+  req.locale = claims.locale || req.locale;
+  return null;
+}
+
+/**
+ * Allow a request when it carries any valid student session, or an admin
+ * API key. Handlers scope their lookups to `req.student` when it is set.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function requireStudentSession(req, _res, next) {
+  if (req.apiKey?.role === 'admin') {
+    next();
+    return;
+  }
+
+  const error = authenticateStudent(req);
+  next(error ?? undefined);
+}
+
+/**
+ * Allow a request when it carries a student session for the student in
+ * `req.params.id`, or an admin API key for staff edits. The verified student
+ * is exposed on `req.student`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function requireOwnStudentSession(req, _res, next) {
+  if (req.apiKey?.role === 'admin') {
+    next();
+    return;
+  }
+
+  const error = authenticateStudent(req);
+  if (error) {
+    next(error);
+    return;
+  }
+
+  if (req.student.id !== req.params.id) {
+    next(
+      httpError(
+        403,
+        'FORBIDDEN',
+        'This session cannot modify another student',
+      ),
+    );
+    return;
+  }
+
+  next();
+}
@@ -0,0 +1,28 @@
+import { Schema, model } from 'mongoose';
+
+export const API_KEY_ROLES = ['admin', 'tutor', 'read-only', 'webhook'];
+
+const apiKeySchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    role: { type: String, enum: API_KEY_ROLES, required: true },
+    // Only the SHA-256 digest is stored; the raw key is shown once on issue.
+    keyHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true },
+    createdBy: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: null },
+    requestCount: { type: Number, default: 0 },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'api_keys' },
+);
+
+apiKeySchema.set('toJSON', {
+  transform: function (_doc, ret) {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export const ApiKey = model('ApiKey', apiKeySchema);
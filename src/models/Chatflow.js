@@ -0,0 +1,24 @@
+import { Schema, model } from 'mongoose';
+
+// Registered Flowise chatflows. Enrolments are matched to one by subject,
+// exam body, level and country; an empty criterion matches any value.
+const chatflowSchema = new Schema(
+  {
+    // Flowise chatflow id (a UUID), used as the public identifier
+    chatflowId: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    subject: { type: String, default: '', trim: true },
+    examBody: { type: String, default: '', trim: true },
+    level: { type: String, default: '', trim: true },
+    country: { type: String, default: '', trim: true },
+    // Inactive chatflows are kept for history but never assigned
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: '' },
+  },
+  { timestamps: true, collection: 'chatflows' },
+);
+
+chatflowSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination
+chatflowSchema.index({ active: 1 });
+
+export const Chatflow = model('Chatflow', chatflowSchema);
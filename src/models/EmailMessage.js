@@ -0,0 +1,85 @@
+import { Schema, model } from 'mongoose';
+
+export const EMAIL_DELIVERY_STATUSES = [
+  'unknown',
+  'sent',
+  'delivery_delayed',
+  'delivered',
+  'opened',
+  'clicked',
+  'bounced',
+  'complained',
+];
+
+export const EMAIL_MESSAGE_STATUSES = [
+  'pending',
+  'sending',
+  'sent',
+  'dead',
+  'cancelled',
+];
+
+const emailMessageSchema = new Schema(
+  {
+    // Resend payload, stored as queued so retries send the same message.
+    // html and text are cleared once sent.
+    message: {
+      from: { type: String, default: '' },
+      to: { type: [String], required: true },
+      subject: { type: String, required: true },
+      html: { type: String, default: '' },
+      text: { type: String, default: '' },
+      cc: { type: [String], default: undefined },
+      bcc: { type: [String], default: undefined },
+      replyTo: { type: String, default: '' },
+      headers: { type: Schema.Types.Mixed, default: undefined },
+      tags: { type: Schema.Types.Mixed, default: undefined },
+      attachments: { type: Schema.Types.Mixed, default: undefined },
+    },
+    // Reused on every attempt so the provider never sends twice
+    idempotencyKey: { type: String, required: true, unique: true },
+    status: {
+      type: String,
+      enum: EMAIL_MESSAGE_STATUSES,
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    nextAttemptAt: { type: Date, default: () => new Date() },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: '' },
+    providerId: { type: String, default: '' },
+    transport: { type: String, default: '' },
+    // Set when a send timed out: later attempts only use this transport
+    pinnedTransport: { type: String, default: '' },
+    sentAt: { type: Date, default: null },
+    // Provider-reported delivery outcome (Resend webhooks)
+    deliveryStatus: {
+      type: String,
+      enum: EMAIL_DELIVERY_STATUSES,
+      default: 'unknown',
+    },
+    deliveryEvents: {
+      type: [
+        new Schema(
+          {
+            type: { type: String, required: true },
+            at: { type: Date, required: true },
+            recipient: { type: String, default: '' },
+            detail: { type: String, default: '' },
+          },
+          { _id: false },
+        ),
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true, collection: 'email_messages' },
+);
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 }); // Worker polling
+emailMessageSchema.index({ providerId: 1 }); // Delivery webhooks
+emailMessageSchema.index({ deliveryStatus: 1, createdAt: -1 });
+emailMessageSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination
+
+export const EmailMessage = model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,23 @@
+import { Schema, model } from 'mongoose';
+
+const emailSuppressionSchema = new Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      enum: ['hard_bounce', 'complaint', 'manual'],
+      required: true,
+    },
+    detail: { type: String, default: '' },
+    providerId: { type: String, default: '' },
+  },
+  { timestamps: true, collection: 'email_suppressions' },
+);
+
+export const EmailSuppression = model('EmailSuppression', emailSuppressionSchema);
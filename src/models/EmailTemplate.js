@@ -0,0 +1,30 @@
+import { Schema, model } from 'mongoose';
+
+export const EMAIL_TEMPLATE_LAYOUTS = ['plain', 'branded', ''];
+
+const emailTemplateSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    version: { type: Number, required: true, min: 1 },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    // Empty means the plain-text part is generated from the HTML
+    text: { type: String, default: '' },
+    // The service fills in the built-in template's layout when none is given
+    layout: { type: String, enum: EMAIL_TEMPLATE_LAYOUTS, default: 'plain' },
+    notes: { type: String, default: '' },
+    active: { type: Boolean, default: false },
+    createdBy: { type: String, default: '' },
+    activatedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'email_templates' },
+);
+
+emailTemplateSchema.index({ name: 1, version: -1 }, { unique: true });
+// At most one active version per template
+emailTemplateSchema.index(
+  { name: 1 },
+  { unique: true, partialFilterExpression: { active: true } },
+);
+
+export const EmailTemplate = model('EmailTemplate', emailTemplateSchema);
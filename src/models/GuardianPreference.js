@@ -0,0 +1,31 @@
+import { Schema, model } from 'mongoose';
+
+export const DIGEST_FREQUENCIES = ['weekly', 'fortnightly', 'off'];
+
+/** Days between digests for each frequency. */
+export const DIGEST_PERIOD_DAYS = { weekly: 7, fortnightly: 14 };
+
+const guardianPreferenceSchema = new Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    digestFrequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'weekly',
+    },
+    lastDigestSentAt: { type: Date, default: null },
+    unsubscribedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'guardian_preferences' },
+);
+
+export const GuardianPreference = model(
+  'GuardianPreference',
+  guardianPreferenceSchema,
+);
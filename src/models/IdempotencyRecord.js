@@ -0,0 +1,29 @@
+import { Schema, model } from 'mongoose';
+
+const idempotencyRecordSchema = new Schema(
+  {
+    // Route family, e.g. 'flowise.student'
+    scope: { type: String, required: true },
+    // 'header:<Idempotency-Key>' or '<source>:<sourceId>'
+    key: { type: String, required: true },
+    requestHash: { type: String, default: '' },
+    state: {
+      type: String,
+      enum: ['pending', 'completed'],
+      default: 'pending',
+    },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: Schema.Types.Mixed, default: null },
+    // Null for source keys, which are kept for good
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'idempotency_keys' },
+);
+
+idempotencyRecordSchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const IdempotencyRecord = model(
+  'IdempotencyRecord',
+  idempotencyRecordSchema,
+);
@@ -1,5 +1,52 @@
 import { Schema, model } from 'mongoose';
 
+export const ISSUE_STATUSES = [
+  'open',
+  'triaged',
+  'in_progress',
+  'resolved',
+  'closed',
+];
+
+export const ISSUE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+/**
+ * Allowed status moves. Closed issues can only be reopened.
+ * @type {Record<string, string[]>}
+ */
+export const ISSUE_STATUS_TRANSITIONS = {
+  open: ['triaged', 'in_progress', 'resolved', 'closed'],
+  triaged: ['open', 'in_progress', 'resolved', 'closed'],
+  in_progress: ['triaged', 'resolved', 'closed'],
+  resolved: ['open', 'closed'],
+  closed: ['open'],
+};
+
+const historyEntrySchema = new Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: Schema.Types.Mixed, default: null },
+    to: { type: Schema.Types.Mixed, default: null },
+    actor: { type: String, default: '' },
+    note: { type: String, default: '' },
+    at: { type: Date, default: () => new Date() },
+  },
+  { _id: false },
+);
+
+const occurrenceSchema = new Schema(
+  {
+    at: { type: Date, default: () => new Date() },
+    description: { type: String, default: '' },
+    chatId: { type: String, default: '' },
+    sessionId: { type: String, default: '' },
+    // Flowise webhook `id` that reported this occurrence
+    sourceId: { type: String, default: '' },
+    mergedFrom: { type: Schema.Types.ObjectId, ref: 'Issue', default: null },
+  },
+  { _id: false },
+);
+
 const issueSchema = new Schema(
   {
     source: { type: String, default: 'manual' },
@@ -10,15 +57,27 @@ const issueSchema = new Schema(
     labels: { type: [String], default: [] },
     status: {
       type: String,
-      enum: ['open', 'triaged', 'in_progress', 'resolved', 'closed'],
+      enum: ISSUE_STATUSES,
       default: 'open',
     },
+    priority: { type: String, enum: ISSUE_PRIORITIES, default: 'normal' },
+    assignee: { type: String, default: '' },
+    history: { type: [historyEntrySchema], default: [] },
+    // Duplicate detection: normalized title + chatflow + node
+    fingerprint: { type: String, default: '' },
+    occurrenceCount: { type: Number, default: 1 },
+    // Most recent repeats only; occurrenceCount keeps the full tally
+    occurrences: { type: [occurrenceSchema], default: [] },
+    lastOccurredAt: { type: Date, default: () => new Date() },
+    mergedInto: { type: Schema.Types.ObjectId, ref: 'Issue', default: null },
     name: { type: String, default: '' },
     email: { type: String, default: '' },
     chatId: { type: String, default: '' },
     sessionId: { type: String, default: '' },
     chatflowId: { type: String, default: '' },
     nodeId: { type: String, default: '' },
+    // Reporter's language for resolution and comment emails
+    locale: { type: String, default: '' },
     client: {
       ip: { type: String, default: '' },
       userAgent: { type: String, default: '' },
@@ -27,4 +86,20 @@ const issueSchema = new Schema(
   { timestamps: true, collection: 'issues' },
 );
 
+issueSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination
+issueSchema.index({ status: 1, createdAt: -1 });
+issueSchema.index({ labels: 1 });
+issueSchema.index({ chatflowId: 1 });
+issueSchema.index({ assignee: 1, status: 1 });
+issueSchema.index({ fingerprint: 1, lastOccurredAt: -1 });
+// One issue per Flowise delivery; repeats are found via their occurrence
+issueSchema.index(
+  { source: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $gt: '' } } },
+);
+issueSchema.index(
+  { 'occurrences.sourceId': 1 },
+  { partialFilterExpression: { 'occurrences.sourceId': { $gt: '' } } },
+);
+
 export const Issue = model('Issue', issueSchema);
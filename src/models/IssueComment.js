@@ -0,0 +1,39 @@
+import { Schema, model } from 'mongoose';
+
+export const COMMENT_VISIBILITIES = ['internal', 'public'];
+
+const issueCommentSchema = new Schema(
+  {
+    issueId: { type: Schema.Types.ObjectId, ref: 'Issue', required: true },
+    author: {
+      name: { type: String, default: '' },
+      email: { type: String, default: '' },
+      // 'external' marks email replies from someone other than the reporter
+      type: {
+        type: String,
+        enum: ['staff', 'reporter', 'external'],
+        default: 'staff',
+      },
+    },
+    // Markdown with raw HTML and unsafe links stripped
+    body: { type: String, required: true },
+    visibility: {
+      type: String,
+      enum: COMMENT_VISIBILITIES,
+      default: 'internal',
+    },
+    source: { type: String, default: 'api' }, // 'api' | 'email'
+    // Provider message id of an inbound email, so retried webhooks post once
+    messageId: { type: String, default: '' },
+    emailQueuedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'issue_comments' },
+);
+
+issueCommentSchema.index({ issueId: 1, createdAt: 1 });
+issueCommentSchema.index(
+  { messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $gt: '' } } },
+);
+
+export const IssueComment = model('IssueComment', issueCommentSchema);
@@ -0,0 +1,26 @@
+import { Schema, model } from 'mongoose';
+
+const loginTokenSchema = new Schema(
+  {
+    purpose: { type: String, required: true }, // 'guardian_login' | 'student_login'
+    email: { type: String, required: true, lowercase: true, trim: true },
+    tokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    // Guesses against short codes; the token is void once maxed out
+    attempts: { type: Number, default: 0 },
+    client: {
+      ip: { type: String, default: '' },
+      userAgent: { type: String, default: '' },
+    },
+  },
+  { timestamps: true, collection: 'login_tokens' },
+);
+
+// Rate limiting looks up recent tokens per email
+loginTokenSchema.index({ purpose: 1, email: 1, createdAt: -1 });
+loginTokenSchema.index({ purpose: 1, tokenHash: 1 });
+// Keep tokens for a day so rate limiting and audits can see them
+loginTokenSchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 });
+
+export const LoginToken = model('LoginToken', loginTokenSchema);
@@ -1,20 +1,25 @@
 import { Schema, model } from 'mongoose';
-import { DEFAULT_CHATFLOW_ID } from '../config/chatflowConstants.js';
 
 const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
 
-const enrolmentSchema = new Schema(
-  {
-    subject: { type: String, required: true },
-    country: { type: String, required: true },
-    examBody: { type: String, required: true },
-    level: { type: String, required: true },
-    books: { type: [String], default: [] },
-    examDates: { type: [String], default: [] },
-    chatflowId: { type: String, default: DEFAULT_CHATFLOW_ID },
-  },
-  { _id: false },
-);
+export const ENROLMENT_STATUSES = ['active', 'completed', 'withdrawn'];
+
+// Each enrolment gets its own `_id` so clients can address it without
+// relying on array position (see scripts/backfillEnrolmentIds.js).
+const enrolmentSchema = new Schema({
+  subject: { type: String, required: true },
+  country: { type: String, required: true },
+  examBody: { type: String, required: true },
+  level: { type: String, required: true },
+  books: { type: [String], default: [] },
+  examDates: { type: [String], default: [] },
+  // Assigned from the chatflow registry (see services/chatflowRegistry.js)
+  chatflowId: { type: String, default: '' },
+  // Set when Flowise sent a chatflow id that is not in the registry
+  unknownChatflow: { type: Boolean, default: false },
+  status: { type: String, enum: ENROLMENT_STATUSES, default: 'active' },
+  statusChangedAt: { type: Date, default: null },
+});
 
 const guardianSchema = new Schema(
   {
@@ -32,6 +37,25 @@ const guardianSchema = new Schema(
         message: 'Please provide a valid guardian email address',
       },
     },
+    // e.g. "mother", "tutor"; free text
+    relationship: { type: String, default: '' },
+    // The main contact; exactly one guardian per student carries it
+    primary: { type: Boolean, default: false },
+    // Empty means "same as the student"
+    locale: { type: String, default: '' },
+    notifications: {
+      // Per-guardian opt-out of session summary report emails
+      summaryReports: { type: Boolean, default: true },
+    },
+  },
+  { _id: false },
+);
+
+const notificationsSchema = new Schema(
+  {
+    // Email guardians a copy of each session summary report. Master switch;
+    // each guardian can also opt out individually.
+    guardianSummaryReports: { type: Boolean, default: true },
   },
   { _id: false },
 );
@@ -56,17 +80,42 @@ const studentSchema = new Schema(
     },
     enrolments: { type: [enrolmentSchema], default: [] },
     age: { type: Number, min: 4, max: 25 },
-    guardian: { type: guardianSchema, default: () => ({}) },
+    // Replaces the single `guardian` subdocument (see scripts/migrateGuardians.js)
+    guardians: { type: [guardianSchema], default: [] },
+    notifications: { type: notificationsSchema, default: () => ({}) },
+    // Preferred language for emails and API messages; empty uses Accept-Language
+    locale: { type: String, default: '' },
     preferredColourForDyslexia: { type: String, default: '' },
     chatId: { type: String, default: '' },
     sessionId: { type: String, default: '' },
-    chatflowId: { type: String, default: DEFAULT_CHATFLOW_ID },
+    chatflowId: { type: String, default: '' },
     client: {
       ip: { type: String, default: '' },
       userAgent: { type: String, default: '' },
     },
+    // Bumped on every API write; exposed as the ETag for If-Match
+    version: { type: Number, default: 0 },
+    // Soft delete: set by DELETE /students/:id, cleared on restore
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: '' },
   },
   { timestamps: true, collection: 'students' },
 );
 
+studentSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination
+studentSchema.index({ source: 1, createdAt: -1 });
+// One student per Flowise delivery, however late a retry arrives
+studentSchema.index(
+  { source: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $gt: '' } } },
+);
+
 export const Student = model('Student', studentSchema);
+
+/**
+ * The entry in `student.guardians` for a guardian email, if linked.
+ * @param {{ guardians?: { email: string }[] } | null | undefined} student
+ * @param {string} email normalized guardian email
+ */
+export const findGuardian = (student, email) =>
+  student?.guardians?.find((guardian) => guardian.email === email);
@@ -125,6 +125,14 @@ summaryReportSchema.index({ topics: 1 }); // Topic filtering (multikey)
 summaryReportSchema.index({ 'sections.board': 1, 'sections.code': 1 }); // Exam board search
 summaryReportSchema.index({ 'context.chatflowId': 1 }); // Flowise integration
 summaryReportSchema.index({ 'context.source': 1, createdAt: -1 }); // Filter by source
+// One report per Flowise delivery, however late a retry arrives
+summaryReportSchema.index(
+  { 'context.source': 1, 'context.sourceId': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'context.sourceId': { $gt: '' } },
+  },
+);
 summaryReportSchema.index({ createdAt: -1 }); // Recent reports
 
 export const SummaryReport = model('SummaryReport', summaryReportSchema);
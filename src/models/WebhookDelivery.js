@@ -0,0 +1,54 @@
+import { Schema, model } from 'mongoose';
+
+export const WEBHOOK_DELIVERY_STATUSES = [
+  'pending',
+  'delivering',
+  'delivered',
+  'dead',
+];
+
+const attemptSchema = new Schema(
+  {
+    at: { type: Date, required: true },
+    // 0 when no response arrived (timeout, DNS, refused connection)
+    statusCode: { type: Number, default: 0 },
+    durationMs: { type: Number, default: 0 },
+    error: { type: String, default: '' },
+  },
+  { _id: false },
+);
+
+const webhookDeliverySchema = new Schema(
+  {
+    subscriptionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+    },
+    eventType: { type: String, required: true },
+    // Exact JSON body, stored as queued so every attempt sends the same bytes
+    body: { type: String, required: true },
+    status: {
+      type: String,
+      enum: WEBHOOK_DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    // Sent once from POST /webhook-subscriptions/:id/test, never retried
+    test: { type: Boolean, default: false },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: () => new Date() },
+    lockedAt: { type: Date, default: null },
+    lastStatusCode: { type: Number, default: 0 },
+    lastError: { type: String, default: '' },
+    deliveredAt: { type: Date, default: null },
+    attemptLog: { type: [attemptSchema], default: [] },
+  },
+  { timestamps: true, collection: 'webhook_deliveries' },
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Worker polling
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination
+
+export const WebhookDelivery = model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,38 @@
+import { Schema, model } from 'mongoose';
+import { EVENT_TOPICS } from '../services/eventBus.js';
+
+const webhookSubscriptionSchema = new Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    eventTypes: {
+      type: [{ type: String, enum: EVENT_TOPICS }],
+      required: true,
+      validate: {
+        validator: (value) => value.length > 0,
+        message: 'At least one event type is required',
+      },
+    },
+    // Shared HMAC secret; only shown when the subscription is created
+    secret: { type: String, required: true },
+    description: { type: String, default: '' },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: '' },
+  },
+  { timestamps: true, collection: 'webhook_subscriptions' },
+);
+
+webhookSubscriptionSchema.index({ active: 1, eventTypes: 1 }); // Fan-out
+webhookSubscriptionSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination
+
+webhookSubscriptionSchema.set('toJSON', {
+  transform: function (_doc, ret) {
+    delete ret.secret;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export const WebhookSubscription = model(
+  'WebhookSubscription',
+  webhookSubscriptionSchema,
+);
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from '../controllers/apiKeysController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+
+export const apiKeys = Router();
+
+apiKeys.get('/api-keys', requireRole('admin'), listApiKeys);
+apiKeys.post('/api-keys', requireRole('admin'), createApiKey);
+apiKeys.delete('/api-keys/:id', requireRole('admin'), revokeApiKey);
@@ -0,0 +1,8 @@
+import { Router } from 'express';
+import { predictForEnrolment } from '../controllers/chatController.js';
+import { requireStudentSession } from '../middlewares/studentSession.js';
+
+export const chat = Router();
+
+// Flowise prediction proxy for a signed-in student's enrolment
+chat.post('/chat/:enrolmentId/predict', requireStudentSession, predictForEnrolment);
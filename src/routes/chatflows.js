@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  createChatflow,
+  deleteChatflow,
+  getChatflow,
+  listChatflows,
+  updateChatflow,
+} from '../controllers/chatflowsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+
+export const chatflows = Router();
+
+chatflows.get('/chatflows', requireRole('tutor', 'read-only'), listChatflows);
+chatflows.get(
+  '/chatflows/:chatflowId',
+  requireRole('tutor', 'read-only'),
+  getChatflow,
+);
+chatflows.post('/chatflows', requireRole('admin'), createChatflow);
+chatflows.patch('/chatflows/:chatflowId', requireRole('admin'), updateChatflow);
+chatflows.delete('/chatflows/:chatflowId', requireRole('admin'), deleteChatflow);
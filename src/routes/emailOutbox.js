@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import {
+  cancelEmailMessage,
+  listEmailMessages,
+  retryEmailMessage,
+} from '../controllers/emailOutboxController.js';
+import {
+  deleteEmailSuppression,
+  listEmailSuppressions,
+} from '../controllers/emailEventsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+
+export const emailOutbox = Router();
+
+emailOutbox.get('/email-outbox', requireRole('admin'), listEmailMessages);
+emailOutbox.post(
+  '/email-outbox/:id/retry',
+  requireRole('admin'),
+  retryEmailMessage,
+);
+emailOutbox.post(
+  '/email-outbox/:id/cancel',
+  requireRole('admin'),
+  cancelEmailMessage,
+);
+emailOutbox.get(
+  '/email-suppressions',
+  requireRole('admin'),
+  listEmailSuppressions,
+);
+emailOutbox.delete(
+  '/email-suppressions/:email',
+  requireRole('admin'),
+  deleteEmailSuppression,
+);
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import {
+  activateEmailTemplateVersion,
+  createEmailTemplateVersion,
+  getEmailTemplate,
+  listEmailTemplates,
+  previewEmailTemplate,
+} from '../controllers/emailTemplatesController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+
+export const emailTemplates = Router();
+
+emailTemplates.get('/email-templates', requireRole('admin'), listEmailTemplates);
+emailTemplates.get(
+  '/email-templates/:name',
+  requireRole('admin'),
+  getEmailTemplate,
+);
+emailTemplates.post(
+  '/email-templates/:name/versions',
+  requireRole('admin'),
+  createEmailTemplateVersion,
+);
+emailTemplates.post(
+  '/email-templates/:name/versions/:version/activate',
+  requireRole('admin'),
+  activateEmailTemplateVersion,
+);
+emailTemplates.post(
+  '/email-templates/:name/preview',
+  requireRole('admin'),
+  previewEmailTemplate,
+);
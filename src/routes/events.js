@@ -0,0 +1,8 @@
+import { Router } from 'express';
+import { streamEvents } from '../controllers/eventsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+
+export const events = Router();
+
+// Live feed of new issues, students, enrolments and reports for staff
+events.get('/events', requireRole('tutor', 'read-only'), streamEvents);
@@ -3,18 +3,37 @@ import { z } from 'zod';
 import { createIssueFromFlowise } from '../controllers/issuesController.js';
 import { createStudentFromFlowise } from '../controllers/studentsController.js';
 import { createSummaryReportFromFlowise } from '../controllers/summaryReportsController.js';
+import { htmlToText } from '../lib/templates/engine.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+import { verifyFlowiseSignature } from '../middlewares/flowiseSignature.js';
+import { idempotent } from '../middlewares/idempotency.js';
 import { emailService } from '../services/emailService.js';
 
 export const flowise = Router();
 
 // Flowise Issue webhook
-flowise.post('/flowise/issue-report', createIssueFromFlowise);
+flowise.post(
+  '/flowise/issue-report',
+  verifyFlowiseSignature,
+  idempotent('flowise.issue-report', { source: 'flowise' }),
+  createIssueFromFlowise,
+);
 
 // Flowise Summary Report webhook
-flowise.post('/flowise/summary-report', createSummaryReportFromFlowise);
+flowise.post(
+  '/flowise/summary-report',
+  verifyFlowiseSignature,
+  idempotent('flowise.summary-report', { source: 'flowise' }),
+  createSummaryReportFromFlowise,
+);
 
 // Flowise Student webhook
-flowise.post('/flowise/student', createStudentFromFlowise);
+flowise.post(
+  '/flowise/student',
+  verifyFlowiseSignature,
+  idempotent('flowise.student', { source: 'flowise' }),
+  createStudentFromFlowise,
+);
 
 /**
  * Tool example: send an email triggered by Flowise (or any client).
@@ -26,10 +45,10 @@ const mailSchema = z.object({
   html: z.string().min(1),
 });
 
-flowise.post('/tools/send-email', async (req, res, next) => {
+flowise.post('/tools/send-email', requireRole('webhook'), async (req, res, next) => {
   try {
     const { to, subject, html } = mailSchema.parse(req.body);
-    const text = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    const text = htmlToText(html);
     const result = await emailService.send({ to, subject, html, text });
     res.status(200).json({ ok: true, result });
   } catch (err) {
@@ -1,15 +1,53 @@
 import express from 'express';
 import {
+  createGuardianSession,
+  requestGuardianLogin,
   verifyGuardianEmail,
   getStudentsByGuardianEmail,
+  getGuardianStudentProgress,
 } from '../controllers/guardiansController.js';
+import {
+  confirmDigestUnsubscribe,
+  getDigestPreferences,
+  runDigests,
+  unsubscribeFromDigest,
+  updateDigestPreferences,
+} from '../controllers/guardianDigestController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+import { requireGuardianSession } from '../middlewares/guardianSession.js';
 
 const router = express.Router();
 
-// POST /api/guardians/verify-email - Verify guardian email exists
-router.post('/verify-email', verifyGuardianEmail);
+// POST /api/guardians/login - Email a one-time sign-in link
+router.post('/login', requestGuardianLogin);
+
+// POST /api/guardians/session - Exchange the sign-in token for a session
+router.post('/session', createGuardianSession);
+
+// POST /api/guardians/verify-email - Confirm the signed-in guardian has students
+router.post('/verify-email', requireGuardianSession, verifyGuardianEmail);
+
+// GET /api/guardians/students - Get all students for the signed-in guardian
+router.get('/students', requireGuardianSession, getStudentsByGuardianEmail);
+
+// GET /api/guardians/students/:id/progress - Progress analytics for one of them
+router.get(
+  '/students/:id/progress',
+  requireGuardianSession,
+  getGuardianStudentProgress,
+);
+
+// GET/PUT /api/guardians/digest-preferences - Report digest frequency
+router.get('/digest-preferences', requireGuardianSession, getDigestPreferences);
+router.put('/digest-preferences', requireGuardianSession, updateDigestPreferences);
+
+// GET /api/guardians/digest/unsubscribe?token= - Confirmation page for the
+// signed link in the digest email; POST unsubscribes (the page's form and
+// one-click List-Unsubscribe)
+router.get('/digest/unsubscribe', confirmDigestUnsubscribe);
+router.post('/digest/unsubscribe', unsubscribeFromDigest);
 
-// GET /api/guardians/students - Get all students for a guardian
-router.get('/students', getStudentsByGuardianEmail);
+// POST /api/guardians/digests/run - Send due digests, or preview them with dryRun
+router.post('/digests/run', requireRole('admin'), runDigests);
 
 export default router;
@@ -15,6 +15,10 @@ health.get('/config', (_req, res) => {
   });
 });
 
-health.get('/email-status', (_req, res) => {
-  res.json(emailService.getStatus());
+health.get('/email-status', async (_req, res, next) => {
+  try {
+    res.json(await emailService.getStatus());
+  } catch (err) {
+    next(err);
+  }
 });
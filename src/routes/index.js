@@ -1,19 +1,37 @@
 import { Router } from 'express';
+import { authenticateApiKey } from '../middlewares/apiKeyAuth.js';
+import { apiKeys } from './apiKeys.js';
+import { chat } from './chat.js';
+import { chatflows } from './chatflows.js';
+import { emailOutbox } from './emailOutbox.js';
+import { emailTemplates } from './emailTemplates.js';
+import { events } from './events.js';
 import { flowise } from './flowise.js';
 import { health } from './health.js';
 import { issues } from './issues.js';
 import { summaryReports } from './summaryReports.js';
 import { students } from './students.js';
+import { webhookSubscriptions } from './webhookSubscriptions.js';
+import { webhooks } from './webhooks.js';
 import guardians from './guardians.js';
 
 export function buildRoutes(prefix = '/api/v1') {
   const scoped = Router();
+  scoped.use(authenticateApiKey);
   scoped.use(health);
   scoped.use(flowise);
   scoped.use(issues);
   scoped.use(summaryReports);
   scoped.use(students);
+  scoped.use(chat);
   scoped.use('/guardians', guardians);
+  scoped.use(apiKeys);
+  scoped.use(chatflows);
+  scoped.use(emailOutbox);
+  scoped.use(emailTemplates);
+  scoped.use(events);
+  scoped.use(webhooks);
+  scoped.use(webhookSubscriptions);
 
   const root = Router();
   root.use(prefix, scoped);
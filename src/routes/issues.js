@@ -1,8 +1,28 @@
 import { Router } from 'express';
-import { createIssue, getIssue, listIssues } from '../controllers/issuesController.js';
+import {
+  createIssue,
+  getIssue,
+  listIssues,
+  mergeIssues,
+  updateIssue,
+} from '../controllers/issuesController.js';
+import {
+  createIssueComment,
+  listIssueComments,
+} from '../controllers/issueCommentsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+import { idempotent } from '../middlewares/idempotency.js';
 
 export const issues = Router();
 
-issues.get('/issues/:id', getIssue);
-issues.get('/issues', listIssues);
-issues.post('/issues', createIssue);
+issues.get('/issues/:id', requireRole('tutor', 'read-only'), getIssue);
+issues.get('/issues', requireRole('tutor', 'read-only'), listIssues);
+issues.post('/issues', idempotent('issues'), createIssue);
+issues.patch('/issues/:id', requireRole('tutor'), updateIssue);
+issues.post('/issues/:id/merge', requireRole('tutor'), mergeIssues);
+issues.get(
+  '/issues/:id/comments',
+  requireRole('tutor', 'read-only'),
+  listIssueComments,
+);
+issues.post('/issues/:id/comments', requireRole('tutor'), createIssueComment);
@@ -2,20 +2,90 @@ import { Router } from 'express';
 import {
   addStudentEnrolment,
   createStudent,
+  deleteStudent,
+  deleteStudentEnrolment,
   getStudent,
+  getStudentEnrolment,
+  getStudentProgress,
   listStudents,
+  patchStudentEnrolment,
+  restoreStudent,
+  updateStudent,
   verifyEmail,
+  verifyLoginCode,
   updateStudentEnrolment,
 } from '../controllers/studentsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+import { idempotent } from '../middlewares/idempotency.js';
+import { requireIfMatch } from '../middlewares/ifMatch.js';
+import { requireOwnStudentSession } from '../middlewares/studentSession.js';
 
 export const students = Router();
 
 // POST routes - specific paths first
 students.post('/students/verify-email', verifyEmail);
-students.post('/students', createStudent);
-students.post('/students/:id/enrolments', addStudentEnrolment);
-students.put('/students/:id/enrolments/:index', updateStudentEnrolment);
+students.post('/students/verify-code', verifyLoginCode);
+students.post('/students', idempotent('students'), createStudent);
+students.post(
+  '/students/:id/enrolments',
+  requireOwnStudentSession,
+  requireIfMatch,
+  addStudentEnrolment,
+);
+students.post(
+  '/students/:id/restore',
+  requireRole('admin'),
+  requireIfMatch,
+  restoreStudent,
+);
+// Deprecated: index-based edits; use PATCH .../enrolments/:enrolmentId
+students.put(
+  '/students/:id/enrolments/:index',
+  requireOwnStudentSession,
+  requireIfMatch,
+  updateStudentEnrolment,
+);
+
+// Profile edits by the student or an admin; soft delete by an admin only,
+// since only an admin can restore. Every write needs the ETag from the last
+// read in If-Match.
+students.patch(
+  '/students/:id',
+  requireOwnStudentSession,
+  requireIfMatch,
+  updateStudent,
+);
+students.delete(
+  '/students/:id',
+  requireRole('admin'),
+  requireIfMatch,
+  deleteStudent,
+);
+
+// Enrolments by stable id
+students.get(
+  '/students/:id/enrolments/:enrolmentId',
+  requireOwnStudentSession,
+  getStudentEnrolment,
+);
+students.patch(
+  '/students/:id/enrolments/:enrolmentId',
+  requireOwnStudentSession,
+  requireIfMatch,
+  patchStudentEnrolment,
+);
+students.delete(
+  '/students/:id/enrolments/:enrolmentId',
+  requireOwnStudentSession,
+  requireIfMatch,
+  deleteStudentEnrolment,
+);
 
 // GET routes
-students.get('/students', listStudents);
-students.get('/students/:id', getStudent);
+students.get('/students', requireRole('tutor', 'read-only'), listStudents);
+students.get('/students/:id', requireRole('tutor', 'read-only'), getStudent);
+students.get(
+  '/students/:id/progress',
+  requireRole('tutor', 'read-only'),
+  getStudentProgress,
+);
@@ -5,10 +5,29 @@ import {
   listSummaryReports,
   getGuardianReports,
 } from '../controllers/summaryReportsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+import { idempotent } from '../middlewares/idempotency.js';
+import { requireGuardianSession } from '../middlewares/guardianSession.js';
 
 export const summaryReports = Router();
 
-summaryReports.get('/summary-reports', listSummaryReports);
-summaryReports.get('/summary-reports/guardian/reports', getGuardianReports);
-summaryReports.get('/summary-reports/:id', getSummaryReport);
-summaryReports.post('/summary-reports', createSummaryReport);
+summaryReports.get(
+  '/summary-reports',
+  requireRole('tutor', 'read-only'),
+  listSummaryReports,
+);
+summaryReports.get(
+  '/summary-reports/guardian/reports',
+  requireGuardianSession,
+  getGuardianReports,
+);
+summaryReports.get(
+  '/summary-reports/:id',
+  requireRole('tutor', 'read-only'),
+  getSummaryReport,
+);
+summaryReports.post(
+  '/summary-reports',
+  idempotent('summary-reports'),
+  createSummaryReport,
+);
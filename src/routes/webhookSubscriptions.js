@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import {
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookSubscription,
+  listWebhookDeliveries,
+  listWebhookSubscriptions,
+  testWebhookSubscription,
+  updateWebhookSubscription,
+} from '../controllers/webhookSubscriptionsController.js';
+import { requireRole } from '../middlewares/apiKeyAuth.js';
+
+export const webhookSubscriptions = Router();
+
+webhookSubscriptions.get(
+  '/webhook-subscriptions',
+  requireRole('admin'),
+  listWebhookSubscriptions,
+);
+webhookSubscriptions.post(
+  '/webhook-subscriptions',
+  requireRole('admin'),
+  createWebhookSubscription,
+);
+webhookSubscriptions.get(
+  '/webhook-subscriptions/:id',
+  requireRole('admin'),
+  getWebhookSubscription,
+);
+webhookSubscriptions.patch(
+  '/webhook-subscriptions/:id',
+  requireRole('admin'),
+  updateWebhookSubscription,
+);
+webhookSubscriptions.delete(
+  '/webhook-subscriptions/:id',
+  requireRole('admin'),
+  deleteWebhookSubscription,
+);
+webhookSubscriptions.post(
+  '/webhook-subscriptions/:id/test',
+  requireRole('admin'),
+  testWebhookSubscription,
+);
+webhookSubscriptions.get(
+  '/webhook-subscriptions/:id/deliveries',
+  requireRole('admin'),
+  listWebhookDeliveries,
+);
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { receiveResendEvent } from '../controllers/emailEventsController.js';
+import { receiveInboundEmail } from '../controllers/issueCommentsController.js';
+import { verifyInboundEmailSecret } from '../middlewares/inboundEmailSecret.js';
+import { verifyResendSignature } from '../middlewares/resendSignature.js';
+
+export const webhooks = Router();
+
+// Replies to issue comment emails
+webhooks.post(
+  '/webhooks/inbound-email',
+  verifyInboundEmailSecret,
+  receiveInboundEmail,
+);
+
+// Resend delivery events (delivered, bounced, complained, opened...)
+webhooks.post('/webhooks/resend', verifyResendSignature, receiveResendEvent);
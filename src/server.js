@@ -1,6 +1,10 @@
 import { app } from './app.js';
 import { env } from './config/env.js';
 import { connectMongo } from './db/mongo.js';
+import { assertMigrationsApplied } from './db/pendingMigrations.js';
+import { startEmailOutboxWorker } from './services/emailOutboxWorker.js';
+import { startGuardianDigestScheduler } from './services/guardianDigest.js';
+import { startWebhookDispatcher } from './services/webhookDispatcher.js';
 import { logger } from './utils/logger.js';
 
 const buildApiUrl = (base, prefix) => {
@@ -11,6 +15,15 @@ const buildApiUrl = (base, prefix) => {
 
 async function main() {
   await connectMongo();
+  await assertMigrationsApplied();
+  if (!env.defaultChatflowId) {
+    logger.error(
+      'DEFAULT_CHATFLOW_ID is not set; enrolments that match no registered chatflow will be rejected.',
+    );
+  }
+  startEmailOutboxWorker();
+  startGuardianDigestScheduler();
+  startWebhookDispatcher();
 
   const deploymentUrl =
     process.env.RENDER_EXTERNAL_URL ??
@@ -0,0 +1,74 @@
+import { createHash, randomBytes } from 'crypto';
+import { ApiKey } from '../models/ApiKey.js';
+
+const KEY_PREFIX = 'fk';
+
+/**
+ * Hash a raw API key for storage/lookup.
+ * @param {string} rawKey
+ * @returns {string}
+ */
+export const hashApiKey = (rawKey) =>
+  createHash('sha256').update(rawKey).digest('hex');
+
+/**
+ * Issue a new API key. The raw key is only ever returned from this call.
+ * @param {{ name: string; role: string; createdBy?: string }} input
+ * @returns {Promise<{ key: string; record: import('mongoose').Document }>}
+ */
+async function issue({ name, role, createdBy = '' }) {
+  const lookup = randomBytes(4).toString('hex');
+  const secret = randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${lookup}_${secret}`;
+
+  const record = await ApiKey.create({
+    name,
+    role,
+    createdBy,
+    prefix: `${KEY_PREFIX}_${lookup}`,
+    keyHash: hashApiKey(key),
+  });
+
+  return { key, record };
+}
+
+/**
+ * Resolve an active key and record its usage in one atomic update.
+ * @param {string} rawKey
+ */
+async function authenticate(rawKey) {
+  return ApiKey.findOneAndUpdate(
+    { keyHash: hashApiKey(rawKey), revokedAt: null },
+    { $set: { lastUsedAt: new Date() }, $inc: { requestCount: 1 } },
+    { new: true, lean: true },
+  );
+}
+
+async function list() {
+  return ApiKey.find().sort({ createdAt: -1 }).select('-keyHash').lean();
+}
+
+/**
+ * Revoke a key; already revoked keys keep their original timestamp.
+ * @param {string} id
+ */
+async function revoke(id) {
+  const existing = await ApiKey.findById(id);
+  if (!existing) {
+    return null;
+  }
+
+  if (!existing.revokedAt) {
+    existing.revokedAt = new Date();
+    await existing.save();
+  }
+
+  return existing;
+}
+
+export const apiKeyService = {
+  issue,
+  authenticate,
+  list,
+  revoke,
+};
@@ -0,0 +1,112 @@
+import { env } from '../config/env.js';
+import { Chatflow } from '../models/Chatflow.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+
+/** Enrolment fields a registered chatflow can be restricted to. */
+export const CHATFLOW_MATCH_FIELDS = ['subject', 'examBody', 'level', 'country'];
+
+const normalize = (value) => (value ?? '').trim().toLowerCase();
+
+/**
+ * Find the active chatflow that fits an enrolment best. Every criterion a
+ * chatflow sets must match (case-insensitively); empty criteria match
+ * anything. The chatflow with the most criteria wins, then the oldest.
+ * @param {{ subject?: string; examBody?: string; level?: string; country?: string }} enrolment
+ */
+async function match(enrolment) {
+  const candidates = await Chatflow.find({ active: true })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  let best = null;
+  let bestScore = -1;
+  for (const chatflow of candidates) {
+    const criteria = CHATFLOW_MATCH_FIELDS.filter((field) =>
+      normalize(chatflow[field]),
+    );
+    const fits = criteria.every(
+      (field) => normalize(chatflow[field]) === normalize(enrolment[field]),
+    );
+    if (fits && criteria.length > bestScore) {
+      best = chatflow;
+      bestScore = criteria.length;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Whether a chatflow id may be assigned. The configured default is always
+ * accepted so deployments work before the registry is filled in.
+ * @param {string} chatflowId
+ */
+async function isKnown(chatflowId) {
+  if (chatflowId === env.defaultChatflowId) {
+    return true;
+  }
+  return Boolean(await Chatflow.exists({ chatflowId, active: true }));
+}
+
+/**
+ * Error for an enrolment left without a chatflow: nothing in the registry
+ * matches and `DEFAULT_CHATFLOW_ID` is not set. Nothing is saved, rather
+ * than storing an enrolment the chat proxy cannot use.
+ * @param {{ subject?: string }} enrolment
+ */
+export function chatflowNotConfigured(enrolment) {
+  logger.error(
+    { subject: enrolment.subject },
+    'No chatflow matches the enrolment and DEFAULT_CHATFLOW_ID is not set',
+  );
+  return httpError(
+    503,
+    'CHATFLOW_NOT_CONFIGURED',
+    'No chatflow is configured for this enrolment',
+  );
+}
+
+/**
+ * Decide which chatflow an enrolment uses. A requested id must be known;
+ * without one the registry is matched, then `DEFAULT_CHATFLOW_ID` is used,
+ * and if that is unset too a 503 is thrown.
+ * @param {{ subject?: string; examBody?: string; level?: string; country?: string; chatflowId?: string }} enrolment
+ * @param {{ flagUnknown?: boolean }} [options] keep unknown ids and flag them
+ *   instead of answering 422, for callers that cannot correct their payload
+ * @returns {Promise<{ chatflowId: string; unknownChatflow: boolean }>}
+ */
+async function resolve(enrolment, { flagUnknown = false } = {}) {
+  const requested = enrolment.chatflowId?.trim();
+
+  if (requested) {
+    if (await isKnown(requested)) {
+      return { chatflowId: requested, unknownChatflow: false };
+    }
+    if (!flagUnknown) {
+      throw httpError(
+        422,
+        'CHATFLOW_UNKNOWN',
+        `Chatflow ${requested} is not registered or not active`,
+      );
+    }
+    logger.warn(
+      { chatflowId: requested, subject: enrolment.subject },
+      'Enrolment uses an unregistered chatflow',
+    );
+    return { chatflowId: requested, unknownChatflow: true };
+  }
+
+  const matched = await match(enrolment);
+  const chatflowId = matched?.chatflowId ?? env.defaultChatflowId;
+  if (!chatflowId) {
+    throw chatflowNotConfigured(enrolment);
+  }
+  return { chatflowId, unknownChatflow: false };
+}
+
+export const chatflowRegistry = {
+  match,
+  isKnown,
+  resolve,
+};
@@ -0,0 +1,144 @@
+import { env } from '../config/env.js';
+import { EmailMessage } from '../models/EmailMessage.js';
+import { logger } from '../utils/logger.js';
+import { emailService } from './emailService.js';
+
+// A message stuck in 'sending' longer than this is assumed abandoned
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+let timer = null;
+let draining = false;
+
+/**
+ * Exponential backoff: base, 2x base, 4x base... capped at one hour.
+ * @param {number} attempts attempts made so far (>= 1)
+ * @returns {number}
+ */
+export const retryDelayMs = (attempts) =>
+  Math.min(env.emailRetryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Lock the next due message so only one worker sends it.
+ */
+async function claimNext() {
+  const now = new Date();
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        {
+          status: 'sending',
+          lockedAt: { $lte: new Date(now.getTime() - SENDING_LEASE_MS) },
+        },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 }, lean: true },
+  );
+}
+
+/**
+ * Attempt delivery of one claimed message and record the outcome. Once
+ * sent, the bodies are cleared: sign-in emails carry raw links and codes
+ * that the login token store only keeps hashed.
+ * @param {any} queued lean EmailMessage document
+ */
+async function deliver(queued) {
+  try {
+    const result = await emailService.sendEmail(
+      queued.message,
+      queued.idempotencyKey,
+      { transport: queued.pinnedTransport || undefined },
+    );
+
+    await EmailMessage.updateOne(
+      { _id: queued._id },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: new Date(),
+          providerId: result.id ?? '',
+          transport: result.transport,
+          lockedAt: null,
+          lastError: '',
+          'message.html': '',
+          'message.text': '',
+        },
+        $inc: { attempts: 1 },
+      },
+    );
+  } catch (error) {
+    const attempts = queued.attempts + 1;
+    const exhausted = attempts >= queued.maxAttempts;
+    const lastError = error instanceof Error ? error.message : String(error);
+
+    await EmailMessage.updateOne(
+      { _id: queued._id },
+      {
+        $set: {
+          status: exhausted ? 'dead' : 'pending',
+          attempts,
+          lastError,
+          lockedAt: null,
+          nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)),
+          // A timed-out send may still arrive; retrying elsewhere could
+          // deliver it twice
+          ...(error?.timedOut ? { pinnedTransport: error.transport } : {}),
+        },
+      },
+    );
+
+    logger.warn(
+      { err: error, emailMessageId: queued._id, attempts, dead: exhausted },
+      exhausted
+        ? 'Email moved to dead-letter after final attempt.'
+        : 'Email send failed; will retry.',
+    );
+  }
+}
+
+/**
+ * Send every message that is currently due.
+ * @returns {Promise<number>} number of messages processed
+ */
+export async function drainOutbox() {
+  if (draining) {
+    return 0;
+  }
+
+  draining = true;
+  let processed = 0;
+  try {
+    for (let queued = await claimNext(); queued; queued = await claimNext()) {
+      await deliver(queued);
+      processed += 1;
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Email outbox worker failed.');
+  } finally {
+    draining = false;
+  }
+
+  return processed;
+}
+
+/**
+ * Start polling the outbox. Safe to call more than once.
+ */
+export function startEmailOutboxWorker() {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(drainOutbox, env.emailOutboxPollMs);
+  timer.unref();
+  logger.info({ pollMs: env.emailOutboxPollMs }, 'Email outbox worker started');
+}
+
+export function stopEmailOutboxWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -1,8 +1,15 @@
 import { randomUUID } from 'crypto';
-import { resend } from '../lib/email/resend.js';
+import {
+  checkTransports,
+  getTransportOrder,
+  getTransports,
+  sendWithFailover,
+} from '../lib/email/transports.js';
 import { env } from '../config/env.js';
+import { EmailMessage } from '../models/EmailMessage.js';
+import { EmailSuppression } from '../models/EmailSuppression.js';
 import { logger } from '../utils/logger.js';
-import { buildStudentSubmissionEmail } from './emailTemplates/studentSubmission.js';
+import { emailTemplateService } from './emailTemplateService.js';
 
 const MAIL_FROM =
   process.env.MAIL_FROM ||
@@ -23,7 +30,7 @@ const MAIL_TAG_CATEGORY =
   process.env.MAIL_TAG_CATEGORY || env.mailTagCategory || '';
 
 const hasRequiredConfig = () =>
-  Boolean(process.env.RESEND_API_KEY && MAIL_FROM);
+  Boolean(getTransports().length && MAIL_FROM);
 
 const toList = (value) => {
   if (!value) return [];
@@ -54,6 +61,9 @@ const mergeRecipients = (...inputs) => {
   return result;
 };
 
+const addressOf = (value) =>
+  (value.match(/<([^>]+)>/)?.[1] ?? value).trim().toLowerCase();
+
 const optionalList = (list) => (list.length ? list : undefined);
 
 const mergeTags = (tags) => {
@@ -88,7 +98,11 @@ const buildHeaders = (headers = {}) => {
   return Object.keys(merged).length ? merged : undefined;
 };
 
-async function sendEmail({
+/**
+ * Resolve defaults (from, bcc, tags, headers) into the message that will be
+ * stored in the outbox and eventually handed to Resend.
+ */
+function buildMessage({
   to,
   subject,
   html,
@@ -98,18 +112,9 @@ async function sendEmail({
   attachments,
   headers,
   tags,
-  idempotencyKey,
   replyTo,
   from,
 }) {
-  if (!hasRequiredConfig()) {
-    const error = new Error(
-      'Email service not configured: set RESEND_API_KEY and MAIL_FROM',
-    );
-    throw error;
-  }
-
-  const key = idempotencyKey || `email/${randomUUID()}`;
   const recipients = mergeRecipients(to);
   if (!recipients.length) {
     throw new Error('Email requires at least one recipient');
@@ -117,7 +122,7 @@ async function sendEmail({
 
   const ccList = mergeRecipients(cc);
   const bccList = mergeRecipients(MAIL_BCC, bcc);
-  const payload = {
+  return {
     from: from || MAIL_FROM,
     to: recipients,
     subject,
@@ -128,40 +133,107 @@ async function sendEmail({
     attachments: attachments && attachments.length ? attachments : undefined,
     headers: buildHeaders(headers),
     tags: optionalList(mergeTags(tags)),
-    reply_to: replyTo || MAIL_REPLY_TO || undefined,
+    replyTo: replyTo || MAIL_REPLY_TO || undefined,
   };
+}
 
-  const { data, error } = await resend.emails.send(
-    payload,
-    { idempotencyKey: key },
-  );
-
-  if (error) {
-    const e = new Error(error.message || 'Resend send failed');
-    e.cause = error;
-    throw e;
+/**
+ * Hand a stored message to the configured transports, failing over in
+ * order. Used by the outbox worker.
+ * @param {ReturnType<typeof buildMessage>} message
+ * @param {string} idempotencyKey
+ * @param {{ transport?: string }} [options] send through this transport only
+ * @returns {Promise<{ id: string; transport: string; idempotencyKey: string }>}
+ */
+async function sendEmail(message, idempotencyKey, { transport: only } = {}) {
+  if (!hasRequiredConfig()) {
+    const error = new Error(
+      'Email service not configured: set MAIL_FROM and at least one transport',
+    );
+    throw error;
   }
 
+  const { id, transport } = await sendWithFailover(message, {
+    idempotencyKey,
+    timeoutMs: env.emailTimeout,
+    only,
+  });
+
   logger.info(
-    { emailId: data?.id, subject, to: payload.to },
-    'Email sent successfully via Resend.',
+    { emailId: id, transport, subject: message.subject, to: message.to },
+    'Email sent successfully.',
   );
 
-  return { id: data?.id, idempotencyKey: key };
+  return { id, transport, idempotencyKey };
 }
 
+/**
+ * Queue an email in the outbox. Delivery happens in the background worker,
+ * so callers never wait on the email provider.
+ */
 async function send(options) {
   try {
-    const result = await sendEmail(options);
-    return { success: true, ...result };
+    const message = buildMessage(options);
+
+    // Never email addresses that hard-bounced or complained
+    const suppressed = await EmailSuppression.find({
+      email: { $in: message.to.map(addressOf) },
+    })
+      .select('email')
+      .lean();
+    if (suppressed.length) {
+      const blocked = new Set(suppressed.map((entry) => entry.email));
+      message.to = message.to.filter((addr) => !blocked.has(addressOf(addr)));
+      logger.warn(
+        { suppressed: [...blocked], subject: message.subject },
+        'Skipping suppressed email recipients.',
+      );
+      if (!message.to.length) {
+        return {
+          success: false,
+          skipped: true,
+          error: 'All recipients are suppressed',
+        };
+      }
+    }
+    const key = options.idempotencyKey || `email/${randomUUID()}`;
+    const queued = await EmailMessage.create({
+      message,
+      idempotencyKey: key,
+      maxAttempts: Math.max(1, env.emailRetryAttempts),
+    });
+
+    return {
+      success: true,
+      queued: true,
+      id: queued._id.toString(),
+      idempotencyKey: key,
+    };
   } catch (error) {
     const message =
-      error instanceof Error ? error.message : 'Email send failed';
-    logger.error({ err: error }, 'Email send failed.');
+      error instanceof Error ? error.message : 'Email enqueue failed';
+    logger.error({ err: error }, 'Failed to queue email.');
     return { success: false, error: message };
   }
 }
 
+/**
+ * Build a reply-to address that routes replies back to a thread by
+ * plus-addressing the configured reply-to mailbox,
+ * e.g. `support@x.com` -> `support+issue-<id>@x.com`.
+ * @param {string} tag thread tag such as `issue-<id>`
+ * @returns {string | undefined} undefined when no reply-to is configured
+ */
+function buildThreadReplyTo(tag) {
+  const address = MAIL_REPLY_TO.match(/<([^>]+)>/)?.[1] ?? MAIL_REPLY_TO;
+  const [local, domain] = address.trim().split('@');
+  if (!local || !domain) {
+    return undefined;
+  }
+
+  return `${local.split('+')[0]}+${tag}@${domain}`;
+}
+
 async function sendStudentSubmissionAlert(payload) {
   if (!env.studentAlertTo) {
     logger.warn(
@@ -174,8 +246,10 @@ async function sendStudentSubmissionAlert(payload) {
     };
   }
 
-  const { html, text } = buildStudentSubmissionEmail(payload);
-  const subject = `New Student: ${payload.name}`;
+  const { subject, html, text } = await emailTemplateService.renderEmail(
+    'studentSubmission',
+    payload,
+  );
 
   return send({
     to: env.studentAlertTo,
@@ -186,10 +260,11 @@ async function sendStudentSubmissionAlert(payload) {
   });
 }
 
-function getStatus() {
+async function getStatus() {
   return {
     configured: hasRequiredConfig(),
-    provider: 'resend',
+    transportOrder: getTransportOrder(),
+    transports: await checkTransports(),
     from: MAIL_FROM || 'not-set',
     replyTo: MAIL_REPLY_TO || 'not-set',
     defaultBcc: MAIL_BCC ? '***configured***' : 'not-set',
@@ -199,6 +274,8 @@ function getStatus() {
 
 export const emailService = {
   send,
+  sendEmail,
   getStatus,
+  buildThreadReplyTo,
   sendStudentSubmissionAlert,
 };
@@ -0,0 +1,371 @@
+import { env } from '../config/env.js';
+import {
+  compileTemplate,
+  htmlToText,
+  renderTemplate,
+} from '../lib/templates/engine.js';
+import {
+  DEFAULT_LOCALE,
+  dateLocaleFor,
+  emailMessages,
+  resolveLocale,
+} from '../i18n/index.js';
+import { EmailTemplate } from '../models/EmailTemplate.js';
+import { httpError } from '../utils/httpError.js';
+import { logger } from '../utils/logger.js';
+import { emailTemplates } from './emailTemplates/index.js';
+import { layouts, partials } from './emailTemplates/layouts.js';
+
+const BRAND = 'Equus Tutor';
+// Other instances pick up a newly activated version within this window
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+
+/** @type {Map<string, { source: any; loadedAt: number }>} */
+const activeCache = new Map();
+
+/**
+ * @typedef {Object} TemplateSource
+ * @property {string} subject
+ * @property {string} html
+ * @property {string} [text]
+ * @property {string} [layout]
+ */
+
+/**
+ * @typedef {Object} RenderedEmail
+ * @property {string} subject
+ * @property {string} html
+ * @property {string} text
+ * @property {string} template
+ * @property {number} version 0 for the built-in template
+ * @property {string} locale
+ */
+
+/**
+ * @param {string} name
+ * @returns {import('./emailTemplates/index.js').EmailTemplateDefinition}
+ */
+function getDefinition(name) {
+  const definition = emailTemplates.get(name);
+  if (!definition) {
+    throw httpError(404, 'EMAIL_TEMPLATE_NOT_FOUND', `Unknown email template: ${name}`);
+  }
+  return definition;
+}
+
+async function loadActiveVersion(name) {
+  const cached = activeCache.get(name);
+  if (cached && Date.now() - cached.loadedAt < ACTIVE_CACHE_TTL_MS) {
+    return cached.source;
+  }
+
+  try {
+    const source = await EmailTemplate.findOne({ name, active: true }).lean();
+    activeCache.set(name, { source, loadedAt: Date.now() });
+    return source;
+  } catch (error) {
+    logger.warn({ err: error, template: name }, 'Failed to load stored email template');
+    return null;
+  }
+}
+
+/**
+ * Render a template source against the caller's data. The template's
+ * catalogue strings are rendered against the view too and exposed as
+ * `{{t.key}}`; `prepare` gets a `t(key, params)` for strings it builds.
+ * @param {import('./emailTemplates/index.js').EmailTemplateDefinition} definition
+ * @param {TemplateSource} source
+ * @param {any} data
+ * @param {string} locale
+ * @returns {{ subject: string; html: string; text: string; locale: string }}
+ */
+function renderSource(definition, source, data, locale) {
+  const messages = emailMessages(locale, definition.name);
+  const globals = {
+    brand: BRAND,
+    environment: env.nodeEnv,
+    sentAt: new Date().toISOString(),
+    locale,
+  };
+  const translate = (key, params = {}) =>
+    renderTemplate(messages[key] ?? key, [globals, params], { escape: false });
+
+  const view = definition.prepare
+    ? definition.prepare(data, {
+        t: translate,
+        locale,
+        dateLocale: dateLocaleFor(locale),
+      })
+    : data;
+  const t = Object.fromEntries(
+    Object.entries(messages).map(([key, message]) => [
+      key,
+      renderTemplate(message, [globals, view], { escape: false }),
+    ]),
+  );
+  const stack = [{ ...globals, t }, view];
+
+  const body = renderTemplate(source.html, stack, { partials });
+  const layout = source.layout ? layouts[source.layout] : undefined;
+  const html = layout
+    ? renderTemplate(layout, [...stack, { body }], { partials })
+    : body;
+  const subject = renderTemplate(source.subject, stack, { escape: false })
+    .replace(/\s+/g, ' ')
+    .trim();
+  const text = source.text
+    ? renderTemplate(source.text, stack, { partials, escape: false }).trim()
+    : htmlToText(html);
+
+  return { subject, html: html.trim(), text, locale };
+}
+
+const asTemplateError = (error) =>
+  error?.code === 'TEMPLATE_SYNTAX_ERROR'
+    ? httpError(422, 'EMAIL_TEMPLATE_INVALID', error.message)
+    : error;
+
+/**
+ * Render a named email with the active stored version, or the built-in
+ * template when none is active. A stored version that fails to render falls
+ * back to the built-in one so alerts still go out.
+ * @param {string} name
+ * @param {any} data
+ * @param {{ locale?: string }} [options] recipient's locale; staff alerts
+ *   use the default locale
+ * @returns {Promise<RenderedEmail>}
+ */
+async function renderEmail(name, data, { locale } = {}) {
+  const definition = getDefinition(name);
+  const stored = await loadActiveVersion(name);
+  const resolved = resolveLocale(locale);
+
+  if (stored) {
+    try {
+      return {
+        ...renderSource(definition, stored, data, resolved),
+        template: name,
+        version: stored.version,
+      };
+    } catch (error) {
+      logger.error(
+        { err: error, template: name, version: stored.version },
+        'Stored email template failed to render; using built-in template.',
+      );
+    }
+  }
+
+  return {
+    ...renderSource(definition, definition, data, resolved),
+    template: name,
+    version: 0,
+  };
+}
+
+/**
+ * Render a template without sending it. Renders, in order of preference,
+ * the unsaved `draft` markup, the requested stored `version`, or whatever
+ * `renderEmail` would use. `data` defaults to the template's sample.
+ * @param {string} name
+ * @param {{ data?: any; version?: number; draft?: Partial<TemplateSource>; locale?: string }} [options]
+ * @returns {Promise<RenderedEmail>}
+ */
+async function previewEmail(name, { data, version, draft, locale } = {}) {
+  const definition = getDefinition(name);
+
+  let source = definition;
+  let sourceVersion = 0;
+  if (draft) {
+    source = { ...definition, text: '', ...draft };
+  } else if (version) {
+    source = await EmailTemplate.findOne({ name, version }).lean();
+    if (!source) {
+      throw httpError(
+        404,
+        'EMAIL_TEMPLATE_VERSION_NOT_FOUND',
+        `Version ${version} of ${name} does not exist`,
+      );
+    }
+    sourceVersion = version;
+  } else {
+    const stored = await loadActiveVersion(name);
+    if (stored) {
+      source = stored;
+      sourceVersion = stored.version;
+    }
+  }
+
+  try {
+    return {
+      ...renderSource(
+        definition,
+        source,
+        data ?? definition.sample,
+        resolveLocale(locale),
+      ),
+      template: name,
+      version: sourceVersion,
+    };
+  } catch (error) {
+    throw asTemplateError(error);
+  }
+}
+
+/**
+ * Save a new version of a template. It is checked by rendering the sample
+ * data and only used for sending once activated. Without a `layout` it
+ * keeps the built-in template's, as a draft preview does.
+ * @param {string} name
+ * @param {TemplateSource & { notes?: string; activate?: boolean }} input
+ * @param {string} [createdBy]
+ */
+async function createTemplateVersion(name, input, createdBy = '') {
+  const definition = getDefinition(name);
+  const { activate, ...fields } = input;
+  fields.layout ??= definition.layout ?? '';
+
+  try {
+    [fields.subject, fields.html, fields.text ?? ''].forEach(compileTemplate);
+    renderSource(
+      definition,
+      { ...fields, text: fields.text ?? '' },
+      definition.sample,
+      DEFAULT_LOCALE,
+    );
+  } catch (error) {
+    throw asTemplateError(error);
+  }
+
+  let created;
+  for (let attempt = 0; !created; attempt += 1) {
+    const latest = await EmailTemplate.findOne({ name })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+    try {
+      created = await EmailTemplate.create({
+        ...fields,
+        name,
+        version: (latest?.version ?? 0) + 1,
+        createdBy,
+      });
+    } catch (error) {
+      // Another version was saved concurrently; take the next number
+      if (error?.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+
+  if (activate) {
+    return activateTemplateVersion(name, created.version);
+  }
+  return created.toObject();
+}
+
+/**
+ * Make a stored version the one used for sending. Version 0 switches back
+ * to the built-in template.
+ * @param {string} name
+ * @param {number} version
+ */
+async function activateTemplateVersion(name, version) {
+  getDefinition(name);
+
+  if (version !== 0) {
+    const exists = await EmailTemplate.exists({ name, version });
+    if (!exists) {
+      throw httpError(
+        404,
+        'EMAIL_TEMPLATE_VERSION_NOT_FOUND',
+        `Version ${version} of ${name} does not exist`,
+      );
+    }
+  }
+
+  await EmailTemplate.updateMany(
+    { name, active: true, version: { $ne: version } },
+    { $set: { active: false } },
+  );
+  activeCache.delete(name);
+
+  if (version === 0) {
+    return null;
+  }
+
+  try {
+    return await EmailTemplate.findOneAndUpdate(
+      { name, version },
+      { $set: { active: true, activatedAt: new Date() } },
+      { new: true, lean: true },
+    );
+  } catch (error) {
+    // Another version was activated between the two writes
+    if (error?.code === 11000) {
+      throw httpError(
+        409,
+        'EMAIL_TEMPLATE_ACTIVATION_CONFLICT',
+        `Another version of ${name} was activated at the same time; try again`,
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Built-in templates with their stored version numbers.
+ */
+async function listTemplates() {
+  const stored = await EmailTemplate.aggregate([
+    {
+      $group: {
+        _id: '$name',
+        latestVersion: { $max: '$version' },
+        activeVersion: {
+          $max: { $cond: ['$active', '$version', 0] },
+        },
+      },
+    },
+  ]);
+  const byName = new Map(stored.map((entry) => [entry._id, entry]));
+
+  return [...emailTemplates.values()].map((definition) => ({
+    name: definition.name,
+    description: definition.description,
+    layout: definition.layout ?? '',
+    latestVersion: byName.get(definition.name)?.latestVersion ?? 0,
+    activeVersion: byName.get(definition.name)?.activeVersion ?? 0,
+  }));
+}
+
+/**
+ * A template's built-in markup, sample data and stored versions.
+ * @param {string} name
+ */
+async function getTemplate(name) {
+  const definition = getDefinition(name);
+  const versions = await EmailTemplate.find({ name }).sort({ version: -1 }).lean();
+
+  return {
+    name: definition.name,
+    description: definition.description,
+    builtIn: {
+      subject: definition.subject,
+      html: definition.html,
+      text: definition.text ?? '',
+      layout: definition.layout ?? '',
+    },
+    sample: definition.sample,
+    activeVersion: versions.find((version) => version.active)?.version ?? 0,
+    versions,
+  };
+}
+
+export const emailTemplateService = {
+  renderEmail,
+  previewEmail,
+  createTemplateVersion,
+  activateTemplateVersion,
+  listTemplates,
+  getTemplate,
+};
@@ -0,0 +1,66 @@
+import { toFields } from './helpers.js';
+
+/**
+ * @typedef {Object} EnrolmentAddedEmail
+ * @property {{ name: string; nickname?: string; email: string; source?: string; sourceId?: string; chatflowId?: string }} student
+ * @property {{ subject: string; country: string; examBody: string; level: string; books?: string[]; examDates?: string[]; chatflowId?: string }} enrolment
+ */
+
+/** @type {import('./index.js').EmailTemplateDefinition<EnrolmentAddedEmail>} */
+export const enrolmentAddedTemplate = {
+  name: 'enrolmentAdded',
+  description: 'Staff alert when a student adds a subject',
+  layout: 'branded',
+  subject: '{{t.subject}}',
+  html: `
+    <div style="background: #ffffff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 20px; box-shadow: 0 6px 14px rgba(15, 23, 42, 0.06);">
+      <h1 style="margin: 0 0 12px; font-size: 22px;">{{t.heading}}</h1>
+      <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #f8fafc; margin-bottom: 14px;">
+        <p style="margin: 0 0 8px;"><strong>{{t.name}}:</strong> {{student.name}}</p>
+        {{#student.nickname}}<p style="margin: 0 0 8px;"><strong>{{t.nickname}}:</strong> {{student.nickname}}</p>{{/student.nickname}}
+        <p style="margin: 0 0 8px;"><strong>{{t.email}}:</strong> <a href="mailto:{{student.email}}" style="color: #2563eb;">{{student.email}}</a></p>
+        {{#student.source}}<p style="margin: 0 0 8px;"><strong>{{t.source}}:</strong> {{student.source}}{{#student.sourceId}} ({{student.sourceId}}){{/student.sourceId}}</p>{{/student.source}}
+      </div>
+      <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #fff; margin-bottom: 14px;">
+        <h2 style="margin: 0 0 10px; font-size: 16px;">{{t.details}}</h2>
+        {{#details}}{{> field}}{{/details}}
+      </div>
+      <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #fff;">
+        <p style="margin: 0 0 6px;"><strong>{{t.enrolmentChatflowId}}:</strong> {{enrolmentChatflowId}}</p>
+        <p style="margin: 0 0 6px;"><strong>{{t.studentChatflowId}}:</strong> {{studentChatflowId}}</p>
+        {{> sentAt}}
+      </div>
+    </div>
+  `,
+  prepare: ({ student, enrolment }, { t }) => ({
+    eyebrow: t('eyebrow'),
+    student,
+    enrolment,
+    details: toFields([
+      { label: t('subjectName'), value: enrolment.subject },
+      { label: t('country'), value: enrolment.country },
+      { label: t('examBody'), value: enrolment.examBody },
+      { label: t('level'), value: enrolment.level },
+      { label: t('books'), value: enrolment.books },
+      { label: t('examDates'), value: enrolment.examDates },
+    ]),
+    enrolmentChatflowId: enrolment.chatflowId || t('notProvided'),
+    studentChatflowId: student.chatflowId || t('notProvided'),
+  }),
+  sample: {
+    student: {
+      name: 'Sam Taylor',
+      nickname: 'Sam',
+      email: 'sam@example.com',
+      source: 'manual',
+    },
+    enrolment: {
+      subject: 'Physics',
+      country: 'UK',
+      examBody: 'Edexcel',
+      level: 'A-Level',
+      books: ['Edexcel A Level Physics'],
+      examDates: [],
+    },
+  },
+};
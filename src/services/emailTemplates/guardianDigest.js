@@ -0,0 +1,88 @@
+import { toSections } from './helpers.js';
+
+/**
+ * @typedef {Object} DigestReport
+ * @property {string} title
+ * @property {Date | string} createdAt
+ * @property {string[]} [topics]
+ * @property {string[]} [keyLearnings]
+ * @property {string[]} [studentStrengths]
+ * @property {string[]} [gapsNextPriorities]
+ */
+
+/**
+ * @typedef {Object} GuardianDigestEmail
+ * @property {number} periodDays how many days the digest covers
+ * @property {Array<{ name: string; nickname?: string; reports: DigestReport[] }>} students
+ * @property {string} unsubscribeUrl
+ */
+
+const formatDate = (value, locale) =>
+  new Date(value).toLocaleDateString(locale, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+  });
+
+const REPORT_FIELDS = ['topics', 'keyLearnings', 'studentStrengths', 'gapsNextPriorities'];
+
+/** @type {import('./index.js').EmailTemplateDefinition<GuardianDigestEmail>} */
+export const guardianDigestTemplate = {
+  name: 'guardianDigest',
+  description: "Weekly or fortnightly roundup of a guardian's students' reports",
+  layout: 'branded',
+  subject: '{{t.subject}}',
+  html: `
+    <h1 style="margin: 0 0 12px; font-size: 22px;">{{t.heading}}</h1>
+    {{#students}}
+      <h2 style="margin: 20px 0 10px; font-size: 18px;">{{displayName}} &middot; {{sessionLabel}}</h2>
+      {{#reports}}
+        <div style="border: 1px solid #e2e8f0; border-radius: 10px; padding: 14px; background: #ffffff; margin-bottom: 12px;">
+          <p style="margin: 0 0 4px; font-size: 12px; color: #64748b;">{{date}}</p>
+          <h3 style="margin: 0 0 6px; font-size: 16px;">{{title}}</h3>
+          {{#sections}}{{> list}}{{/sections}}
+        </div>
+      {{/reports}}
+    {{/students}}
+    <p style="margin: 24px 0 0; font-size: 12px; color: #475569;">
+      {{t.footer}}
+      <a href="{{unsubscribeUrl}}" style="color: #2563eb;">{{t.unsubscribe}}</a>.
+    </p>
+  `,
+  prepare: ({ periodDays, students, unsubscribeUrl }, { t, dateLocale }) => ({
+    periodLabel: periodDays === 7 ? t('periodWeek') : t('periodDays', { periodDays }),
+    names: students.map((student) => student.nickname || student.name).join(' & '),
+    students: students.map((student) => ({
+      displayName: student.nickname || student.name,
+      sessionLabel:
+        student.reports.length === 1
+          ? t('sessionOne')
+          : t('sessionMany', { count: student.reports.length }),
+      reports: student.reports.map((report) => ({
+        title: report.title,
+        date: formatDate(report.createdAt, dateLocale),
+        sections: toSections(REPORT_FIELDS, report, t),
+      })),
+    })),
+    unsubscribeUrl,
+  }),
+  sample: {
+    periodDays: 7,
+    students: [
+      {
+        name: 'Sam Taylor',
+        nickname: 'Sam',
+        reports: [
+          {
+            title: 'Quadratic equations',
+            createdAt: '2026-01-12T16:00:00.000Z',
+            topics: ['Factorising'],
+            keyLearnings: ['Spotting difference of two squares'],
+            gapsNextPriorities: ['Completing the square'],
+          },
+        ],
+      },
+    ],
+    unsubscribeUrl: 'https://example.com/api/v1/guardians/digest/unsubscribe?token=sample',
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * @typedef {Object} GuardianLoginEmail
+ * @property {string} link magic link containing the one-time token
+ * @property {number} expiresInMinutes
+ */
+
+/** @type {import('./index.js').EmailTemplateDefinition<GuardianLoginEmail>} */
+export const guardianLoginTemplate = {
+  name: 'guardianLogin',
+  description: 'One-time sign-in link for the guardian portal',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    <h1 style="font-size: 20px;">{{t.heading}}</h1>
+    <p>{{t.intro}}</p>
+    {{#button}}{{> button}}{{/button}}
+    <p style="font-size: 12px; color: #555;">{{t.fallback}}<br />{{link}}</p>
+    <p style="font-size: 12px; color: #555;">{{t.ignore}}</p>
+  `,
+  prepare: ({ link, expiresInMinutes }, { t }) => ({
+    link,
+    expiresInMinutes,
+    button: { url: link, label: t('button') },
+  }),
+  sample: {
+    link: 'https://example.com/guardian/login?token=sample',
+    expiresInMinutes: 15,
+  },
+};
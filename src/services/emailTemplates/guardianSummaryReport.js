@@ -0,0 +1,69 @@
+import { toSections } from './helpers.js';
+
+/**
+ * @typedef {Object} GuardianSummaryReportEmail
+ * @property {string} studentName nickname or name shown to the guardian
+ * @property {string} [guardianName]
+ * @property {string} title
+ * @property {Date | string} createdAt
+ * @property {string[]} [topics]
+ * @property {string[]} [keyLearnings]
+ * @property {string[]} [misconceptionsClarified]
+ * @property {string[]} [studentStrengths]
+ * @property {string[]} [gapsNextPriorities]
+ * @property {string[]} [suggestedNextSteps]
+ * @property {string[]} [compactRecap]
+ */
+
+// Only learning content; chat/session/chatflow identifiers stay internal
+const SECTIONS = [
+  'topics',
+  'keyLearnings',
+  'misconceptionsClarified',
+  'studentStrengths',
+  'gapsNextPriorities',
+  'suggestedNextSteps',
+];
+
+/** @type {import('./index.js').EmailTemplateDefinition<GuardianSummaryReportEmail>} */
+export const guardianSummaryReportTemplate = {
+  name: 'guardianSummaryReport',
+  description: 'Parent-friendly copy of a new summary report, without internal IDs',
+  layout: 'branded',
+  subject: '{{t.subject}}',
+  html: `
+    <h1 style="margin: 0 0 4px; font-size: 22px;">{{title}}</h1>
+    <p style="margin: 0 0 16px; color: #475569;">{{studentName}} &middot; {{date}}</p>
+    <div style="border: 1px solid #e2e8f0; border-radius: 12px; padding: 16px; background: #ffffff;">
+      <p style="margin: 0 0 12px;">{{t.greeting}}</p>
+      <p style="margin: 0 0 16px;">{{t.intro}}{{#recap}} {{recap}}{{/recap}}</p>
+      {{#sections}}{{> list}}{{/sections}}
+    </div>
+    <p style="margin: 16px 0 0; font-size: 12px; color: #475569;">
+      {{t.footer}}
+    </p>
+  `,
+  prepare: (payload, { t, dateLocale }) => ({
+    studentName: payload.studentName,
+    title: payload.title,
+    date: new Date(payload.createdAt ?? Date.now()).toLocaleDateString(dateLocale, {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+    }),
+    recipientName: payload.guardianName,
+    recap: payload.compactRecap?.join(' ') ?? '',
+    sections: toSections(SECTIONS, payload, t),
+  }),
+  sample: {
+    studentName: 'Sam',
+    guardianName: 'Jo',
+    title: 'Quadratic equations',
+    createdAt: '2026-01-12T16:00:00.000Z',
+    topics: ['Factorising', 'Completing the square'],
+    keyLearnings: ['Spotting difference of two squares'],
+    studentStrengths: ['Careful working'],
+    gapsNextPriorities: ['Negative coefficients'],
+    compactRecap: ['A focused session on quadratics.'],
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * View-model helpers shared by template `prepare` functions.
+ */
+
+/**
+ * Pick the non-empty lists for the `list` partial, labelled from the
+ * template's catalogue strings.
+ * @param {string[]} keys
+ * @param {Record<string, any>} source
+ * @param {(key: string) => string} t
+ * @returns {Array<{ label: string; items: string[] }>}
+ */
+export const toSections = (keys, source, t) =>
+  keys
+    .map((key) => {
+      const label = t(key);
+      const value = source?.[key];
+      const items = Array.isArray(value) ? value : value ? [value] : [];
+      return { label, items: items.filter(Boolean) };
+    })
+    .filter((section) => section.items.length);
+
+/**
+ * Drop label/value pairs without a value for the `field` partial.
+ * @param {Array<{ label: string; value: unknown }>} fields
+ */
+export const toFields = (fields) =>
+  fields.filter(
+    ({ value }) =>
+      value !== undefined &&
+      value !== null &&
+      value !== '' &&
+      !(Array.isArray(value) && value.length === 0),
+  );
+
+/**
+ * Split free text into lines for the `lines` partial.
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+export const toLines = (value) =>
+  typeof value === 'string' && value.trim() ? value.trim().split(/\r?\n/) : [];
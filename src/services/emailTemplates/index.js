@@ -0,0 +1,51 @@
+import { enrolmentAddedTemplate } from './enrolmentAdded.js';
+import { guardianDigestTemplate } from './guardianDigest.js';
+import { guardianLoginTemplate } from './guardianLogin.js';
+import { guardianSummaryReportTemplate } from './guardianSummaryReport.js';
+import { issueAlertTemplate } from './issueAlert.js';
+import { issueCommentTemplate } from './issueComment.js';
+import { issueResolvedTemplate } from './issueResolved.js';
+import { studentLoginCodeTemplate } from './studentLoginCode.js';
+import { studentSubmissionTemplate } from './studentSubmission.js';
+import { summaryReportAlertTemplate } from './summaryReportAlert.js';
+
+/**
+ * A built-in email template. `prepare` turns the caller's data into the
+ * view the markup is rendered against; stored versions in Mongo replace the
+ * markup (subject/html/text/layout) but keep the same view. Wording comes
+ * from the template's strings in the i18n catalogues, available to the
+ * markup as `{{t.key}}` and to `prepare` through `t(key, params)`.
+ * @template [T=any]
+ * @typedef {Object} EmailTemplateDefinition
+ * @property {string} name
+ * @property {string} description
+ * @property {string} subject
+ * @property {string} html body, wrapped in `layout`
+ * @property {string} [text] plain-text body; generated from the HTML when omitted
+ * @property {'plain' | 'branded' | ''} [layout]
+ * @property {(data: T, context: TemplateContext) => Record<string, any>} [prepare]
+ * @property {T} sample data used for previews
+ */
+
+/**
+ * @typedef {Object} TemplateContext
+ * @property {(key: string, params?: Record<string, unknown>) => string} t
+ * @property {string} locale
+ * @property {string} dateLocale regional tag for formatting dates
+ */
+
+/** @type {Map<string, EmailTemplateDefinition>} */
+export const emailTemplates = new Map(
+  [
+    enrolmentAddedTemplate,
+    guardianDigestTemplate,
+    guardianLoginTemplate,
+    guardianSummaryReportTemplate,
+    issueAlertTemplate,
+    issueCommentTemplate,
+    issueResolvedTemplate,
+    studentLoginCodeTemplate,
+    studentSubmissionTemplate,
+    summaryReportAlertTemplate,
+  ].map((template) => [template.name, template]),
+);
@@ -0,0 +1,37 @@
+import { toFields } from './helpers.js';
+
+/** @type {import('./index.js').EmailTemplateDefinition<Record<string, any>>} */
+export const issueAlertTemplate = {
+  name: 'issueAlert',
+  description: 'Staff alert for a newly reported issue',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    {{#fields}}<p><strong>{{label}}:</strong> {{> lines}}</p>{{/fields}}
+  `,
+  prepare: (issue, { t }) => ({
+    title: issue.title,
+    fields: toFields([
+      { label: t('source'), value: issue.source },
+      { label: t('description'), value: issue.description },
+      { label: t('date'), value: issue.date },
+      { label: t('name'), value: issue.name },
+      { label: t('email'), value: issue.email },
+      { label: t('chatId'), value: issue.chatId },
+      { label: t('sessionId'), value: issue.sessionId },
+      { label: t('chatflowId'), value: issue.chatflowId },
+      { label: t('nodeId'), value: issue.nodeId },
+    ]).map((field) => ({
+      label: field.label,
+      lines: String(field.value).split(/\r?\n/),
+    })),
+  }),
+  sample: {
+    title: 'Quiz does not load',
+    source: 'flowise',
+    description: 'The quiz spinner never stops.\nHappens on step 3.',
+    name: 'Sam',
+    email: 'sam@example.com',
+    chatflowId: 'chatflow-1',
+  },
+};
@@ -0,0 +1,40 @@
+import { toLines } from './helpers.js';
+
+/**
+ * @typedef {Object} IssueCommentEmail
+ * @property {string} issueId
+ * @property {string} title issue title
+ * @property {string} [name] reporter name
+ * @property {string} authorName staff member who replied
+ * @property {string} body sanitized markdown comment body
+ */
+
+/** @type {import('./index.js').EmailTemplateDefinition<IssueCommentEmail>} */
+export const issueCommentTemplate = {
+  name: 'issueComment',
+  description: 'Public staff reply on an issue, sent to the reporter',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    <p>{{t.greeting}}</p>
+    <p>{{t.replied}} <strong>{{title}}</strong>:</p>
+    <blockquote style="margin: 16px 0; padding: 12px 16px; border-left: 4px solid #2563eb; background: #f8fafc;">
+      {{> lines}}
+    </blockquote>
+    <p style="font-size: 12px; color: #555;">{{t.footer}}</p>
+  `,
+  prepare: ({ issueId, title, name, authorName, body }) => ({
+    issueId,
+    title,
+    authorName,
+    recipientName: name?.trim(),
+    lines: toLines(body),
+  }),
+  sample: {
+    issueId: '665f1c2e9b1d8c0012345678',
+    title: 'Quiz does not load',
+    name: 'Sam',
+    authorName: 'Alex from support',
+    body: 'Thanks for the report.\nCould you tell us which browser you use?',
+  },
+};
@@ -0,0 +1,33 @@
+import { toLines } from './helpers.js';
+
+/**
+ * @typedef {Object} IssueResolvedEmail
+ * @property {string} title issue title
+ * @property {string} [name] reporter name
+ * @property {string} [note] optional resolution note from staff
+ */
+
+/** @type {import('./index.js').EmailTemplateDefinition<IssueResolvedEmail>} */
+export const issueResolvedTemplate = {
+  name: 'issueResolved',
+  description: 'Tells the reporter their issue was resolved',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    <p>{{t.greeting}}</p>
+    <p>{{t.intro}}</p>
+    <p><strong>{{t.issue}}:</strong> {{title}}</p>
+    {{#lines.length}}<p><strong>{{t.notes}}:</strong><br />{{> lines}}</p>{{/lines.length}}
+    <p>{{t.footer}}</p>
+  `,
+  prepare: ({ title, name, note }) => ({
+    title,
+    recipientName: name?.trim(),
+    lines: toLines(note),
+  }),
+  sample: {
+    title: 'Quiz does not load',
+    name: 'Sam',
+    note: 'Fixed in the latest release.',
+  },
+};
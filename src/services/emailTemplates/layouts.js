@@ -0,0 +1,38 @@
+/**
+ * Shared layouts and partials for email templates. A layout wraps the
+ * rendered template body, which it receives as `{{{body}}}`.
+ */
+
+export const layouts = {
+  plain: `
+    <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto;">
+      {{{body}}}
+    </div>
+  `,
+  branded: `
+    <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto; padding: 16px; background: #f7f9fc; color: #0f172a;">
+      <p style="margin: 0 0 8px; font-size: 12px; letter-spacing: 0.08em; text-transform: uppercase; color: #475569;">
+        {{#eyebrow}}{{eyebrow}}{{/eyebrow}}{{^eyebrow}}{{brand}}{{/eyebrow}}
+      </p>
+      {{{body}}}
+    </div>
+  `,
+};
+
+export const partials = {
+  // {{#fields}}{{> field}}{{/fields}} with [{ label, value }]
+  field: `<p style="margin: 0 0 8px;"><strong>{{label}}:</strong> {{value}}</p>`,
+  // {{#sections}}{{> list}}{{/sections}} with [{ label, items }]
+  list: `
+    <p style="margin: 10px 0 4px; font-weight: bold; color: #334155;">{{label}}</p>
+    <ul style="margin: 0; padding-left: 20px;">{{#items}}<li style="margin: 0 0 4px;">{{.}}</li>{{/items}}</ul>
+  `,
+  // Multi-line text split into `lines` by toLines()
+  lines: `{{#lines}}{{.}}<br />{{/lines}}`,
+  button: `
+    <p style="margin: 24px 0;">
+      <a href="{{url}}" style="background: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">{{label}}</a>
+    </p>
+  `,
+  sentAt: `<p style="margin: 16px 0 0; font-size: 12px; color: #475569;">{{t.sentAt}}</p>`,
+};
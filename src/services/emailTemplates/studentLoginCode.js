@@ -0,0 +1,21 @@
+/**
+ * @typedef {Object} StudentLoginCodeEmail
+ * @property {string} name student's first name or nickname
+ * @property {string} code six-digit one-time code
+ * @property {number} expiresInMinutes
+ */
+
+/** @type {import('./index.js').EmailTemplateDefinition<StudentLoginCodeEmail>} */
+export const studentLoginCodeTemplate = {
+  name: 'studentLoginCode',
+  description: 'One-time sign-in code for students',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    <h1 style="font-size: 20px;">{{t.heading}}</h1>
+    <p style="font-size: 28px; letter-spacing: 0.3em; font-weight: bold; margin: 24px 0;">{{code}}</p>
+    <p>{{t.intro}}</p>
+    <p style="font-size: 12px; color: #555;">{{t.ignore}}</p>
+  `,
+  sample: { name: 'Sam', code: '123456', expiresInMinutes: 15 },
+};
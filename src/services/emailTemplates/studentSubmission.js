@@ -1,4 +1,4 @@
-import { env } from '../../config/env.js';
+import { toFields, toSections } from './helpers.js';
 
 /**
  * @typedef {Object} StudentSubmissionEmail
@@ -6,7 +6,7 @@ import { env } from '../../config/env.js';
  * @property {string} [nickname]
  * @property {string} email
  * @property {number} [age]
- * @property {{ name?: string; email?: string }} guardian
+ * @property {Array<{ name?: string; email?: string; relationship?: string; primary?: boolean }>} guardians
  * @property {Array<{ subject: string; country: string; examBody: string; level: string; books?: string[]; examDates?: string[] }>} enrolments
  * @property {string} [preferredColourForDyslexia]
  * @property {string} [chatId]
@@ -16,31 +16,8 @@ import { env } from '../../config/env.js';
  * @property {string} [sourceId]
  */
 
-const escapeHtml = (value) =>
-  value
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
 
-const formatList = (label, items) => {
-  if (!items || items.length === 0) {
-    return '';
-  }
-
-  const content = items.map((item) => `<li>${escapeHtml(item)}</li>`).join('');
-  return `<p><strong>${label}:</strong></p><ul>${content}</ul>`;
-};
-
-const formatListText = (label, items) => {
-  if (!items || items.length === 0) {
-    return '';
-  }
-
-  const content = items.map((item) => `  - ${item}`).join('\n');
-  return `${label}:\n${content}`;
-};
+const ENROLMENT_LISTS = ['books', 'examDates'];
 
 const sanitizeNumber = (value) => {
   if (value === undefined || Number.isNaN(value)) {
@@ -49,130 +26,88 @@ const sanitizeNumber = (value) => {
   return String(value);
 };
 
-/**
- * Build HTML and text versions of a student submission email.
- * @param {StudentSubmissionEmail} payload
- * @returns {{ html: string; text: string }}
- */
-export const buildStudentSubmissionEmail = (payload) => {
-  const guardianName = payload.guardian.name?.trim() || 'Not provided';
-  const guardianEmail = payload.guardian.email?.trim() || 'Not provided';
-  const nickname = payload.nickname?.trim();
-  const preferredColour = payload.preferredColourForDyslexia?.trim();
-  const age = sanitizeNumber(payload.age);
-
-  const enrolmentsHtml = payload.enrolments
-    .map((enrolment, index) => {
-      const header = `${escapeHtml(enrolment.subject)} &middot; ${escapeHtml(
-        enrolment.country,
-      )} &middot; ${escapeHtml(enrolment.examBody)} (${escapeHtml(
-        enrolment.level,
-      )})`;
-      const books = formatList('Study resources', enrolment.books);
-      const examDates = formatList('Planned exam dates', enrolment.examDates);
-      return `
-        <section style="margin-bottom: 20px;">
-          <p><strong>Enrolment ${index + 1}:</strong><br />${header}</p>
-          ${books}
-          ${examDates}
-        </section>
-      `;
-    })
-    .join('');
-
-  const enrolmentsText = payload.enrolments
-    .map((enrolment, index) => {
-      const header = `Enrolment ${index + 1}: ${enrolment.subject} - ${
-        enrolment.country
-      } - ${enrolment.examBody} (${enrolment.level})`;
-      const books = formatListText('Study resources', enrolment.books);
-      const examDates = formatListText(
-        'Planned exam dates',
-        enrolment.examDates,
-      );
-      return [header, books, examDates].filter(Boolean).join('\n');
-    })
-    .join('\n\n');
-
-  const sourceDetails = payload.sourceId
-    ? `${escapeHtml(payload.source)} (id: ${escapeHtml(payload.sourceId)})`
-    : escapeHtml(payload.source);
-
-  const metaHtml = [
-    age ? `<p><strong>Age:</strong> ${escapeHtml(age)}</p>` : '',
-    preferredColour
-      ? `<p><strong>Preferred colour:</strong> ${escapeHtml(
-          preferredColour,
-        )}</p>`
-      : '',
-    payload.chatId
-      ? `<p><strong>Chat ID:</strong> ${escapeHtml(payload.chatId)}</p>`
-      : '',
-    payload.sessionId
-      ? `<p><strong>Session ID:</strong> ${escapeHtml(payload.sessionId)}</p>`
-      : '',
-    payload.chatflowId
-      ? `<p><strong>Chatflow ID:</strong> ${escapeHtml(payload.chatflowId)}</p>`
-      : '',
-  ]
-    .filter(Boolean)
-    .join('\n');
-
-  const metaText = [
-    age ? `Age: ${age}` : '',
-    preferredColour ? `Preferred colour: ${preferredColour}` : '',
-    payload.chatId ? `Chat ID: ${payload.chatId}` : '',
-    payload.sessionId ? `Session ID: ${payload.sessionId}` : '',
-    payload.chatflowId ? `Chatflow ID: ${payload.chatflowId}` : '',
-  ]
-    .filter(Boolean)
-    .join('\n');
-
-  const timestamp = new Date().toISOString();
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto;">
-      <h1 style="font-size: 20px;">New student submission received</h1>
-      <p><strong>Name:</strong> ${escapeHtml(payload.name)}</p>
-      <p><strong>Nickname:</strong> ${escapeHtml(
-        nickname || 'Not provided',
-      )}</p>
-      <p><strong>Email:</strong> <a href="mailto:${escapeHtml(
-        payload.email,
-      )}">${escapeHtml(payload.email)}</a></p>
-      <p><strong>Guardian:</strong> ${escapeHtml(guardianName)} (${escapeHtml(
-    guardianEmail,
-  )})</p>
-      ${metaHtml}
-      <p><strong>Source:</strong> ${sourceDetails}</p>
-      <hr style="margin: 24px 0;" />
-      ${enrolmentsHtml}
-      <hr style="margin: 24px 0;" />
-      <p style="font-size: 12px; color: #555;">
-        Environment: ${escapeHtml(env.nodeEnv)} | Sent at ${escapeHtml(
-    timestamp,
-  )}
-      </p>
-    </div>
-  `;
-
-  const sourceSuffix = payload.sourceId ? ` (id: ${payload.sourceId})` : '';
-  const textSections = [
-    'New student submission received',
-    `Name: ${payload.name}`,
-    `Nickname: ${nickname || 'Not provided'}`,
-    `Email: ${payload.email}`,
-    `Guardian: ${guardianName} (${guardianEmail})`,
-    metaText,
-    `Source: ${payload.source}${sourceSuffix}`,
-    '',
-    enrolmentsText,
-    '',
-    `Environment: ${env.nodeEnv}`,
-    `Sent at: ${timestamp}`,
-  ].filter(Boolean);
-
-  const text = textSections.join('\n');
-
-  return { html, text };
+/** @type {import('./index.js').EmailTemplateDefinition<StudentSubmissionEmail>} */
+export const studentSubmissionTemplate = {
+  name: 'studentSubmission',
+  description: 'Staff alert for a new student registration',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    <h1 style="font-size: 20px;">{{t.heading}}</h1>
+    <p><strong>{{t.name}}:</strong> {{name}}</p>
+    <p><strong>{{t.nickname}}:</strong> {{nickname}}</p>
+    <p><strong>{{t.email}}:</strong> <a href="mailto:{{email}}">{{email}}</a></p>
+    {{#guardians}}
+      <p><strong>{{t.guardian}}:</strong> {{name}} ({{email}}){{#relationship}} &middot; {{relationship}}{{/relationship}}{{#primary}} &middot; {{t.primaryGuardian}}{{/primary}}</p>
+    {{/guardians}}
+    {{^guardians}}<p><strong>{{t.guardian}}:</strong> {{t.notProvided}}</p>{{/guardians}}
+    {{#meta}}{{> field}}{{/meta}}
+    <p><strong>{{t.source}}:</strong> {{source}}{{#sourceId}} (id: {{sourceId}}){{/sourceId}}</p>
+    <hr style="margin: 24px 0;" />
+    {{#enrolments}}
+      <section style="margin-bottom: 20px;">
+        <p><strong>{{label}}:</strong><br />{{subject}} &middot; {{country}} &middot; {{examBody}} ({{level}})</p>
+        {{#sections}}{{> list}}{{/sections}}
+      </section>
+    {{/enrolments}}
+    <hr style="margin: 24px 0;" />
+    {{> sentAt}}
+  `,
+  prepare: (payload, { t }) => ({
+    name: payload.name,
+    nickname: payload.nickname?.trim() || t('notProvided'),
+    email: payload.email,
+    guardians: (payload.guardians ?? []).map((guardian) => ({
+      name: guardian.name?.trim() || t('notProvided'),
+      email: guardian.email?.trim() || t('notProvided'),
+      relationship: guardian.relationship?.trim(),
+      primary: Boolean(guardian.primary),
+    })),
+    meta: toFields([
+      { label: t('age'), value: sanitizeNumber(payload.age) },
+      {
+        label: t('preferredColour'),
+        value: payload.preferredColourForDyslexia?.trim(),
+      },
+      { label: t('chatId'), value: payload.chatId },
+      { label: t('sessionId'), value: payload.sessionId },
+      { label: t('chatflowId'), value: payload.chatflowId },
+    ]),
+    source: payload.source,
+    sourceId: payload.sourceId,
+    enrolments: payload.enrolments.map((enrolment, index) => ({
+      label: t('enrolment', { number: index + 1 }),
+      subject: enrolment.subject,
+      country: enrolment.country,
+      examBody: enrolment.examBody,
+      level: enrolment.level,
+      sections: toSections(ENROLMENT_LISTS, enrolment, t),
+    })),
+  }),
+  sample: {
+    name: 'Sam Taylor',
+    nickname: 'Sam',
+    email: 'sam@example.com',
+    age: 15,
+    guardians: [
+      {
+        name: 'Jo Taylor',
+        email: 'jo@example.com',
+        relationship: 'mother',
+        primary: true,
+      },
+      { name: 'Alex Taylor', email: 'alex@example.com', relationship: 'father' },
+    ],
+    enrolments: [
+      {
+        subject: 'Mathematics',
+        country: 'UK',
+        examBody: 'AQA',
+        level: 'GCSE',
+        books: ['AQA GCSE Maths Higher'],
+        examDates: ['2026-06-01'],
+      },
+    ],
+    source: 'manual',
+  },
 };
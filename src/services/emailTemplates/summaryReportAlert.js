@@ -0,0 +1,57 @@
+import { toFields, toSections } from './helpers.js';
+
+const REPORT_LISTS = [
+  'participants',
+  'topics',
+  'scopeCovered',
+  'keyLearnings',
+  'misconceptionsClarified',
+  'studentStrengths',
+  'gapsNextPriorities',
+  'suggestedNextSteps',
+  'questions',
+  'compactRecap',
+];
+
+/** @type {import('./index.js').EmailTemplateDefinition<Record<string, any>>} */
+export const summaryReportAlertTemplate = {
+  name: 'summaryReportAlert',
+  description: 'Staff copy of every new summary report, including internal IDs',
+  layout: 'plain',
+  subject: '{{t.subject}}',
+  html: `
+    {{#details}}{{> field}}{{/details}}
+    {{#sections}}{{> list}}{{/sections}}
+    {{#context}}{{> field}}{{/context}}
+  `,
+  prepare: (report, { t }) => ({
+    title: report.title,
+    details: toFields([
+      {
+        label: t('source'),
+        value: report.context?.sourceId
+          ? `${report.context.source} (${report.context.sourceId})`
+          : report.context?.source,
+      },
+      { label: t('studentName'), value: report.identity?.name },
+      { label: t('studentEmail'), value: report.identity?.email },
+      { label: t('studentId'), value: report.studentId?.toString() },
+    ]),
+    sections: toSections(REPORT_LISTS, report, t),
+    context: toFields([
+      { label: t('chatId'), value: report.context?.chatId },
+      { label: t('sessionId'), value: report.context?.sessionId },
+      { label: t('chatflowId'), value: report.context?.chatflowId },
+    ]),
+  }),
+  sample: {
+    studentId: '665f1c2e9b1d8c0012345678',
+    title: 'Quadratic equations',
+    identity: { name: 'Sam Taylor', email: 'sam@example.com' },
+    context: { source: 'flowise', sourceId: 'abc123', chatId: 'chat-1' },
+    participants: ['Sam', 'Tutor'],
+    topics: ['Factorising', 'Completing the square'],
+    scopeCovered: ['AQA 8300 Algebra'],
+    keyLearnings: ['Spotting difference of two squares'],
+  },
+};
@@ -0,0 +1,109 @@
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * In-process bus for domain events (new issues, students, reports...).
+ * Controllers publish after a write succeeds; the `/events` stream and
+ * other consumers subscribe. A Mongo change-stream backed bus would only
+ * need to provide the same `publish`, `subscribe` and `replaySince`.
+ */
+
+export const EVENT_TOPICS = [
+  'issue.created',
+  'issue.updated',
+  'student.created',
+  'enrolment.added',
+  'summaryReport.created',
+];
+
+/**
+ * @typedef {Object} BusEvent
+ * @property {string} id `<epoch>-<sequence>`, increasing within a process
+ * @property {string} type one of `EVENT_TOPICS`
+ * @property {Record<string, unknown>} data
+ * @property {string} createdAt ISO timestamp
+ */
+
+// Sequence numbers restart with the process; the epoch lets replaySince
+// recognise ids handed out by a previous run.
+const epoch = Date.now().toString(36);
+let sequence = 0;
+
+/** @type {Set<(event: BusEvent) => void>} */
+const listeners = new Set();
+/** @type {BusEvent[]} most recent events, oldest first */
+const recent = [];
+
+const sequenceOf = (id) => Number(id.split('-')[1]);
+
+/**
+ * Publish an event to every subscriber. A failing subscriber is logged and
+ * never breaks the request that published.
+ * @param {string} type one of `EVENT_TOPICS`
+ * @param {Record<string, unknown>} data
+ * @returns {BusEvent}
+ */
+function publish(type, data) {
+  sequence += 1;
+  const event = {
+    id: `${epoch}-${sequence}`,
+    type,
+    data,
+    createdAt: new Date().toISOString(),
+  };
+
+  recent.push(event);
+  if (recent.length > env.eventsReplayBufferSize) {
+    recent.shift();
+  }
+
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.warn({ err: error, eventType: type }, 'Event listener failed');
+    }
+  }
+
+  return event;
+}
+
+/**
+ * @param {(event: BusEvent) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Buffered events published after `lastEventId`.
+ * @param {string} lastEventId
+ * @returns {BusEvent[] | null} null when events after that id are no longer
+ *   buffered (or it came from another process) and the client must resync
+ */
+function replaySince(lastEventId) {
+  const [idEpoch] = lastEventId.split('-');
+  const lastSequence = sequenceOf(lastEventId);
+  if (idEpoch !== epoch || !Number.isInteger(lastSequence)) {
+    return null;
+  }
+
+  const oldest = recent.length ? sequenceOf(recent[0].id) : sequence + 1;
+  if (lastSequence < oldest - 1 || lastSequence > sequence) {
+    return null;
+  }
+
+  return recent.filter((event) => sequenceOf(event.id) > lastSequence);
+}
+
+/** Id of the latest event, for clients that need a fresh resume point. */
+const latestId = () => `${epoch}-${sequence}`;
+
+export const eventBus = {
+  publish,
+  subscribe,
+  replaySince,
+  latestId,
+};
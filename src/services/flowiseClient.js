@@ -0,0 +1,64 @@
+import { env } from '../config/env.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * @typedef {Object} PredictionRequest
+ * @property {string} question
+ * @property {boolean} [streaming] ask Flowise for a `text/event-stream` reply
+ * @property {string} [chatId] continue an existing Flowise conversation
+ * @property {Record<string, unknown>} [overrideConfig]
+ */
+
+const isConfigured = () => Boolean(env.flowiseBaseUrl);
+
+/**
+ * Call the Flowise prediction API for a chatflow with the server-side API
+ * key. The caller reads (or streams) the returned response body.
+ * @param {string} chatflowId
+ * @param {PredictionRequest} body
+ * @param {{ signal?: AbortSignal }} [options] aborts the upstream call, e.g.
+ *   when the client disconnects
+ * @returns {Promise<Response>}
+ */
+async function predict(chatflowId, body, { signal } = {}) {
+  if (!isConfigured()) {
+    throw httpError(503, 'FLOWISE_NOT_CONFIGURED', 'Flowise is not configured');
+  }
+
+  const url = `${env.flowiseBaseUrl.replace(/\/+$/, '')}/api/v1/prediction/${encodeURIComponent(chatflowId)}`;
+  // Only the wait for response headers is bounded; streams may run longer
+  const timeout = new AbortController();
+  const timer = setTimeout(() => timeout.abort(), env.flowiseTimeoutMs);
+
+  try {
+    return await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: body.streaming ? 'text/event-stream' : 'application/json',
+        ...(env.flowiseApiKey
+          ? { Authorization: `Bearer ${env.flowiseApiKey}` }
+          : {}),
+      },
+      body: JSON.stringify(body),
+      signal: signal
+        ? AbortSignal.any([signal, timeout.signal])
+        : timeout.signal,
+    });
+  } catch (error) {
+    if (timeout.signal.aborted) {
+      throw httpError(504, 'FLOWISE_TIMEOUT', 'Flowise did not respond in time');
+    }
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw httpError(502, 'FLOWISE_UNAVAILABLE', 'Could not reach Flowise');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export const flowiseClient = {
+  isConfigured,
+  predict,
+};
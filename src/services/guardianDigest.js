@@ -0,0 +1,283 @@
+import { env } from '../config/env.js';
+import {
+  DIGEST_FREQUENCIES,
+  DIGEST_PERIOD_DAYS,
+  GuardianPreference,
+} from '../models/GuardianPreference.js';
+import { Student, findGuardian } from '../models/Student.js';
+import { SummaryReport } from '../models/SummaryReport.js';
+import { logger } from '../utils/logger.js';
+import { emailService } from './emailService.js';
+import { emailTemplateService } from './emailTemplateService.js';
+import { signSession } from './sessionTokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Scheduler runs are not exact; send a little early rather than a cycle late
+const DUE_SLACK_MS = 60 * 60 * 1000;
+const UNSUBSCRIBE_TTL_MINUTES = 365 * 24 * 60;
+
+let timer = null;
+
+const defaultFrequency = () =>
+  DIGEST_FREQUENCIES.includes(env.digestDefaultFrequency)
+    ? env.digestDefaultFrequency
+    : 'weekly';
+
+/**
+ * Current digest settings for a guardian, falling back to the defaults for
+ * guardians who never changed them.
+ * @param {string} email normalized guardian email
+ */
+export async function getDigestPreference(email) {
+  const stored = await GuardianPreference.findOne({ email }).lean();
+  return (
+    stored ?? {
+      email,
+      digestFrequency: defaultFrequency(),
+      lastDigestSentAt: null,
+    }
+  );
+}
+
+/**
+ * Signed link that turns digests off without needing a session.
+ * @param {string} email
+ * @returns {string}
+ */
+export function buildUnsubscribeUrl(email) {
+  const { token } = signSession(
+    { sub: 'digest_unsubscribe', email },
+    UNSUBSCRIBE_TTL_MINUTES,
+  );
+  return `${env.appUrl}${env.apiPrefix}/guardians/digest/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+// A guardian's own language wins; otherwise their first student's
+const guardianLocale = (students, email) =>
+  students
+    .map((student) => findGuardian(student, email)?.locale)
+    .find(Boolean) || students.find((student) => student.locale)?.locale;
+
+/**
+ * Render the digest for one guardian, or null when none of their students
+ * had a session in the period.
+ * @param {string} email normalized guardian email
+ * @param {{ periodDays: number; now: Date }} options
+ */
+export async function renderGuardianDigest(email, { periodDays, now }) {
+  const students = await Student.find({
+    'guardians.email': email,
+    deletedAt: null,
+  })
+    .select('_id name nickname locale guardians.email guardians.locale')
+    .lean();
+
+  if (!students.length) {
+    return null;
+  }
+
+  const reports = await SummaryReport.find({
+    studentId: { $in: students.map((student) => student._id) },
+    createdAt: { $gte: new Date(now.getTime() - periodDays * DAY_MS), $lte: now },
+  })
+    .sort({ createdAt: 1 })
+    .select(
+      'studentId title createdAt topics keyLearnings studentStrengths gapsNextPriorities',
+    )
+    .lean();
+
+  const withReports = students
+    .map((student) => ({
+      name: student.name,
+      nickname: student.nickname,
+      reports: reports.filter(
+        (report) => report.studentId.toString() === student._id.toString(),
+      ),
+    }))
+    .filter((student) => student.reports.length);
+
+  if (!withReports.length) {
+    return null;
+  }
+
+  const unsubscribeUrl = buildUnsubscribeUrl(email);
+  const rendered = await emailTemplateService.renderEmail(
+    'guardianDigest',
+    { periodDays, students: withReports, unsubscribeUrl },
+    { locale: guardianLocale(students, email) },
+  );
+  return {
+    ...rendered,
+    unsubscribeUrl,
+    reportCount: reports.length,
+  };
+}
+
+/**
+ * Mark a guardian's digest as sent for this cycle. Returns false when
+ * another run already claimed it.
+ * @param {string} email
+ * @param {Date} now
+ * @param {number} periodDays
+ */
+async function claimDigest(email, now, periodDays) {
+  const threshold = new Date(now.getTime() - periodDays * DAY_MS + DUE_SLACK_MS);
+  try {
+    const claimed = await GuardianPreference.findOneAndUpdate(
+      {
+        email,
+        $or: [
+          { lastDigestSentAt: null },
+          { lastDigestSentAt: { $lte: threshold } },
+        ],
+      },
+      {
+        $set: { lastDigestSentAt: now },
+        $setOnInsert: { digestFrequency: defaultFrequency() },
+      },
+      { upsert: true, new: true, lean: true },
+    );
+    return Boolean(claimed);
+  } catch (error) {
+    // Upsert raced with an existing, recently sent preference
+    if (error?.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Undo `claimDigest` after the digest could not be queued, so the next run
+ * tries again instead of skipping this cycle. Only resets a claim this run
+ * still holds.
+ * @param {string} email
+ * @param {Date} now the claim's timestamp
+ * @param {Date | null} previous `lastDigestSentAt` before the claim
+ */
+async function releaseDigest(email, now, previous) {
+  await GuardianPreference.updateOne(
+    { email, lastDigestSentAt: now },
+    { $set: { lastDigestSentAt: previous } },
+  );
+}
+
+/**
+ * Send (or, with `dryRun`, render) digests for every guardian that is due.
+ * Passing `email` limits the run to one guardian; a dry run for a single
+ * guardian renders even when they are not due so staff can preview it.
+ * @param {{ dryRun?: boolean; email?: string; now?: Date }} [options]
+ */
+export async function runGuardianDigests({
+  dryRun = false,
+  email,
+  now = new Date(),
+} = {}) {
+  const emails = email
+    ? [email]
+    : await Student.distinct('guardians.email', {
+        'guardians.email': { $ne: '' },
+        deletedAt: null,
+      });
+
+  const preferences = await GuardianPreference.find({
+    email: { $in: emails },
+  }).lean();
+  const byEmail = new Map(preferences.map((pref) => [pref.email, pref]));
+
+  const results = [];
+  for (const guardianEmail of emails) {
+    const pref = byEmail.get(guardianEmail);
+    const frequency = pref?.digestFrequency ?? defaultFrequency();
+    const periodDays = DIGEST_PERIOD_DAYS[frequency] ?? DIGEST_PERIOD_DAYS.weekly;
+    const last = pref?.lastDigestSentAt ? new Date(pref.lastDigestSentAt) : null;
+    const isDue =
+      frequency !== 'off' &&
+      (!last || now - last >= periodDays * DAY_MS - DUE_SLACK_MS);
+
+    if (!isDue && !(dryRun && email)) {
+      results.push({ email: guardianEmail, status: frequency === 'off' ? 'opted_out' : 'not_due' });
+      continue;
+    }
+
+    const digest = await renderGuardianDigest(guardianEmail, { periodDays, now });
+    if (!digest) {
+      results.push({ email: guardianEmail, status: 'no_reports' });
+      continue;
+    }
+
+    if (dryRun) {
+      results.push({
+        email: guardianEmail,
+        status: 'dry_run',
+        wouldSend: isDue,
+        subject: digest.subject,
+        html: digest.html,
+        text: digest.text,
+        reportCount: digest.reportCount,
+      });
+      continue;
+    }
+
+    if (!(await claimDigest(guardianEmail, now, periodDays))) {
+      results.push({ email: guardianEmail, status: 'not_due' });
+      continue;
+    }
+
+    const result = await emailService.send({
+      to: guardianEmail,
+      subject: digest.subject,
+      html: digest.html,
+      text: digest.text,
+      headers: {
+        'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+        // RFC 8058: mail clients POST to the link instead of opening it
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+      tags: [{ name: 'category', value: 'guardian_digest' }],
+      idempotencyKey: `guardian-digest/${guardianEmail}/${now.toISOString().slice(0, 10)}`,
+    });
+
+    // Suppressed recipients keep the claim; there is nothing to retry
+    if (!result.success && !result.skipped) {
+      await releaseDigest(guardianEmail, now, pref?.lastDigestSentAt ?? null);
+    }
+
+    results.push({
+      email: guardianEmail,
+      status: result.success ? 'queued' : 'failed',
+      reportCount: digest.reportCount,
+      ...(result.success ? {} : { error: result.error }),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Check for due digests on an interval. Safe to call more than once.
+ */
+export function startGuardianDigestScheduler() {
+  if (timer || !env.digestEnabled) {
+    return;
+  }
+
+  const tick = () =>
+    runGuardianDigests().catch((error) => {
+      logger.error({ err: error }, 'Guardian digest run failed.');
+    });
+
+  timer = setInterval(tick, env.digestCheckIntervalMinutes * 60 * 1000);
+  timer.unref();
+  logger.info(
+    { intervalMinutes: env.digestCheckIntervalMinutes },
+    'Guardian digest scheduler started',
+  );
+}
+
+export function stopGuardianDigestScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
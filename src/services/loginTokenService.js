@@ -0,0 +1,129 @@
+import { createHash, randomBytes, randomInt } from 'crypto';
+import { env } from '../config/env.js';
+import { LoginToken } from '../models/LoginToken.js';
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Token generators by format: long URL-safe tokens for magic links and
+ * six-digit codes for users to type in.
+ */
+const generators = {
+  link: () => randomBytes(32).toString('base64url'),
+  code: () => String(randomInt(0, 1_000_000)).padStart(6, '0'),
+};
+
+/**
+ * Create a one-time login token for an email, enforcing the per-email rate
+ * limit. The raw token is returned so it can be emailed; only its hash is
+ * stored. A new code retires the email's older codes, so guesses left on
+ * them cannot be used. Returns null when the email is over its limit;
+ * callers answer as they would for an unknown email, so the limit does not
+ * reveal which emails are registered.
+ * @param {{ purpose: string; email: string; format?: 'link' | 'code'; client?: { ip: string; userAgent: string } }} input
+ * @returns {Promise<{ token: string; expiresAt: Date } | null>}
+ */
+async function issue({ purpose, email, format = 'link', client }) {
+  const windowStart = new Date(
+    Date.now() - env.loginRateLimitWindowMinutes * 60 * 1000,
+  );
+  const recent = await LoginToken.countDocuments({
+    purpose,
+    email,
+    createdAt: { $gte: windowStart },
+  });
+
+  if (recent >= env.loginRateLimitMax) {
+    return null;
+  }
+
+  const token = generators[format]();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + env.loginTokenTtlMinutes * 60 * 1000);
+
+  if (format === 'code') {
+    await LoginToken.updateMany(
+      { purpose, email, usedAt: null, expiresAt: { $gt: now } },
+      { $set: { expiresAt: now } },
+    );
+  }
+
+  await LoginToken.create({
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt,
+    client,
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Atomically mark a token as used. Returns null for unknown, expired or
+ * already used tokens.
+ * @param {{ purpose: string; token: string }} input
+ */
+async function consume({ purpose, token }) {
+  return LoginToken.findOneAndUpdate(
+    {
+      purpose,
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true, lean: true },
+  );
+}
+
+/**
+ * Check a short code against the latest live code for an email. Every guess
+ * counts against that code, which stops working after
+ * `env.loginCodeMaxAttempts` guesses; older codes are never tried, so
+ * guesses do not carry over to them. The attempt is claimed atomically
+ * before the comparison, so parallel guesses cannot exceed the cap.
+ * @param {{ purpose: string; email: string; code: string }} input
+ */
+async function consumeCode({ purpose, email, code }) {
+  const now = new Date();
+  const latest = await LoginToken.findOne({
+    purpose,
+    email,
+    usedAt: null,
+    expiresAt: { $gt: now },
+  })
+    .sort({ createdAt: -1 })
+    .select('_id')
+    .lean();
+  if (!latest) {
+    return null;
+  }
+
+  const claimed = await LoginToken.findOneAndUpdate(
+    {
+      _id: latest._id,
+      usedAt: null,
+      expiresAt: { $gt: now },
+      attempts: { $lt: env.loginCodeMaxAttempts },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true, lean: true },
+  );
+
+  if (!claimed || claimed.tokenHash !== hashToken(code)) {
+    return null;
+  }
+
+  return LoginToken.findOneAndUpdate(
+    { _id: claimed._id, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true, lean: true },
+  );
+}
+
+export const loginTokenService = {
+  issue,
+  consume,
+  consumeCode,
+};
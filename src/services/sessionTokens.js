@@ -0,0 +1,96 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+let fallbackSecret = '';
+
+const getSecret = () => {
+  if (env.sessionSecret) {
+    return env.sessionSecret;
+  }
+
+  if (env.nodeEnv === 'production') {
+    throw new Error('SESSION_SECRET is required in production');
+  }
+
+  if (!fallbackSecret) {
+    fallbackSecret = randomBytes(32).toString('hex');
+    logger.warn(
+      'SESSION_SECRET not configured; using an ephemeral secret. Sessions will not survive a restart.',
+    );
+  }
+
+  return fallbackSecret;
+};
+
+const sign = (value) =>
+  createHmac('sha256', getSecret()).update(value).digest('base64url');
+
+/**
+ * @typedef {Object} SessionClaims
+ * @property {string} sub session subject, e.g. 'guardian'
+ * @property {number} iat issued-at (unix seconds)
+ * @property {number} exp expiry (unix seconds)
+ */
+
+/**
+ * Create a compact signed session token (`<payload>.<signature>`).
+ * @param {Record<string, unknown> & {sub: string}} claims
+ * @param {number} ttlMinutes
+ * @returns {{ token: string; expiresAt: Date }}
+ */
+export function signSession(claims, ttlMinutes) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + Math.round(ttlMinutes * 60);
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat, exp })).toString(
+    'base64url',
+  );
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Verify a session token and return its claims, or null when the token is
+ * malformed, tampered with, expired or issued for another subject.
+ * @param {string} token
+ * @param {string} subject expected `sub` claim
+ * @returns {(SessionClaims & Record<string, any>) | null}
+ */
+export function verifySession(token, subject) {
+  const [payload, signature] = (token ?? '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (
+    expected.length !== provided.length ||
+    !timingSafeEqual(expected, provided)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.sub !== subject || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a bearer token from the Authorization header.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+export function readBearerToken(req) {
+  const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+  return scheme?.toLowerCase() === 'bearer' ? token?.trim() ?? '' : '';
+}
@@ -0,0 +1,378 @@
+import { SummaryReport } from '../models/SummaryReport.js';
+import { dateRange } from '../utils/listQuery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Case- and whitespace-insensitive key for free-text report entries.
+ * @param {unknown} expression
+ */
+const normalized = (expression) => ({
+  $toLower: { $trim: { input: expression } },
+});
+
+/**
+ * Unwind a string array and key each entry with `normalized`, dropping
+ * blanks.
+ * @param {string} field
+ */
+const unwindKeyed = (field) => [
+  { $unwind: `$${field}` },
+  { $addFields: { key: normalized(`$${field}`) } },
+  { $match: { key: { $ne: '' } } },
+];
+
+/**
+ * Work out which enrolment a report belongs to. Reports carry the chatflow
+ * that produced them; when several enrolments share a chatflow, the one
+ * whose exam body appears in the report's sections wins.
+ * @param {any[]} enrolments
+ */
+function enrolmentIdExpression(enrolments) {
+  const assigned = enrolments.filter((enrolment) => enrolment.chatflowId);
+  if (!assigned.length) {
+    return { $literal: null };
+  }
+
+  const sameChatflow = (enrolment) => ({
+    $eq: ['$context.chatflowId', enrolment.chatflowId],
+  });
+  const boards = {
+    $map: {
+      input: { $ifNull: ['$sections', []] },
+      as: 'section',
+      in: normalized('$$section.board'),
+    },
+  };
+
+  return {
+    $switch: {
+      branches: [
+        ...assigned.map((enrolment) => ({
+          case: {
+            $and: [
+              sameChatflow(enrolment),
+              { $in: [enrolment.examBody.trim().toLowerCase(), boards] },
+            ],
+          },
+          then: enrolment._id,
+        })),
+        ...assigned.map((enrolment) => ({
+          case: sameChatflow(enrolment),
+          then: enrolment._id,
+        })),
+      ],
+      default: null,
+    },
+  };
+}
+
+/**
+ * Whether one string contains the other.
+ * @param {unknown} a
+ * @param {unknown} b
+ */
+const eitherContains = (a, b) => ({
+  $or: [
+    { $gte: [{ $indexOfCP: [a, b] }, 0] },
+    { $gte: [{ $indexOfCP: [b, a] }, 0] },
+  ],
+});
+
+/**
+ * Pair each gap with the first later session whose topics or scope contain
+ * it (or are contained in it), keeping only the gaps that found one. Runs
+ * after `$facet`, over its `gaps` and `coverage` outputs.
+ */
+function gapsCoveredExpression() {
+  const coveredBy = {
+    $first: {
+      $filter: {
+        input: '$coverage',
+        as: 'covered',
+        cond: {
+          $and: [
+            { $gt: ['$$covered.createdAt', '$$gap.raisedAt'] },
+            eitherContains('$$gap._id', '$$covered.key'),
+          ],
+        },
+      },
+    },
+  };
+
+  return {
+    $filter: {
+      input: {
+        $map: {
+          input: '$gaps',
+          as: 'gap',
+          in: {
+            gap: '$$gap.gap',
+            enrolmentId: '$$gap.enrolmentId',
+            raisedAt: '$$gap.raisedAt',
+            raisedIn: '$$gap.raisedIn',
+            coveredBy,
+          },
+        },
+      },
+      as: 'gap',
+      cond: { $ne: [{ $type: '$$gap.coveredBy' }, 'missing'] },
+    },
+  };
+}
+
+/**
+ * One pass over the student's reports, oldest first.
+ * @param {any} student lean Student document
+ * @param {Record<string, Date> | undefined} createdAt
+ */
+function progressPipeline(student, createdAt) {
+  return [
+    {
+      $match: {
+        studentId: student._id,
+        ...(createdAt ? { createdAt } : {}),
+      },
+    },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $project: {
+        title: 1,
+        createdAt: 1,
+        enrolmentId: enrolmentIdExpression(student.enrolments ?? []),
+        topics: { $ifNull: ['$topics', []] },
+        covered: {
+          $concatArrays: [
+            { $ifNull: ['$topics', []] },
+            { $ifNull: ['$scopeCovered', []] },
+          ],
+        },
+        misconceptions: { $ifNull: ['$misconceptionsClarified', []] },
+        gaps: { $ifNull: ['$gapsNextPriorities', []] },
+      },
+    },
+    {
+      $facet: {
+        timeline: [
+          {
+            $group: {
+              _id: '$enrolmentId',
+              sessions: { $sum: 1 },
+              firstSessionAt: { $min: '$createdAt' },
+              lastSessionAt: { $max: '$createdAt' },
+              timeline: {
+                $push: {
+                  reportId: '$_id',
+                  title: '$title',
+                  createdAt: '$createdAt',
+                  topics: '$topics',
+                },
+              },
+            },
+          },
+        ],
+        topics: [
+          ...unwindKeyed('topics'),
+          {
+            $group: {
+              _id: { enrolmentId: '$enrolmentId', key: '$key' },
+              topic: { $first: { $trim: { input: '$topics' } } },
+              reportIds: { $addToSet: '$_id' },
+              firstCoveredAt: { $min: '$createdAt' },
+              lastCoveredAt: { $max: '$createdAt' },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              enrolmentId: '$_id.enrolmentId',
+              topic: 1,
+              sessions: { $size: '$reportIds' },
+              firstCoveredAt: 1,
+              lastCoveredAt: 1,
+            },
+          },
+          { $sort: { sessions: -1, lastCoveredAt: -1 } },
+        ],
+        recurringMisconceptions: [
+          ...unwindKeyed('misconceptions'),
+          {
+            $group: {
+              _id: '$key',
+              misconception: {
+                $first: { $trim: { input: '$misconceptions' } },
+              },
+              reportIds: { $addToSet: '$_id' },
+              enrolmentIds: { $addToSet: '$enrolmentId' },
+              firstSeenAt: { $min: '$createdAt' },
+              lastSeenAt: { $max: '$createdAt' },
+            },
+          },
+          { $addFields: { sessions: { $size: '$reportIds' } } },
+          { $match: { sessions: { $gte: 2 } } },
+          { $project: { _id: 0, reportIds: 0 } },
+          { $sort: { sessions: -1, lastSeenAt: -1 } },
+        ],
+        gaps: [
+          ...unwindKeyed('gaps'),
+          {
+            $group: {
+              _id: '$key',
+              gap: { $first: { $trim: { input: '$gaps' } } },
+              enrolmentId: { $first: '$enrolmentId' },
+              raisedAt: { $min: '$createdAt' },
+              raisedIn: { $first: '$_id' },
+            },
+          },
+        ],
+        coverage: [
+          ...unwindKeyed('covered'),
+          {
+            $project: {
+              _id: 0,
+              key: 1,
+              topic: { $trim: { input: '$covered' } },
+              reportId: '$_id',
+              createdAt: 1,
+            },
+          },
+        ],
+        perWeek: [
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: '$createdAt',
+                  unit: 'week',
+                  startOfWeek: 'monday',
+                },
+              },
+              sessions: { $sum: 1 },
+            },
+          },
+          { $project: { _id: 0, weekStart: '$_id', sessions: 1 } },
+          { $sort: { weekStart: 1 } },
+        ],
+      },
+    },
+    {
+      $project: {
+        timeline: 1,
+        topics: 1,
+        recurringMisconceptions: 1,
+        perWeek: 1,
+        gapsCovered: gapsCoveredExpression(),
+      },
+    },
+  ];
+}
+
+/**
+ * Mean gap between consecutive sessions, in days to one decimal place.
+ * @param {number} sessions
+ * @param {Date | null} first
+ * @param {Date | null} last
+ * @returns {number | null}
+ */
+function averageDaysBetween(sessions, first, last) {
+  if (sessions < 2) {
+    return null;
+  }
+  const days = (last.getTime() - first.getTime()) / DAY_MS / (sessions - 1);
+  return Math.round(days * 10) / 10;
+}
+
+/**
+ * @param {any} group timeline facet entry, if the bucket had sessions
+ * @param {any[]} topics topic facet entries for the bucket
+ */
+function buildBucket(group, topics) {
+  const sessions = group?.sessions ?? 0;
+  const firstSessionAt = group?.firstSessionAt ?? null;
+  const lastSessionAt = group?.lastSessionAt ?? null;
+
+  return {
+    sessions,
+    firstSessionAt,
+    lastSessionAt,
+    averageDaysBetweenSessions: averageDaysBetween(
+      sessions,
+      firstSessionAt,
+      lastSessionAt,
+    ),
+    timeline: group?.timeline ?? [],
+    topics: topics.map(
+      ({ topic, sessions: count, firstCoveredAt, lastCoveredAt }) => ({
+        topic,
+        sessions: count,
+        firstCoveredAt,
+        lastCoveredAt,
+      }),
+    ),
+  };
+}
+
+/**
+ * Aggregate a student's summary reports into a progress view: a session
+ * timeline and topic coverage per enrolment, misconceptions clarified in
+ * more than one session, earlier gaps that later sessions covered, and how
+ * often sessions happen. Reports that match no enrolment are grouped under
+ * `unassigned`.
+ * @param {any} student lean Student document with `enrolments`
+ * @param {{ from?: Date; to?: Date }} [range] inclusive `createdAt` bounds
+ */
+export async function buildStudentProgress(student, { from, to } = {}) {
+  const [result] = await SummaryReport.aggregate(
+    progressPipeline(student, dateRange(from, to)),
+  );
+  const { timeline, topics, recurringMisconceptions, gapsCovered, perWeek } =
+    result;
+
+  const key = (id) => (id ? String(id) : null);
+  const groups = new Map(timeline.map((group) => [key(group._id), group]));
+  const topicsFor = (id) =>
+    topics.filter((topic) => key(topic.enrolmentId) === id);
+
+  const enrolments = (student.enrolments ?? []).map((enrolment) => ({
+    enrolmentId: enrolment._id,
+    subject: enrolment.subject,
+    examBody: enrolment.examBody,
+    level: enrolment.level,
+    status: enrolment.status ?? 'active',
+    ...buildBucket(
+      groups.get(String(enrolment._id)),
+      topicsFor(String(enrolment._id)),
+    ),
+  }));
+
+  const total = timeline.reduce((sum, group) => sum + group.sessions, 0);
+  const firstSessionAt = total
+    ? new Date(Math.min(...timeline.map((group) => group.firstSessionAt)))
+    : null;
+  const lastSessionAt = total
+    ? new Date(Math.max(...timeline.map((group) => group.lastSessionAt)))
+    : null;
+
+  return {
+    studentId: student._id,
+    from: from ?? null,
+    to: to ?? null,
+    frequency: {
+      sessions: total,
+      firstSessionAt,
+      lastSessionAt,
+      averageDaysBetweenSessions: averageDaysBetween(
+        total,
+        firstSessionAt,
+        lastSessionAt,
+      ),
+      perWeek,
+    },
+    enrolments,
+    unassigned: groups.has(null)
+      ? buildBucket(groups.get(null), topicsFor(null))
+      : null,
+    recurringMisconceptions,
+    gapsCovered,
+  };
+}
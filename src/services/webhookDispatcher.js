@@ -0,0 +1,321 @@
+import { createHmac } from 'crypto';
+import { env } from '../config/env.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { logger } from '../utils/logger.js';
+import { eventBus } from './eventBus.js';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+// A delivery stuck in 'delivering' longer than this is assumed abandoned
+const DELIVERING_LEASE_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const MAX_LOGGED_ATTEMPTS = 20;
+
+let timer = null;
+let unsubscribe = null;
+let draining = false;
+
+/**
+ * Sign a delivery the same way Flowise signs calls to us: HMAC-SHA256 of
+ * `${timestamp}.${body}`, hex encoded.
+ * @param {string} secret
+ * @param {string} timestamp unix seconds
+ * @param {string} body
+ * @returns {string}
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Exponential backoff: base, 2x base, 4x base... capped at six hours.
+ * @param {number} attempts attempts made so far (>= 1)
+ * @returns {number}
+ */
+export const retryDelayMs = (attempts) =>
+  Math.min(
+    env.webhookDeliveryRetryBaseMs * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_MS,
+  );
+
+/**
+ * JSON body sent to subscribers for a bus event.
+ * @param {import('./eventBus.js').BusEvent} event
+ */
+const buildBody = (event) =>
+  JSON.stringify({
+    id: event.id,
+    type: event.type,
+    createdAt: event.createdAt,
+    data: event.data,
+  });
+
+/**
+ * Queue a delivery for every active subscription to the event's type.
+ * @param {import('./eventBus.js').BusEvent} event
+ * @returns {Promise<number>} deliveries queued
+ */
+export async function enqueueWebhookDeliveries(event) {
+  const subscriptions = await WebhookSubscription.find({
+    active: true,
+    eventTypes: event.type,
+  })
+    .select('_id')
+    .lean();
+
+  if (!subscriptions.length) {
+    return 0;
+  }
+
+  const body = buildBody(event);
+  await WebhookDelivery.insertMany(
+    subscriptions.map((subscription) => ({
+      subscriptionId: subscription._id,
+      eventType: event.type,
+      body,
+      maxAttempts: env.webhookDeliveryMaxAttempts,
+    })),
+  );
+  return subscriptions.length;
+}
+
+/**
+ * POST a delivery body to a subscription once.
+ * @param {{ _id: unknown; url: string; secret: string }} subscription
+ * @param {{ _id: unknown; eventType: string; body: string }} delivery
+ * @returns {Promise<{ at: Date; statusCode: number; durationMs: number; error: string }>}
+ */
+async function attempt(subscription, delivery) {
+  const at = new Date();
+  const timestamp = Math.floor(at.getTime() / 1000).toString();
+  const signature = signWebhookPayload(
+    subscription.secret,
+    timestamp,
+    delivery.body,
+  );
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'flowise-api-webhooks',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.eventType,
+        [WEBHOOK_TIMESTAMP_HEADER]: timestamp,
+        [WEBHOOK_SIGNATURE_HEADER]: `sha256=${signature}`,
+      },
+      body: delivery.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(env.webhookDeliveryTimeoutMs),
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => undefined);
+
+    return {
+      at,
+      statusCode: response.status,
+      durationMs: Date.now() - at.getTime(),
+      error: response.ok ? '' : `HTTP ${response.status}`,
+    };
+  } catch (error) {
+    return {
+      at,
+      statusCode: 0,
+      durationMs: Date.now() - at.getTime(),
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * Record an attempt on a delivery and work out its next status.
+ * @param {any} delivery lean WebhookDelivery document
+ * @param {Awaited<ReturnType<typeof attempt>>} result
+ */
+async function recordAttempt(delivery, result) {
+  const attempts = delivery.attempts + 1;
+  const delivered = !result.error;
+  const exhausted =
+    !delivered && (delivery.test || attempts >= delivery.maxAttempts);
+
+  const updated = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: delivered ? 'delivered' : exhausted ? 'dead' : 'pending',
+        attempts,
+        lockedAt: null,
+        lastStatusCode: result.statusCode,
+        lastError: result.error,
+        ...(delivered
+          ? { deliveredAt: result.at }
+          : { nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)) }),
+      },
+      $push: {
+        attemptLog: { $each: [result], $slice: -MAX_LOGGED_ATTEMPTS },
+      },
+    },
+    { new: true, lean: true },
+  );
+
+  if (!delivered) {
+    logger.warn(
+      {
+        webhookDeliveryId: delivery._id,
+        statusCode: result.statusCode,
+        error: result.error,
+        attempts,
+        dead: exhausted,
+      },
+      exhausted
+        ? 'Webhook delivery moved to dead-letter after final attempt.'
+        : 'Webhook delivery failed; will retry.',
+    );
+  }
+
+  return updated;
+}
+
+/**
+ * Lock the next due delivery so only one worker sends it.
+ */
+async function claimNext() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        {
+          status: 'delivering',
+          lockedAt: { $lte: new Date(now.getTime() - DELIVERING_LEASE_MS) },
+        },
+      ],
+    },
+    { $set: { status: 'delivering', lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 }, lean: true },
+  );
+}
+
+/**
+ * Attempt one claimed delivery.
+ * @param {any} delivery lean WebhookDelivery document
+ */
+async function deliver(delivery) {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscriptionId,
+  ).lean();
+
+  if (!subscription?.active) {
+    // Deleted or paused since the event was queued
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: 'dead',
+          lockedAt: null,
+          lastError: 'Subscription is no longer active',
+        },
+      },
+    );
+    return;
+  }
+
+  await recordAttempt(delivery, await attempt(subscription, delivery));
+}
+
+/**
+ * Send a `webhook.test` event to a subscription right away, once, and
+ * return the logged delivery.
+ * @param {any} subscription lean WebhookSubscription document
+ */
+export async function sendTestWebhook(subscription) {
+  const body = buildBody({
+    id: `test-${Date.now().toString(36)}`,
+    type: 'webhook.test',
+    createdAt: new Date().toISOString(),
+    data: { subscriptionId: subscription._id.toString() },
+  });
+
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: subscription._id,
+    eventType: 'webhook.test',
+    body,
+    test: true,
+    status: 'delivering',
+    lockedAt: new Date(),
+    maxAttempts: 1,
+  });
+
+  return recordAttempt(
+    delivery.toObject(),
+    await attempt(subscription, delivery),
+  );
+}
+
+/**
+ * Send every delivery that is currently due.
+ * @returns {Promise<number>} number of deliveries processed
+ */
+export async function drainWebhookDeliveries() {
+  if (draining) {
+    return 0;
+  }
+
+  draining = true;
+  let processed = 0;
+  try {
+    for (let queued = await claimNext(); queued; queued = await claimNext()) {
+      await deliver(queued);
+      processed += 1;
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Webhook dispatcher failed.');
+  } finally {
+    draining = false;
+  }
+
+  return processed;
+}
+
+/**
+ * Queue deliveries for bus events and start polling for due ones. Safe to
+ * call more than once.
+ */
+export function startWebhookDispatcher() {
+  if (timer) {
+    return;
+  }
+
+  unsubscribe = eventBus.subscribe((event) => {
+    enqueueWebhookDeliveries(event)
+      .then((queued) => (queued ? drainWebhookDeliveries() : 0))
+      .catch((error) => {
+        logger.error(
+          { err: error, eventType: event.type },
+          'Failed to queue webhook deliveries',
+        );
+      });
+  });
+
+  timer = setInterval(drainWebhookDeliveries, env.webhookDeliveryPollMs);
+  timer.unref();
+  logger.info(
+    { pollMs: env.webhookDeliveryPollMs },
+    'Webhook dispatcher started',
+  );
+}
+
+export function stopWebhookDispatcher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  unsubscribe?.();
+  unsubscribe = null;
+}
@@ -0,0 +1,58 @@
+/**
+ * Version-based ETags for optimistic concurrency. A document's `version`
+ * goes up by one on every write; clients send the ETag they last saw in
+ * `If-Match` and the write only applies if it still matches.
+ */
+
+/**
+ * @typedef {'*' | number[]} IfMatch `*` matches any version
+ */
+
+/**
+ * @param {number | undefined} version documents written before versioning
+ *   count as version 0
+ * @returns {string}
+ */
+export const formatEtag = (version) => `"${version ?? 0}"`;
+
+/**
+ * Parse an `If-Match` header such as `"3"`, `W/"3", "4"` or `*`. If-Match
+ * uses strong comparison (RFC 9110), so weak tags are accepted but match no
+ * version, and a header of only weak tags fails with 412.
+ * @param {string} header
+ * @returns {IfMatch | null} null when the header is malformed
+ */
+export function parseIfMatch(header) {
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  const tags = header.split(',').map((tag) => /^(W\/)?"(\d+)"$/.exec(tag.trim()));
+  if (tags.includes(null)) {
+    return null;
+  }
+  return tags.filter(([, weak]) => !weak).map(([, , version]) => Number(version));
+}
+
+/**
+ * @param {IfMatch} ifMatch
+ * @param {number | undefined} version
+ */
+export const matchesVersion = (ifMatch, version) =>
+  ifMatch === '*' || ifMatch.includes(version ?? 0);
+
+/**
+ * Query condition matching the versions in `If-Match`.
+ * @param {IfMatch | number} ifMatch a single number pins the exact version
+ * @returns {Record<string, unknown>}
+ */
+export function versionFilter(ifMatch) {
+  if (ifMatch === '*') {
+    return {};
+  }
+  const versions = Array.isArray(ifMatch) ? ifMatch : [ifMatch];
+  // Unversioned documents have no `version` field; null matches those
+  return {
+    version: { $in: versions.includes(0) ? [...versions, null] : versions },
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Build an error the shared `errorHandler` turns into a structured response.
+ * @param {number} status HTTP status code
+ * @param {string} code machine-readable error code
+ * @param {string} message human-readable message
+ * @param {unknown} [details] optional extra context for the client
+ * @returns {Error & {status: number, code: string, details?: unknown}}
+ */
+export function httpError(status, code, message, details) {
+  const error = /** @type {Error & {status: number, code: string, details?: unknown}} */ (
+    new Error(message)
+  );
+  error.status = status;
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
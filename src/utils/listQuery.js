@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { env } from '../config/env.js';
+import { httpError } from './httpError.js';
+
+const MAX_LIMIT = 200;
+
+/**
+ * Query-string options shared by every list endpoint.
+ */
+export const listQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(50),
+  cursor: z.string().trim().min(1).optional(),
+  order: z.enum(['asc', 'desc']).default('desc'),
+  includeTotal: z
+    .enum(['true', 'false', '1', '0'])
+    .optional()
+    .transform((value) => value === 'true' || value === '1'),
+});
+
+/**
+ * @typedef {import('zod').infer<typeof listQuerySchema>} ListQueryOptions
+ */
+
+/**
+ * Encode the position of a document as an opaque cursor.
+ * @param {{ _id: unknown; createdAt: Date | string }} doc
+ * @returns {string}
+ */
+export function encodeCursor(doc) {
+  return Buffer.from(
+    JSON.stringify({
+      c: new Date(doc.createdAt).toISOString(),
+      i: String(doc._id),
+    }),
+  ).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by `encodeCursor`.
+ * @param {string} cursor
+ * @returns {{ createdAt: Date; id: import('mongoose').Types.ObjectId }}
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(i)) {
+      throw new Error('Malformed cursor');
+    }
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch {
+    throw httpError(400, 'INVALID_CURSOR', 'Cursor is invalid');
+  }
+}
+
+/**
+ * Case-insensitive exact match for free-text fields such as subject names.
+ * @param {string} value
+ * @returns {RegExp}
+ */
+export function exactMatch(value) {
+  const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Build a `createdAt` range filter from optional ISO dates.
+ * @param {Date | undefined} from inclusive lower bound
+ * @param {Date | undefined} to inclusive upper bound
+ * @returns {Record<string, Date> | undefined}
+ */
+export function dateRange(from, to) {
+  if (!from && !to) {
+    return undefined;
+  }
+
+  return {
+    ...(from ? { $gte: from } : {}),
+    ...(to ? { $lte: to } : {}),
+  };
+}
+
+/**
+ * Run a cursor-paginated query ordered by `createdAt`, then `_id` to break
+ * ties between documents created in the same millisecond.
+ * @param {import('mongoose').Model<any>} model
+ * @param {Record<string, unknown>} filter
+ * @param {ListQueryOptions} options
+ * @returns {Promise<{ items: any[]; nextCursor: string | null; total?: number }>}
+ */
+export async function paginate(model, filter, options) {
+  const { limit, cursor, order, includeTotal } = options;
+  const direction = order === 'asc' ? 1 : -1;
+  const comparator = direction === 1 ? '$gt' : '$lt';
+
+  const conditions = [filter];
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    conditions.push({
+      $or: [
+        { createdAt: { [comparator]: position.createdAt } },
+        { createdAt: position.createdAt, _id: { [comparator]: position.id } },
+      ],
+    });
+  }
+
+  const query = model
+    .find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1)
+    .lean();
+
+  const [rows, total] = await Promise.all([
+    query,
+    includeTotal ? model.countDocuments(filter) : undefined,
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    ...(total !== undefined ? { total } : {}),
+  };
+}
+
+/**
+ * Send a page from a list endpoint that used to answer with a bare array
+ * (students, issues, summary reports). The `{ items, nextCursor, total }`
+ * envelope is a breaking change for those clients, so with
+ * `LEGACY_LIST_RESPONSES=true` the items go out as a bare array, with the
+ * cursor and total in `X-Next-Cursor` and `X-Total-Count` and a
+ * `Deprecation` header.
+ * @param {import('express').Response} res
+ * @param {{ items: any[]; nextCursor: string | null; total?: number }} page
+ */
+export function sendLegacyListPage(res, page) {
+  if (!env.legacyListResponses) {
+    res.json(page);
+    return;
+  }
+
+  res.set('Deprecation', 'true');
+  if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor);
+  if (page.total !== undefined) res.set('X-Total-Count', String(page.total));
+  res.json(page.items);
+}
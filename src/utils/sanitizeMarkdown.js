@@ -0,0 +1,86 @@
+// Link targets may only use these schemes; relative links and fragments
+// have no scheme and are always allowed
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto']);
+
+// Named entities browsers decode inside URLs that can hide a scheme
+const URL_ENTITIES = {
+  colon: ':',
+  tab: '\t',
+  newline: '\n',
+  sol: '/',
+  amp: '&',
+};
+
+const HTML_TAG = /<\/?[a-z][^>]*>/gi;
+const INLINE_LINK = /\]\(((?:[^()]|\([^()]*\))*)\)/g;
+const REFERENCE_DEFINITION = /^( {0,3}\[[^\]\n]+\]:)[ \t]*(.*)$/gm;
+
+/**
+ * Decode the entities a browser would decode in an attribute before it
+ * reads the scheme. Code points outside Unicode are left as they are.
+ * @param {string} value
+ */
+const decodeUrlEntities = (value) =>
+  value.replace(/&(#x?[0-9a-f]+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] !== '#') {
+      return URL_ENTITIES[entity.toLowerCase()] ?? match;
+    }
+    const code =
+      entity[1].toLowerCase() === 'x'
+        ? Number.parseInt(entity.slice(2), 16)
+        : Number.parseInt(entity.slice(1), 10);
+    return code >= 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+
+/**
+ * Whether a link target uses an allowed scheme (or none). Entities are
+ * decoded and whitespace and control characters dropped first, the way
+ * browsers read `java\tscript:` or `javascript&#58;`.
+ * @param {string} target
+ */
+export function isSafeLinkTarget(target) {
+  const normalized = decodeUrlEntities(target)
+    .replace(/[\u0000- \u007f-\u009f]/g, '')
+    .replace(/^<|>$/g, '')
+    .toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/)?.[1];
+  return !scheme || SAFE_SCHEMES.has(scheme);
+}
+
+/**
+ * Strip tags until none are left, so fragments such as `<<img>img ...>`
+ * cannot reassemble into a tag, then escape any `<` that could still open
+ * one.
+ * @param {string} value
+ */
+function stripTags(value) {
+  let previous;
+  let current = value;
+  do {
+    previous = current;
+    current = current
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|iframe|object|embed)[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(HTML_TAG, '');
+  } while (current !== previous);
+
+  return current.replace(/<(?=[a-z!?/])/gi, '&lt;');
+}
+
+/**
+ * Make user-supplied markdown safe to store and render: raw HTML tags are
+ * removed (their text content is kept) and inline, image and reference
+ * links whose target is not http(s), mailto or relative are pointed at `#`.
+ * @param {string} input
+ * @returns {string}
+ */
+export function sanitizeMarkdown(input) {
+  return stripTags(String(input ?? '').replace(/\r\n?/g, '\n'))
+    .replace(INLINE_LINK, (match, target) =>
+      isSafeLinkTarget(target) ? match : '](#)',
+    )
+    .replace(REFERENCE_DEFINITION, (match, label, target) =>
+      isSafeLinkTarget(target) ? match : `${label} #`,
+    )
+    .trim();
+}
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { env } from '../src/config/env.js';
+import {
+  CHATFLOW_HEADER,
+  SIGNATURE_HEADER,
+  signFlowisePayload,
+  TIMESTAMP_HEADER,
+  verifyFlowiseSignature,
+} from '../src/middlewares/flowiseSignature.js';
+
+const SECRET = 'chatflow-secret';
+
+let delivery = 0;
+
+/**
+ * A signed webhook request. Each call gets its own body (and therefore its
+ * own signature) unless one is passed, since seen signatures are remembered
+ * for the whole test run.
+ */
+function signedRequest({
+  body = { id: '', payload: { note: `delivery ${++delivery}` } },
+  headers = {},
+  secret = SECRET,
+  timestamp = String(Math.floor(Date.now() / 1000)),
+} = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    path: '/flowise/issues',
+    body,
+    rawBody,
+    headers: {
+      [CHATFLOW_HEADER]: 'cf1',
+      [TIMESTAMP_HEADER]: timestamp,
+      [SIGNATURE_HEADER]: signFlowisePayload(secret, timestamp, rawBody),
+      ...headers,
+    },
+  };
+}
+
+/** Run the middleware and return what it passed to `next`. */
+function verify(req) {
+  let result;
+  verifyFlowiseSignature(req, {}, (error) => {
+    result = error ?? 'next';
+  });
+  return result;
+}
+
+describe('verifyFlowiseSignature', () => {
+  const { flowiseWebhookSecrets, nodeEnv } = env;
+
+  beforeEach(() => {
+    env.flowiseWebhookSecrets = { cf1: SECRET };
+    env.nodeEnv = 'test';
+  });
+
+  afterEach(() => {
+    env.flowiseWebhookSecrets = flowiseWebhookSecrets;
+    env.nodeEnv = nodeEnv;
+  });
+
+  it('lets a correctly signed request through', () => {
+    assert.equal(verify(signedRequest()), 'next');
+  });
+
+  it('accepts the signature with a sha256= prefix', () => {
+    const req = signedRequest();
+    req.headers[SIGNATURE_HEADER] = `sha256=${req.headers[SIGNATURE_HEADER]}`;
+    assert.equal(verify(req), 'next');
+  });
+
+  it('refuses a body signed with another secret', () => {
+    const error = verify(signedRequest({ secret: 'wrong' }));
+    assert.equal(error.code, 'WEBHOOK_SIGNATURE_INVALID');
+    assert.equal(error.status, 401);
+  });
+
+  it('refuses a body changed after signing', () => {
+    const req = signedRequest();
+    req.rawBody = Buffer.from(`${req.rawBody} `);
+    assert.equal(verify(req).code, 'WEBHOOK_SIGNATURE_INVALID');
+  });
+
+  it('refuses requests without the signature headers', () => {
+    const req = signedRequest();
+    delete req.headers[SIGNATURE_HEADER];
+    assert.equal(verify(req).code, 'WEBHOOK_SIGNATURE_MISSING');
+  });
+
+  it('refuses timestamps outside the tolerance window', () => {
+    const stale = Math.floor(Date.now() / 1000) - env.webhookToleranceSeconds - 60;
+    const error = verify(signedRequest({ timestamp: String(stale) }));
+    assert.equal(error.code, 'WEBHOOK_TIMESTAMP_EXPIRED');
+  });
+
+  it('refuses chatflows without a secret outside development', () => {
+    const error = verify(signedRequest({ headers: { [CHATFLOW_HEADER]: 'cf2' } }));
+    assert.equal(error.code, 'WEBHOOK_SECRET_NOT_CONFIGURED');
+  });
+
+  it('lets unsigned chatflows through in development', () => {
+    env.nodeEnv = 'development';
+    const req = signedRequest({ headers: { [CHATFLOW_HEADER]: 'cf2' } });
+    delete req.headers[SIGNATURE_HEADER];
+    assert.equal(verify(req), 'next');
+  });
+
+  it('refuses a replayed request without an idempotency key', () => {
+    const body = { payload: { note: 'replayed without a key' } };
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    assert.equal(verify(signedRequest({ body, timestamp })), 'next');
+    assert.equal(
+      verify(signedRequest({ body, timestamp })).code,
+      'WEBHOOK_REPLAYED',
+    );
+  });
+
+  it('lets a replay with a webhook id or Idempotency-Key reach the handler', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const keyed = { id: 'delivery-1', payload: {} };
+    assert.equal(verify(signedRequest({ body: keyed, timestamp })), 'next');
+    assert.equal(verify(signedRequest({ body: keyed, timestamp })), 'next');
+
+    const body = { payload: { note: 'replayed with a header' } };
+    const headers = { 'idempotency-key': 'retry-1' };
+    assert.equal(verify(signedRequest({ body, headers, timestamp })), 'next');
+    assert.equal(verify(signedRequest({ body, headers, timestamp })), 'next');
+  });
+});
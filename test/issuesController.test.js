@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { mergeIssues } from '../src/controllers/issuesController.js';
+import { Issue } from '../src/models/Issue.js';
+import { IssueComment } from '../src/models/IssueComment.js';
+import { eventBus } from '../src/services/eventBus.js';
+
+/**
+ * Keep issues in memory and answer the Issue queries `mergeIssues` makes.
+ * Only the filters and operators the merge uses are supported.
+ * @param {Array<Record<string, any>>} issues
+ */
+function useIssueStore(issues) {
+  const store = new Map(
+    issues.map((issue) => [
+      issue._id,
+      { mergedInto: null, labels: [], createdAt: new Date('2026-01-01'), ...issue },
+    ]),
+  );
+  const matches = (doc, filter) =>
+    (filter._id?.$in ? filter._id.$in.includes(doc._id) : doc._id === filter._id) &&
+    (!('mergedInto' in filter) || doc.mergedInto === filter.mergedInto);
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [field, amount] of Object.entries(update.$inc ?? {})) {
+      doc[field] = (doc[field] ?? 0) + amount;
+    }
+    return { ...doc };
+  };
+
+  mock.method(Issue, 'findById', (id) => ({
+    lean: async () => (store.has(id) ? { ...store.get(id) } : null),
+  }));
+  mock.method(Issue, 'countDocuments', async (filter) =>
+    [...store.values()].filter((doc) => matches(doc, filter)).length,
+  );
+  mock.method(Issue, 'findOneAndUpdate', async (filter, update) => {
+    const doc = store.get(filter._id);
+    return doc && matches(doc, filter) ? apply(doc, update) : null;
+  });
+  mock.method(Issue, 'updateMany', async (filter, update) => {
+    for (const doc of store.values()) {
+      if (matches(doc, filter)) {
+        apply(doc, update);
+      }
+    }
+  });
+  mock.method(Issue, 'updateOne', async (filter, update) => {
+    apply(store.get(filter._id), update);
+  });
+
+  return store;
+}
+
+async function merge(id, duplicateIds) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let error;
+  await mergeIssues(
+    { params: { id }, body: { duplicateIds }, apiKey: { name: 'staff' } },
+    res,
+    (err) => {
+      error = err;
+    },
+  );
+  if (error) {
+    throw error;
+  }
+  return res;
+}
+
+describe('mergeIssues', () => {
+  let comments;
+
+  beforeEach(() => {
+    comments = mock.method(IssueComment, 'updateMany', async () => {});
+    mock.method(eventBus, 'publish', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('folds duplicates into the target and closes them', async () => {
+    const store = useIssueStore([
+      { _id: 'a', occurrenceCount: 1, labels: ['ui'] },
+      { _id: 'b', occurrenceCount: 2, labels: ['login'] },
+      { _id: 'c', labels: ['ui'] },
+    ]);
+
+    const res = await merge('a', ['b', 'c', 'b']);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.occurrenceCount, 4);
+    assert.deepEqual(res.body.labels, ['ui', 'login']);
+    for (const id of ['b', 'c']) {
+      const duplicate = store.get(id);
+      assert.equal(duplicate.mergedInto, 'a');
+      assert.equal(duplicate.status, 'closed');
+      assert.ok(duplicate.labels.includes('duplicate'));
+    }
+    assert.deepEqual(comments.mock.calls[0].arguments, [
+      { issueId: { $in: ['b', 'c'] } },
+      { $set: { issueId: 'a' } },
+    ]);
+  });
+
+  it('refuses to merge an issue into itself', async () => {
+    useIssueStore([{ _id: 'a' }]);
+    const res = await merge('a', ['a']);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'ISSUE_MERGE_SELF');
+  });
+
+  it('answers 404 for missing or already merged duplicates', async () => {
+    useIssueStore([{ _id: 'a' }, { _id: 'b', mergedInto: 'z' }]);
+    assert.equal((await merge('a', ['b'])).statusCode, 404);
+    assert.equal((await merge('a', ['missing'])).statusCode, 404);
+    assert.equal((await merge('missing', ['b'])).statusCode, 404);
+  });
+
+  it('refuses to merge into an issue that was itself merged', async () => {
+    const store = useIssueStore([{ _id: 'a', mergedInto: 'z' }, { _id: 'b' }]);
+    const res = await merge('a', ['b']);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'ISSUE_ALREADY_MERGED');
+    assert.equal(store.get('b').mergedInto, null);
+  });
+
+  it('only counts duplicates it claimed when another merge races it', async () => {
+    const store = useIssueStore([
+      { _id: 'a', occurrenceCount: 1 },
+      { _id: 'b', occurrenceCount: 5 },
+      { _id: 'c', occurrenceCount: 2 },
+    ]);
+    // Another merge claims `b` after the existence check
+    const count = Issue.countDocuments;
+    mock.method(Issue, 'countDocuments', async (filter) => {
+      const found = await count(filter);
+      store.get('b').mergedInto = 'other';
+      return found;
+    });
+
+    const res = await merge('a', ['b', 'c']);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.occurrenceCount, 3);
+    assert.equal(store.get('b').mergedInto, 'other');
+    assert.equal(store.get('b').status, undefined);
+  });
+
+  it('answers 409 when every duplicate was claimed by another merge', async () => {
+    const store = useIssueStore([{ _id: 'a' }, { _id: 'b' }]);
+    const count = Issue.countDocuments;
+    mock.method(Issue, 'countDocuments', async (filter) => {
+      const found = await count(filter);
+      store.get('b').mergedInto = 'other';
+      return found;
+    });
+
+    const res = await merge('a', ['b']);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(store.get('a').occurrenceCount, undefined);
+  });
+
+  it('releases its claims when the target is merged away meanwhile', async () => {
+    const store = useIssueStore([{ _id: 'a' }, { _id: 'b' }]);
+    // Merging `a` into `b` elsewhere lands while this merge claims `b`
+    const findOneAndUpdate = Issue.findOneAndUpdate;
+    mock.method(Issue, 'findOneAndUpdate', async (filter, update) => {
+      const result = await findOneAndUpdate(filter, update);
+      if (filter._id === 'b') {
+        store.get('a').mergedInto = 'b';
+      }
+      return result;
+    });
+
+    const res = await merge('a', ['b']);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'ISSUE_ALREADY_MERGED');
+    assert.equal(store.get('b').mergedInto, null);
+    assert.equal(comments.mock.callCount(), 0);
+  });
+});
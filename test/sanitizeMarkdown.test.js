@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  isSafeLinkTarget,
+  sanitizeMarkdown,
+} from '../src/utils/sanitizeMarkdown.js';
+
+describe('sanitizeMarkdown', () => {
+  it('keeps ordinary markdown as it is', () => {
+    const input = '# Title\n\n- **bold** and [docs](https://example.com/a_(b))';
+    assert.equal(sanitizeMarkdown(input), input);
+  });
+
+  it('removes tags but keeps their text', () => {
+    assert.equal(sanitizeMarkdown('<b>hi</b> <img src=x onerror=alert(1)>'), 'hi');
+  });
+
+  it('drops script, style and comment blocks with their content', () => {
+    assert.equal(
+      sanitizeMarkdown('a<script>alert(1)</script>b<!-- x -->c<style>p{}</style>'),
+      'abc',
+    );
+  });
+
+  it('does not let stripped fragments reassemble into a tag', () => {
+    const output = sanitizeMarkdown('<<img>img src=x onerror=alert(1)>');
+    assert.doesNotMatch(output, /<img/i);
+    assert.equal(
+      sanitizeMarkdown('<scr<script>x</script>ipt>alert(1)</script>'),
+      'alert(1)',
+    );
+  });
+
+  it('escapes a `<` that could still open a tag', () => {
+    assert.equal(sanitizeMarkdown('<img src=x'), '&lt;img src=x');
+    assert.equal(sanitizeMarkdown('1 < 2'), '1 < 2');
+  });
+
+  it('points unsafe inline and image links at #', () => {
+    assert.equal(sanitizeMarkdown('[x](javascript:alert(1))'), '[x](#)');
+    assert.equal(sanitizeMarkdown('![x](data:text/html,hi)'), '![x](#)');
+    assert.equal(sanitizeMarkdown('[x](java\tscript:alert(1))'), '[x](#)');
+    assert.equal(sanitizeMarkdown('[x](javascript&#58;alert(1))'), '[x](#)');
+    assert.equal(sanitizeMarkdown('[x](JaVaScRiPt&colon;alert(1))'), '[x](#)');
+    // The angle-bracket form is stripped as a tag before links are checked
+    assert.equal(sanitizeMarkdown('[x](<javascript:alert(1)>)'), '[x]()');
+    assert.equal(isSafeLinkTarget('<javascript:alert(1)>'), false);
+  });
+
+  it('points unsafe reference definitions at #', () => {
+    assert.equal(
+      sanitizeMarkdown('[x][1]\n\n[1]: javascript:alert(1)'),
+      '[x][1]\n\n[1]: #',
+    );
+    assert.equal(
+      sanitizeMarkdown('[1]: https://example.com'),
+      '[1]: https://example.com',
+    );
+  });
+
+  it('normalises line endings and trims', () => {
+    assert.equal(sanitizeMarkdown('  a\r\nb\rc  '), 'a\nb\nc');
+    assert.equal(sanitizeMarkdown(undefined), '');
+  });
+});
+
+describe('isSafeLinkTarget', () => {
+  it('allows http(s), mailto, relative links and fragments', () => {
+    for (const target of [
+      'https://example.com',
+      'HTTP://example.com',
+      'mailto:a@example.com',
+      '/docs',
+      '#section',
+    ]) {
+      assert.equal(isSafeLinkTarget(target), true, target);
+    }
+  });
+
+  it('refuses other schemes however they are written', () => {
+    for (const target of [
+      'javascript:alert(1)',
+      ' vbscript:x',
+      'data:text/html,x',
+      'jav&#x61;script:x',
+      '\u0001javascript:x',
+    ]) {
+      assert.equal(isSafeLinkTarget(target), false, target);
+    }
+  });
+
+  it('does not throw on numeric entities outside Unicode', () => {
+    assert.equal(isSafeLinkTarget('&#x110000;'), true);
+  });
+});
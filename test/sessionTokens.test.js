@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { env } from '../src/config/env.js';
+import { signSession, verifySession } from '../src/services/sessionTokens.js';
+
+describe('verifySession', () => {
+  const secret = env.sessionSecret;
+
+  beforeEach(() => {
+    env.sessionSecret = 'test-session-secret';
+  });
+
+  afterEach(() => {
+    env.sessionSecret = secret;
+    mock.timers.reset();
+  });
+
+  it('returns the claims of a token it signed', () => {
+    const { token } = signSession({ sub: 'guardian', email: 'g@example.com' }, 5);
+    const claims = verifySession(token, 'guardian');
+    assert.equal(claims.sub, 'guardian');
+    assert.equal(claims.email, 'g@example.com');
+    assert.equal(claims.exp - claims.iat, 300);
+  });
+
+  it('refuses a token issued for another subject', () => {
+    const { token } = signSession({ sub: 'student' }, 5);
+    assert.equal(verifySession(token, 'guardian'), null);
+  });
+
+  it('refuses a token whose payload was changed', () => {
+    const { token } = signSession({ sub: 'guardian', email: 'g@example.com' }, 5);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ sub: 'guardian', email: 'other@example.com', exp: 4e9 }),
+    ).toString('base64url');
+    assert.equal(verifySession(`${forged}.${signature}`, 'guardian'), null);
+  });
+
+  it('refuses a token signed with another secret', () => {
+    const { token } = signSession({ sub: 'guardian' }, 5);
+    env.sessionSecret = 'rotated-secret';
+    assert.equal(verifySession(token, 'guardian'), null);
+  });
+
+  it('refuses an expired token', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { token } = signSession({ sub: 'guardian' }, 1);
+    mock.timers.tick(61_000);
+    assert.equal(verifySession(token, 'guardian'), null);
+  });
+
+  it('refuses malformed tokens', () => {
+    for (const token of [undefined, '', 'abc', 'abc.', '.abc', 'a.b.c']) {
+      assert.equal(verifySession(token, 'guardian'), null, String(token));
+    }
+  });
+});
@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { decodeEntities } from '../src/lib/templates/engine.js';
+
+describe('decodeEntities', () => {
+  it('decodes the named entities email HTML uses', () => {
+    assert.equal(
+      decodeEntities('a &amp; b &lt;c&gt; &quot;d&quot; e&nbsp;f &mdash; g'),
+      'a & b <c> "d" e f — g',
+    );
+  });
+
+  it('decodes decimal and hex references', () => {
+    assert.equal(decodeEntities('&#39;&#x41;&#X1F600;'), "'A😀");
+  });
+
+  it('leaves unknown entities as written', () => {
+    assert.equal(decodeEntities('&copy; &foo;'), '&copy; &foo;');
+  });
+
+  it('leaves references outside Unicode as written instead of throwing', () => {
+    assert.equal(decodeEntities('&#x110000; &#99999999;'), '&#x110000; &#99999999;');
+  });
+});